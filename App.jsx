@@ -1,4 +1,10 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { AR_DIGITS, fold, foldWithMap, folders, toLatinDigits } from "./arabicText.js";
+import { SURAH_META } from "./surahMeta.js";
+import { oidcAuthorize, oidcRedeem } from "./oidc.js";
+import { parseIntent } from "./voiceIntents.js";
+import { PROGRESS_DAYS, STORAGE_KEYS, normalizeGroup, reviveAchievements, reviveProgress } from "./stores.js";
+import { mergeGroup, mergeSnapshots } from "./syncMerge.js";
 
 // =============================================================
 // Rafiq — Islamic Super App (Single‑File React PWA)
@@ -6,11 +12,11 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 // Notes:
 // - This is a production‑grade single‑file React PWA that packs many features.
 // - Uses Tailwind classes for styling. No external UI kit required.
-// - Works offline via an inlined Service Worker; users can cache chosen audio.
-// - Data is stored locally (localStorage + Cache Storage). No backend required.
+// - Works offline via a versioned Service Worker (public/sw.js); users can download whole surahs/juz.
+// - Data is stored locally (IndexedDB + Cache Storage). No backend required; optional encrypted backup and REST/WebDAV sync.
 // - Reciters/tafseer/translations are pluggable via public APIs/CDNs.
-// - Includes AR Qibla (camera + compass), Kids Mode, Groups, Tasbeeh, Hadith library (local sample + online), Prayer reminders, Mosque map, Donations, Achievements, etc.
-// - Master (royal) login code: 7777
+// - Includes AR Qibla (great-circle bearing, WMM declination, calibrated compass + camera), Kids Mode, Groups, Adhkar (morning/evening routines, counters, streaks), Hadith library (offline collection packs, search, hadith of the day), Prayer reminders, Mosque map, Zakat calculator & donation ledger, Achievements, etc.
+// - Multiple local profiles (PBKDF2-hashed PINs) with roles; optional OIDC sign-in.
 // =============================================================
 
 // ---------- Minimal Tailwind helper ----------
@@ -18,16 +24,10 @@ const cx = (...s) => s.filter(Boolean).join(" ");
 
 // ---------- Constants ----------
 const APP_NAME = "Rafiq";
-const STORAGE_KEYS = {
-  user: "rafiq.user",
-  settings: "rafiq.settings",
-  progress: "rafiq.progress",
-  kids: "rafiq.kids",
-  groups: "rafiq.groups",
-  tasbeeh: "rafiq.tasbeeh",
-  achievements: "rafiq.achievements",
-  downloads: "rafiq.downloads",
-};
+
+// Cache Storage buckets; names must match CACHES in public/sw.js.
+const DOWNLOAD_CACHE = "rafiq-downloads-v1"; // downloaded audio
+const DATA_CACHE = "rafiq-data-v1"; // /data/*.json, including imported hadith and translation/tafsir packs
 
 // Reciters (add more as needed). For offline caching we use direct MP3 paths.
 // Note: Track assets come from Quranicaudio/EverYayah style mirrors; URLs are configurable.
@@ -37,121 +37,513 @@ const RECITERS = [
   { id: "husary", name: "Mahmoud Al-Husary", base: "https://verses.quran.com/Mahmoud_Al_Husary_64kbps" },
 ];
 
-// Translations (remote JSON APIs). You can swap providers.
-const TRANSLATIONS = [
-  { code: "en", name: "English (Saheeh Int.)", api: (s, a) => `https://api.quran.com/api/v4/verses/by_key/${s}:${a}?language=en&fields=text_uthmani` },
-  { code: "tr", name: "Türkçe (Diyanet)", api: (s, a) => `https://api.quran.com/api/v4/verses/by_key/${s}:${a}?language=tr&fields=text_uthmani` },
-  { code: "fr", name: "Français (Muhammad Hamidullah)", api: (s, a) => `https://api.quran.com/api/v4/verses/by_key/${s}:${a}?language=fr&fields=text_uthmani` },
+// Translations and tafsirs (see Content Sources). `provider` is where the text comes from
+// (CONTENT_PROVIDERS) and `ref` is that provider's id for it; "pack" sources are JSON files in the
+// mushaf layout, used offline and for search.
+const CONTENT_SOURCES = [
+  { id: "en-sahih", kind: "translation", lang: "en", name: "English — Saheeh International", provider: "pack", pack: "/data/translation-en.json" },
+  { id: "en-yusufali", kind: "translation", lang: "en", name: "English — Yusuf Ali", provider: "qurancom", ref: 22 },
+  { id: "fr-hamidullah", kind: "translation", lang: "fr", name: "Français — Muhammad Hamidullah", provider: "qurancom", ref: 31 },
+  { id: "tr-diyanet", kind: "translation", lang: "tr", name: "Türkçe — Diyanet İşleri", provider: "qurancom", ref: 77 },
+  { id: "id-kemenag", kind: "translation", lang: "id", name: "Indonesia — Kementerian Agama", provider: "qurancom", ref: 33 },
+  { id: "muyassar", kind: "tafsir", lang: "ar", name: "التفسير الميسر", provider: "alqurancloud", ref: "ar.muyassar" },
+  { id: "jalalayn", kind: "tafsir", lang: "ar", name: "تفسير الجلالين", provider: "alqurancloud", ref: "ar.jalalayn" },
+  { id: "saadi", kind: "tafsir", lang: "ar", name: "تفسير السعدي", provider: "qurancom", ref: 91 },
+  { id: "ibnkathir", kind: "tafsir", lang: "ar", name: "تفسير ابن كثير", provider: "qurancom", ref: 14 },
+  { id: "tabari", kind: "tafsir", lang: "ar", name: "تفسير الطبري", provider: "qurancom", ref: 15 },
+  { id: "ibnkathir-en", kind: "tafsir", lang: "en", name: "Ibn Kathir (English, abridged)", provider: "qurancom", ref: 169 },
 ];
 
-// Short tafsir provider (concise). Swap as needed.
-const TAFSIR_API = (s, a) => `https://api.quran.com/api/v4/quran/tafsirs/169?verse_key=${s}:${a}`; // Muyassar (id 169 on Quran.com)
+// Small local hadith sample for offline demo, in the hadith pack format (see Hadith Library).
+const HADITH_SAMPLE = {
+  id: "sample",
+  name: "Sample",
+  nameAr: "مختارات",
+  books: [{ n: 1, name: "Selected hadith", nameAr: "أحاديث مختارة", chapters: [{ n: 1, name: "Intentions and character", nameAr: "النية والأخلاق" }] }],
+  hadiths: [
+    {
+      n: 1, book: 1, chapter: 1, ref: "Sahih al-Bukhari 1", grade: "صحيح", isnad: "عن عمر بن الخطاب رضي الله عنه",
+      ar: "إنما الأعمال بالنيات…",
+      en: "Actions are judged by intentions…",
+      notes: "Foundation of sincerity; tie to all acts, including memorization goals.",
+    },
+    {
+      n: 2, book: 1, chapter: 1, ref: "Sahih Muslim 2699", grade: "صحيح",
+      en: "Allah is gentle and loves gentleness in all matters.",
+      notes: "Kids mode reminder: reward gentle behavior and patience.",
+    },
+  ],
+};
 
-// Small local hadith sample for offline demo (extendable).
-const HADITH_SAMPLE = [
-  {
-    book: "Sahih al-Bukhari",
-    ref: "1",
-    text: "Actions are judged by intentions…",
-    expl: "Foundation of sincerity; tie to all acts, including memorization goals.",
-  },
-  {
-    book: "Sahih Muslim",
-    ref: "2699",
-    text: "Allah is gentle and loves gentleness in all matters.",
-    expl: "Kids mode reminder: reward gentle behavior and patience.",
-  },
+// Division boundaries as global ayah numbers (1…6236, see ayahIndex); the final 6237 closes the last range.
+const JUZ_STARTS = [
+  1, 149, 260, 386, 517, 641, 751, 900, 1042, 1201, 1328, 1479, 1649, 1803, 2030, 2215, 2484, 2674, 2876, 3215, 3386,
+  3564, 3733, 4090, 4265, 4511, 4706, 5105, 5242, 5673, 6237
 ];
-
-// Basic Surah meta (subset for quick UI); full list can be fetched from API too.
-const SURAH_META = [
-  [1, "Al‑Fatiha", 7],
-  [2, "Al‑Baqarah", 286],
-  [36, "Yasin", 83],
-  [55, "Ar‑Rahman", 78],
-  [67, "Al‑Mulk", 30],
-  [112, "Al‑Ikhlas", 4],
-  [113, "Al‑Falaq", 5],
-  [114, "An‑Nas", 6],
+const HIZB_QUARTER_STARTS = [
+  1, 33, 51, 67, 82, 99, 113, 131, 149, 165, 184, 196, 210, 226, 240, 250, 260, 270, 279, 290, 308, 326, 345, 368, 386,
+  406, 426, 446, 464, 479, 494, 505, 517, 529, 551, 567, 581, 593, 607, 628, 641, 656, 670, 681, 696, 710, 720, 736,
+  751, 766, 778, 802, 825, 848, 863, 884, 900, 916, 930, 940, 955, 985, 1001, 1019, 1042, 1071, 1096, 1110, 1125, 1143,
+  1161, 1182, 1201, 1221, 1236, 1254, 1269, 1281, 1295, 1310, 1328, 1346, 1357, 1375, 1390, 1417, 1435, 1454, 1479,
+  1497, 1514, 1534, 1557, 1581, 1603, 1626, 1649, 1673, 1697, 1712, 1726, 1742, 1760, 1778, 1803, 1852, 1902, 1931,
+  1952, 1976, 1991, 2012, 2030, 2052, 2079, 2099, 2128, 2157, 2172, 2191, 2215, 2239, 2272, 2309, 2349, 2403, 2431,
+  2459, 2484, 2512, 2534, 2566, 2596, 2614, 2633, 2655, 2674, 2709, 2748, 2792, 2812, 2826, 2844, 2856, 2876, 2908,
+  2933, 2984, 3043, 3113, 3160, 3186, 3215, 3241, 3264, 3281, 3303, 3328, 3341, 3366, 3386, 3410, 3440, 3463, 3491,
+  3514, 3534, 3551, 3564, 3584, 3593, 3616, 3630, 3652, 3675, 3701, 3733, 3765, 3810, 3871, 3933, 3991, 4022, 4066,
+  4090, 4111, 4134, 4154, 4174, 4199, 4227, 4243, 4265, 4285, 4299, 4323, 4349, 4382, 4431, 4485, 4511, 4531, 4555,
+  4578, 4601, 4613, 4626, 4657, 4706, 4759, 4810, 4855, 4902, 4980, 5054, 5091, 5105, 5118, 5137, 5157, 5178, 5192,
+  5218, 5230, 5242, 5272, 5324, 5394, 5448, 5495, 5552, 5610, 5673, 5759, 5830, 5885, 5949, 6024, 6091, 6155, 6237
+];
+const PAGE_STARTS = [
+  1, 8, 13, 24, 32, 37, 45, 56, 65, 69, 77, 84, 91, 96, 101, 109, 113, 120, 127, 134, 142, 149, 153, 161, 171, 177,
+  184, 189, 194, 198, 204, 210, 218, 223, 227, 232, 238, 241, 245, 253, 256, 260, 264, 267, 272, 277, 282, 289, 290,
+  294, 303, 309, 316, 323, 331, 339, 346, 355, 364, 371, 377, 385, 394, 402, 409, 415, 426, 434, 442, 447, 451, 459,
+  467, 474, 480, 488, 494, 500, 505, 508, 513, 517, 520, 527, 531, 538, 545, 553, 559, 568, 573, 580, 585, 588, 595,
+  599, 607, 615, 621, 628, 634, 641, 648, 656, 664, 669, 672, 675, 679, 683, 687, 693, 701, 706, 711, 715, 720, 727,
+  734, 740, 746, 752, 759, 765, 773, 778, 783, 790, 798, 808, 817, 825, 834, 842, 849, 858, 863, 871, 880, 884, 891,
+  900, 908, 914, 921, 927, 932, 936, 941, 947, 955, 966, 977, 985, 992, 998, 1006, 1012, 1022, 1028, 1036, 1042, 1050,
+  1059, 1075, 1085, 1092, 1098, 1104, 1110, 1114, 1118, 1125, 1133, 1142, 1150, 1161, 1169, 1177, 1186, 1194, 1201,
+  1206, 1213, 1222, 1230, 1236, 1242, 1249, 1256, 1262, 1267, 1272, 1276, 1283, 1290, 1297, 1304, 1308, 1315, 1322,
+  1329, 1335, 1342, 1347, 1353, 1358, 1365, 1371, 1379, 1385, 1390, 1398, 1407, 1418, 1426, 1435, 1443, 1453, 1462,
+  1471, 1479, 1486, 1493, 1502, 1511, 1519, 1527, 1536, 1545, 1555, 1562, 1571, 1582, 1591, 1601, 1611, 1619, 1627,
+  1634, 1640, 1649, 1660, 1666, 1675, 1683, 1692, 1700, 1708, 1713, 1721, 1726, 1736, 1742, 1750, 1756, 1761, 1769,
+  1775, 1784, 1793, 1803, 1818, 1834, 1854, 1873, 1893, 1908, 1916, 1928, 1936, 1944, 1956, 1966, 1974, 1981, 1989,
+  1995, 2004, 2012, 2020, 2030, 2037, 2047, 2057, 2068, 2079, 2088, 2096, 2105, 2116, 2126, 2134, 2145, 2156, 2161,
+  2168, 2175, 2186, 2194, 2202, 2215, 2224, 2238, 2251, 2262, 2276, 2289, 2302, 2315, 2327, 2346, 2361, 2386, 2400,
+  2413, 2425, 2436, 2447, 2462, 2474, 2484, 2494, 2508, 2519, 2528, 2541, 2556, 2565, 2574, 2585, 2596, 2601, 2611,
+  2619, 2626, 2634, 2642, 2651, 2660, 2668, 2674, 2691, 2701, 2716, 2733, 2748, 2763, 2778, 2792, 2802, 2812, 2819,
+  2823, 2828, 2835, 2845, 2850, 2853, 2858, 2867, 2876, 2888, 2899, 2911, 2923, 2933, 2952, 2972, 2993, 3016, 3044,
+  3069, 3092, 3116, 3139, 3160, 3173, 3182, 3195, 3204, 3215, 3223, 3236, 3248, 3258, 3266, 3274, 3281, 3288, 3296,
+  3303, 3312, 3323, 3330, 3337, 3347, 3355, 3364, 3371, 3379, 3386, 3393, 3404, 3415, 3425, 3434, 3442, 3451, 3460,
+  3470, 3481, 3489, 3498, 3504, 3515, 3524, 3534, 3540, 3549, 3556, 3564, 3569, 3577, 3584, 3588, 3596, 3607, 3614,
+  3621, 3629, 3638, 3646, 3655, 3664, 3672, 3679, 3691, 3699, 3705, 3718, 3733, 3746, 3760, 3776, 3789, 3813, 3840,
+  3865, 3891, 3915, 3942, 3971, 3987, 3997, 4013, 4032, 4054, 4064, 4069, 4080, 4090, 4099, 4106, 4115, 4126, 4133,
+  4141, 4150, 4159, 4167, 4174, 4183, 4192, 4200, 4211, 4219, 4230, 4239, 4248, 4257, 4265, 4273, 4283, 4288, 4295,
+  4304, 4317, 4324, 4336, 4348, 4359, 4373, 4386, 4399, 4415, 4433, 4454, 4474, 4487, 4496, 4506, 4516, 4525, 4531,
+  4539, 4546, 4557, 4565, 4575, 4584, 4593, 4599, 4607, 4612, 4617, 4624, 4631, 4646, 4666, 4682, 4706, 4727, 4750,
+  4767, 4785, 4811, 4829, 4853, 4874, 4896, 4918, 4942, 4969, 4996, 5030, 5056, 5079, 5087, 5094, 5100, 5105, 5111,
+  5116, 5126, 5130, 5136, 5143, 5151, 5156, 5162, 5169, 5178, 5186, 5193, 5200, 5209, 5218, 5223, 5230, 5237, 5242,
+  5254, 5268, 5287, 5314, 5332, 5358, 5386, 5415, 5430, 5448, 5461, 5476, 5495, 5513, 5543, 5571, 5597, 5617, 5642,
+  5673, 5703, 5728, 5759, 5801, 5830, 5855, 5883, 5910, 5932, 5964, 5994, 6017, 6044, 6073, 6099, 6126, 6138, 6156,
+  6177, 6194, 6208, 6222, 6237
+];
+const RUKU_STARTS = [
+  1, 8, 15, 28, 37, 47, 54, 67, 69, 79, 90, 94, 104, 111, 120, 129, 137, 149, 155, 160, 171, 175, 184, 190, 196, 204,
+  218, 224, 229, 236, 239, 243, 250, 256, 261, 265, 268, 274, 281, 289, 291, 294, 303, 314, 324, 335, 348, 357, 365,
+  374, 385, 395, 403, 414, 423, 437, 442, 449, 465, 474, 483, 494, 504, 508, 516, 519, 527, 536, 544, 553, 564, 570,
+  581, 585, 590, 594, 598, 606, 609, 620, 628, 635, 646, 656, 665, 670, 675, 681, 689, 696, 704, 713, 720, 726, 736,
+  747, 756, 763, 770, 778, 785, 790, 800, 810, 820, 831, 840, 845, 850, 860, 872, 880, 884, 890, 900, 911, 919, 930,
+  934, 940, 944, 955, 965, 980, 986, 994, 1002, 1008, 1013, 1019, 1027, 1039, 1048, 1054, 1063, 1081, 1084, 1096, 1102,
+  1106, 1112, 1117, 1126, 1136, 1143, 1161, 1171, 1180, 1189, 1198, 1205, 1209, 1219, 1225, 1230, 1236, 1242, 1252,
+  1260, 1265, 1273, 1278, 1295, 1302, 1308, 1316, 1325, 1335, 1346, 1354, 1358, 1365, 1375, 1385, 1395, 1405, 1418,
+  1425, 1435, 1447, 1457, 1468, 1474, 1482, 1498, 1509, 1523, 1534, 1542, 1557, 1569, 1583, 1597, 1603, 1617, 1626,
+  1632, 1639, 1646, 1654, 1665, 1676, 1690, 1701, 1708, 1715, 1726, 1734, 1739, 1745, 1751, 1757, 1763, 1772, 1778,
+  1785, 1792, 1803, 1818, 1828, 1847, 1863, 1882, 1902, 1911, 1923, 1927, 1936, 1942, 1952, 1962, 1967, 1972, 1978,
+  1985, 1991, 2002, 2012, 2021, 2030, 2040, 2052, 2060, 2070, 2082, 2090, 2100, 2107, 2114, 2123, 2130, 2141, 2153,
+  2158, 2163, 2172, 2185, 2190, 2194, 2200, 2211, 2223, 2242, 2251, 2266, 2291, 2301, 2316, 2333, 2349, 2373, 2403,
+  2425, 2438, 2453, 2464, 2477, 2484, 2494, 2513, 2525, 2534, 2559, 2577, 2596, 2606, 2618, 2621, 2629, 2634, 2644,
+  2653, 2660, 2668, 2674, 2696, 2706, 2724, 2751, 2766, 2792, 2802, 2812, 2818, 2826, 2832, 2842, 2849, 2853, 2856,
+  2865, 2876, 2890, 2900, 2916, 2933, 2942, 2966, 2985, 3002, 3037, 3055, 3073, 3092, 3108, 3124, 3160, 3174, 3191,
+  3204, 3218, 3226, 3242, 3253, 3266, 3274, 3281, 3295, 3303, 3313, 3328, 3341, 3354, 3363, 3371, 3385, 3392, 3404,
+  3410, 3420, 3429, 3437, 3450, 3463, 3470, 3481, 3489, 3504, 3515, 3526, 3534, 3542, 3554, 3561, 3568, 3574, 3586,
+  3592, 3602, 3607, 3616, 3628, 3637, 3643, 3652, 3661, 3668, 3675, 3687, 3698, 3706, 3718, 3738, 3756, 3773, 3789,
+  3810, 3863, 3902, 3927, 3971, 3985, 3997, 4011, 4035, 4059, 4068, 4080, 4090, 4100, 4111, 4122, 4129, 4134, 4143,
+  4154, 4161, 4171, 4184, 4194, 4202, 4212, 4219, 4227, 4237, 4244, 4251, 4263, 4273, 4282, 4292, 4302, 4316, 4326,
+  4341, 4351, 4361, 4371, 4382, 4393, 4415, 4444, 4457, 4474, 4485, 4495, 4500, 4511, 4521, 4531, 4537, 4546, 4557,
+  4565, 4574, 4584, 4594, 4601, 4610, 4613, 4623, 4631, 4646, 4660, 4676, 4699, 4722, 4736, 4764, 4785, 4810, 4817,
+  4847, 4869, 4887, 4902, 4927, 4947, 4980, 5018, 5054, 5076, 5086, 5095, 5101, 5105, 5111, 5118, 5127, 5137, 5144,
+  5151, 5157, 5164, 5173, 5178, 5186, 5189, 5197, 5200, 5210, 5218, 5225, 5230, 5237, 5242, 5256, 5272, 5305, 5324,
+  5361, 5376, 5411, 5420, 5440, 5448, 5467, 5476, 5495, 5496, 5527, 5552, 5582, 5592, 5614, 5623, 5663, 5673, 5703,
+  5713, 5739, 5759, 5801, 5830, 5849, 5885, 5910, 5932, 5949, 5968, 5994, 6024, 6044, 6059, 6080, 6091, 6099, 6107,
+  6126, 6131, 6139, 6147, 6158, 6169, 6177, 6180, 6189, 6194, 6198, 6205, 6208, 6214, 6217, 6222, 6226, 6231, 6237
 ];
+const SAJDA_AYAT = [1160, 1722, 1951, 2138, 2308, 2613, 2672, 2915, 3185, 3518, 3994, 4256, 4846, 5905, 6125];
 
-// Achievement templates
+// Achievement rules over the event stream (see Achievements below). Each badge counts one event
+// type, optionally only events whose payload matches `where`, and unlocks one level per tier:
+// - window "day" | "week" (last 7 local days) | "all" (default): events counted in that window;
+// - streak: consecutive local days with at least `min` (default 1) events.
 const ACHIEVEMENTS = {
-  firstDownload: { id: "firstDownload", title: "أول تنزيل", desc: "نزلت أول سورة للاستماع دون اتصال" },
-  tenAyat: { id: "tenAyat", title: "10 آيات", desc: "قرأت عشر آيات اليوم" },
-  kidsStreak3: { id: "kidsStreak3", title: "سلسلة صديق رفيق", desc: "٣ أيام في وضع الأطفال" },
+  firstDownload: { title: "أول تنزيل", desc: "نزّلت سورة للاستماع دون اتصال", event: "download", tiers: [1] },
+  tenAyat: { title: "ورد اليوم", desc: "آيات قرأتها في يوم واحد", event: "ayah.read", window: "day", tiers: [10, 50, 100] },
+  reader: { title: "القارئ", desc: "آيات قرأتها", event: "ayah.read", tiers: [100, 1000, 6236] },
+  readStreak: { title: "مداومة القراءة", desc: "أيام متتالية من القراءة", event: "ayah.read", streak: true, tiers: [3, 7, 30] },
+  dhakir: { title: "الذاكر", desc: "أذكار أتممت عددها", event: "dhikr.done", tiers: [10, 100, 1000] },
+  morningStreak: { title: "أذكار الصباح", desc: "أيام متتالية أتممت فيها أذكار الصباح", event: "adhkar.routine", where: { category: "morning" }, streak: true, tiers: [3, 7, 40] },
+  eveningStreak: { title: "أذكار المساء", desc: "أيام متتالية أتممت فيها أذكار المساء", event: "adhkar.routine", where: { category: "evening" }, streak: true, tiers: [3, 7, 40] },
+  onTime: { title: "على الموعد", desc: "تذكيرات صلاة استجبت لها خلال أسبوع", event: "prayer.ack", window: "week", tiers: [10, 35] },
+  fivePrayers: { title: "الصلوات الخمس", desc: "أيام متتالية استجبت فيها لخمسة تذكيرات", event: "prayer.ack", streak: true, min: 5, tiers: [3, 7, 30] },
+  kidsStreak3: { title: "سلسلة صديق رفيق", desc: "أيام متتالية في وضع الأطفال", event: "kids.activity", streak: true, tiers: [3, 7] },
+  kidsFirstGame: { title: "لاعب رفيق", desc: "ألعاب أنهيتها في وضع الأطفال", event: "game.won", tiers: [1, 10, 50] },
+  kidsPerfect: { title: "بلا أخطاء", desc: "ألعاب أنهيتها بدقة ١٠٠٪", event: "game.won", where: { accuracy: 1 }, tiers: [1, 10] },
+  kidsHardLevel: { title: "بطل المستوى الصعب", desc: "ألعاب أنهيتها في المستوى الصعب", event: "game.won", where: { level: 3 }, tiers: [1, 10] },
+};
+
+// Local calendar day as YYYY-MM-DD (not toISOString, which is UTC).
+const dayKey = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+// Saves generated text (exports, backups) as a file download.
+const downloadFile = (name, text, type = "application/json") => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: name });
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+const addDays = (key, n) => { const [y, m, d] = key.split('-').map(Number); return dayKey(new Date(y, m-1, d+n)); };
+
+// ---------- Storage (IndexedDB) ----------
+// Every store is read into memory once at startup (initStorage), so `load` stays synchronous for
+// hooks; `save` updates memory and writes through to IndexedDB in the background.
+// Small documents live in `kv`; per-record data gets its own object store with indexes, one row per
+// record, and only records whose object identity changed are rewritten.
+// Falls back to localStorage where IndexedDB is unavailable (e.g. some private modes).
+const DB_NAME = "rafiq";
+const DB_VERSION = 2;
+const DB_STORES = {
+  kv: { keyPath: "key" },
+  hifz: { keyPath: "i", indexes: { due: "due" } },
+  bookmarks: { keyPath: "i", indexes: { updatedAt: "updatedAt", color: "color" } },
+  reading: { keyPath: "i", indexes: { ayah: "ayah" } }, // i = event timestamp
+};
+// Storage keys whose value is a map of records kept in a record store; `rest` is the remainder saved in kv.
+const RECORD_KEYS = {
+  [STORAGE_KEYS.hifz]: { store: "hifz", records: (v) => v, join: (rest, map) => map, rest: () => null },
+  [STORAGE_KEYS.bookmarks]: { store: "bookmarks", records: (v) => v.items || {}, join: (rest, items) => ({ ...rest, items }), rest: (v) => { const r = { ...v }; delete r.items; return r; } },
+  [STORAGE_KEYS.reading]: { store: "reading", records: (v) => v.events || {}, join: (rest, events) => ({ ...rest, events }), rest: (v) => { const r = { ...v }; delete r.events; return r; } },
+};
+// Keys written by versions before IndexedDB; LEGACY_RENAMES maps strays to their STORAGE_KEYS name.
+const LEGACY_RENAMES = { "kids.pts": STORAGE_KEYS.kidsPoints };
+
+// DB_MIGRATIONS[v] upgrades the schema from version v to v + 1 inside the versionchange transaction.
+// A fresh install creates every store in step 0, so later steps only add what is still missing.
+const DB_MIGRATIONS = {
+  0: (db, tx) => {
+    createStores(db, Object.keys(DB_STORES));
+    importLocalStorage(tx);
+  },
+  1: (db) => createStores(db, ["reading"]),
 };
 
-// Utility: localStorage helpers
-const load = (k, d) => {
-  try { const v = JSON.parse(localStorage.getItem(k)); return v ?? d; } catch { return d; }
+function createStores(db, names){
+  for (const name of names) {
+    if (db.objectStoreNames.contains(name)) continue;
+    const { keyPath, indexes = {} } = DB_STORES[name];
+    const os = db.createObjectStore(name, { keyPath });
+    for (const [ix, path] of Object.entries(indexes)) os.createIndex(ix, path);
+  }
+}
+
+const memory = new Map();
+let backend = null; // IDBDatabase, or "local" when falling back to localStorage
+let storageReady = false;
+
+const LOCAL_KEYS = [...Object.values(STORAGE_KEYS), ...Object.keys(LEGACY_RENAMES)];
+
+function readLocalStorage(){
+  const out = [];
+  for (const k of LOCAL_KEYS) {
+    try { const v = JSON.parse(localStorage.getItem(k)); if (v != null) out.push([LEGACY_RENAMES[k] || k, v]); } catch { /* corrupt entry */ }
+  }
+  return out;
+}
+
+// One-time import; the localStorage copies are dropped once the upgrade has committed.
+function importLocalStorage(tx){
+  for (const [k, v] of readLocalStorage()) writeTo(tx, k, v, undefined);
+  tx.addEventListener("complete", () => LOCAL_KEYS.forEach(k => localStorage.removeItem(k)));
+}
+
+const idb = (req) => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+
+function openDatabase(){
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) DB_MIGRATIONS[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("database upgrade blocked by another tab"));
+  });
+}
+
+async function initStorage(){
+  if (storageReady) return;
+  try {
+    backend = await openDatabase();
+    const tx = backend.transaction(Object.keys(DB_STORES));
+    for (const { key, value } of await idb(tx.objectStore("kv").getAll())) memory.set(key, value);
+    for (const [key, spec] of Object.entries(RECORD_KEYS)) {
+      const rows = await idb(tx.objectStore(spec.store).getAll());
+      if (!rows.length && !memory.has(key)) continue;
+      memory.set(key, spec.join(memory.get(key) || {}, Object.fromEntries(rows.map(r => [r.i, r]))));
+    }
+  } catch (e) {
+    console.warn("IndexedDB unavailable, using localStorage", e);
+    backend = "local";
+    for (const [k, v] of readLocalStorage()) memory.set(k, v);
+  }
+  storageReady = true;
+}
+
+// Queues the IndexedDB writes that turn `prev` into `value` on transaction `tx`.
+function writeTo(tx, key, value, prev){
+  const spec = RECORD_KEYS[key];
+  if (!spec) {
+    if (value === undefined) tx.objectStore("kv").delete(key);
+    else tx.objectStore("kv").put({ key, value });
+    return;
+  }
+  const os = tx.objectStore(spec.store);
+  const next = value === undefined ? {} : spec.records(value);
+  const old = prev === undefined ? {} : spec.records(prev);
+  for (const i of Object.keys(old)) if (!(i in next)) os.delete(Number(i));
+  for (const [i, r] of Object.entries(next)) if (old[i] !== r) os.put({ ...r, i: Number(i) });
+  const rest = value === undefined ? null : spec.rest(value);
+  if (rest) tx.objectStore("kv").put({ key, value: rest });
+  else tx.objectStore("kv").delete(key);
+}
+
+// Resolves once the write is durable (callers that reload right after must await it).
+function persist(key, value){
+  const prev = memory.get(key);
+  if (prev === value) return Promise.resolve();
+  if (value === undefined) memory.delete(key); else memory.set(key, value);
+  if (backend === "local") {
+    if (value === undefined) localStorage.removeItem(key); else localStorage.setItem(key, JSON.stringify(value));
+    return Promise.resolve();
+  }
+  if (!backend) return Promise.resolve();
+  const tx = backend.transaction(Object.keys(DB_STORES), "readwrite");
+  writeTo(tx, key, value, prev);
+  return new Promise((resolve) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => { console.warn(`saving ${key} failed`, tx.error); resolve(); };
+  });
+}
+
+const load = (k, d) => (memory.has(k) ? memory.get(k) : d);
+const save = (k, v) => persist(k, v);
+const removeStored = (k) => persist(k, undefined);
+
+// useState backed by a storage key; `revive` upgrades or fills in what was stored.
+function usePersisted(key, fallback, revive = (v) => v){
+  const [value, setValue] = useState(() => revive(load(key, fallback)));
+  useEffect(() => { save(key, value); }, [key, value]);
+  return [value, setValue];
+}
+
+// ---------- Quran Metadata Helpers ----------
+const AYAH_COUNT = 6236;
+const SURAH_STARTS = SURAH_META.reduce((a, m, i) => (a.push(i ? a[i-1] + SURAH_META[i-1][2] : 1), a), []);
+
+const surahInfo = (n) => {
+  const [id, name, ayahs, nameAr, meaning, type, order, rukus] = SURAH_META[n-1];
+  return { id, name, ayahs, nameAr, meaning, meccan: type === "M", order, rukus, start: SURAH_STARTS[n-1] };
 };
-const save = (k, v) => localStorage.setItem(k, JSON.stringify(v));
+const ayahIndex = (s, a) => SURAH_STARTS[s-1] + a - 1;
+
+// 1-based number of the segment in a *_STARTS list that holds global ayah i (binary search).
+function segmentOf(starts, i){
+  let lo = 0, hi = starts.length - 1;
+  while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (starts[mid] <= i) lo = mid; else hi = mid - 1; }
+  return lo + 1;
+}
+const ayahFromIndex = (i) => { const s = segmentOf(SURAH_STARTS, i); return [s, i - SURAH_STARTS[s-1] + 1]; };
+// Global [first, last] ayah of segment n, e.g. segmentRange(JUZ_STARTS, 30).
+const segmentRange = (starts, n) => [starts[n-1], starts[n] - 1];
+
+function ayahLocation(s, a){
+  const i = ayahIndex(s, a), quarter = segmentOf(HIZB_QUARTER_STARTS, i);
+  return {
+    juz: segmentOf(JUZ_STARTS, i),
+    hizb: Math.ceil(quarter / 4),
+    quarter,
+    page: segmentOf(PAGE_STARTS, i),
+    ruku: segmentOf(RUKU_STARTS, i),
+    sajda: SAJDA_AYAT.includes(i),
+  };
+}
+
+// ---------- Mushaf Text (bundled, lazy) ----------
+// public/data/quran-uthmani.json: [[ayah texts of surah 1], …] in Uthmani script
+// (King Fahd Complex text as published by quranenc.com, CC BY-SA 4.0). Fetched once, then served by the SW cache.
+// Translation packs (public/data/translation-*.json) use the same layout.
+const MUSHAF_URL = "/data/quran-uthmani.json";
+const datasets = new Map(); // url -> Promise
+function loadDataset(url){
+  if (!datasets.has(url)) {
+    datasets.set(url, fetch(url)
+      .then((r) => { if (!r.ok) throw new Error(`${url} ${r.status}`); return r.json(); })
+      .catch((e) => { datasets.delete(url); throw e; }));
+  }
+  return datasets.get(url);
+}
+
+function useDataset(url){
+  const [data, setData] = useState(null);
+  useEffect(() => {
+    let live = true;
+    setData(null);
+    if (url) loadDataset(url).then((d) => live && setData(d)).catch(console.warn);
+    return () => { live = false; };
+  }, [url]);
+  return data;
+}
+const useMushaf = () => useDataset(MUSHAF_URL);
 
-// ---------- Service Worker (inline) ----------
-function useInlineServiceWorker() {
+// ---------- Service Worker ----------
+// Registers public/sw.js. A new version waits until the user accepts the update banner,
+// then takes over and the page reloads once.
+function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
   useEffect(() => {
     if (!("serviceWorker" in navigator)) return;
-    const swCode = `
-      const CACHE = 'rafiq-cache-v1';
-      self.addEventListener('install', e => {
-        e.waitUntil(caches.open(CACHE).then(c => c.addAll(['/'])));
-        self.skipWaiting();
-      });
-      self.addEventListener('activate', e => { e.waitUntil(self.clients.claim()); });
-      self.addEventListener('fetch', e => {
-        const url = new URL(e.request.url);
-        // Cache‑first for audio and API GETs to enhance offline behavior
-        if (e.request.method === 'GET' && (url.pathname.endsWith('.mp3') || url.hostname.includes('api.quran.com') || url.hostname.includes('verses.quran.com'))) {
-          e.respondWith(
-            caches.match(e.request).then(cached => cached || fetch(e.request).then(res => {
-              const resClone = res.clone();
-              caches.open(CACHE).then(c => c.put(e.request, resClone));
-              return res;
-            }).catch(() => cached))
-          );
-        }
+    let reloading = false, timer;
+    const onControllerChange = () => { if (!reloading) { reloading = true; window.location.reload(); } };
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    navigator.serviceWorker.register("/sw.js").then((reg) => {
+      const track = (sw) => sw?.addEventListener("statechange", () => {
+        if (sw.state === "installed" && navigator.serviceWorker.controller) setWaiting(sw);
       });
-    `;
-    const blob = new Blob([swCode], { type: 'text/javascript' });
-    const url = URL.createObjectURL(blob);
-    navigator.serviceWorker.register(url).catch(console.error);
-    return () => URL.revokeObjectURL(url);
+      if (reg.waiting && navigator.serviceWorker.controller) setWaiting(reg.waiting);
+      reg.addEventListener("updatefound", () => track(reg.installing));
+      timer = setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(console.error);
+    return () => {
+      clearInterval(timer);
+      navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+    };
   }, []);
+  const applyUpdate = () => waiting?.postMessage({ type: "SKIP_WAITING" });
+  return { updateReady: !!waiting, applyUpdate };
 }
 
 // ---------- Core Hooks ----------
 function useSettings() {
-  const [settings, setSettings] = useState(() => load(STORAGE_KEYS.settings, {
-    reciter: RECITERS[0].id,
-    speed: 1,
-    translation: "en",
-    kids: load(STORAGE_KEYS.kids, false),
-    theme: "andalusi", // andalusi | modern | minimal
-    notifications: true,
-    arMode: true,
+  // Merge so settings saved by older versions pick up new keys.
+  return usePersisted(STORAGE_KEYS.settings, {}, (stored) => {
+    const defaults = {
+      reciter: RECITERS[0].id,
+      speed: 1,
+      kids: load(STORAGE_KEYS.kids, false),
+      theme: "andalusi", // andalusi | modern | minimal
+      notifications: true,
+      arMode: true,
+      location: null, // last known {lat, lon} so prayer times work without GPS
+      prayer: PRAYER_DEFAULTS,
+      hijri: HIJRI_DEFAULTS, // { method: umalqura | tabular, offset: days }
+    };
+    return { ...defaults, ...stored, prayer: { ...PRAYER_DEFAULTS, ...stored.prayer }, hijri: { ...HIJRI_DEFAULTS, ...stored.hijri } };
+  });
+}
+
+function useReminders() {
+  return usePersisted(STORAGE_KEYS.reminders, {}, (stored) => ({
+    ...REMINDER_DEFAULTS, ...stored,
+    // The first default pointed at a clip that never shipped.
+    ...(stored.audioUrl === "/audio/adhan.mp3" && { audioUrl: "" }),
   }));
-  useEffect(() => save(STORAGE_KEYS.settings, settings), [settings]);
-  return [settings, setSettings];
 }
 
-function useUser() {
-  const [user, setUser] = useState(() => load(STORAGE_KEYS.user, null));
-  useEffect(() => save(STORAGE_KEYS.user, user), [user]);
-  return [user, setUser];
+// Re-renders when the local day changes (checked every minute).
+function useToday() {
+  const [day, setDay] = useState(dayKey);
+  useEffect(() => {
+    const id = setInterval(() => setDay(dayKey()), 60000);
+    return () => clearInterval(id);
+  }, []);
+  return day;
+}
+
+// ---------- Achievements ----------
+// rafiq.progress: { days: { [YYYY-MM-DD]: { [key]: n } }, totals: { [key]: n } }, counted per local day so
+// "today" starts over at midnight. A key is the event type, or the rule id for rules with `where`
+// (the payload is not kept). rafiq.achievements: { [id]: { tier, at: [unlock time per tier] } }.
+const ruleKey = (id, rule) => (rule.where ? id : rule.event);
+const ruleMatches = (rule, payload = {}) => Object.entries(rule.where || {}).every(([k, v]) => payload[k] === v);
+
+function recordEvent(progress, type, payload, day = dayKey()){
+  const keys = [type, ...Object.entries(ACHIEVEMENTS)
+    .filter(([, r]) => r.event === type && r.where && ruleMatches(r, payload)).map(([id]) => id)];
+  const today = { ...progress.days[day] }, totals = { ...progress.totals };
+  for (const k of keys) { today[k] = (today[k] || 0) + 1; totals[k] = (totals[k] || 0) + 1; }
+  const days = { ...progress.days, [day]: today };
+  Object.keys(days).sort().slice(0, -PROGRESS_DAYS).forEach(k => delete days[k]);
+  return { ...progress, days, totals };
+}
+
+function ruleValue(id, progress, today = dayKey()){
+  const rule = ACHIEVEMENTS[id], key = ruleKey(id, rule);
+  const on = (d) => progress.days[d]?.[key] || 0;
+  if (rule.streak) {
+    // Like the adhkar streak: ends today, or yesterday while today is still open.
+    const min = rule.min || 1;
+    let k = on(today) >= min ? today : addDays(today, -1), n = 0;
+    while (on(k) >= min) { n++; k = addDays(k, -1); }
+    return n;
+  }
+  if (rule.window === "day") return on(today);
+  if (rule.window === "week") return Array.from({ length: 7 }, (_, i) => on(addDays(today, -i))).reduce((a, b) => a + b, 0);
+  return progress.totals[key] || 0;
+}
+
+const tierOf = (id, value) => ACHIEVEMENTS[id].tiers.filter(t => value >= t).length;
+
+// Rules whose value now reaches a tier above the one already unlocked.
+function newUnlocks(progress, ach, today){
+  return Object.keys(ACHIEVEMENTS)
+    .map(id => ({ id, tier: tierOf(id, ruleValue(id, progress, today)) }))
+    .filter(u => u.tier > (ach[u.id]?.tier || 0));
+}
+
+// record(type, payload) appends to the stream; new unlocks are stored and queued as toasts.
+function useAchievements(){
+  const [progress, setProgress] = usePersisted(STORAGE_KEYS.progress, {}, reviveProgress);
+  const [ach, setAch] = usePersisted(STORAGE_KEYS.achievements, {}, reviveAchievements);
+  const [toasts, setToasts] = useState([]);
+  const today = useToday();
+
+  useEffect(() => {
+    const fresh = newUnlocks(progress, ach, today);
+    if (!fresh.length) return;
+    const now = Date.now();
+    setAch(a => ({ ...a, ...Object.fromEntries(fresh.map(({ id, tier }) => {
+      const at = (a[id]?.at || []).slice(0, tier);
+      while (at.length < tier) at.push(now);
+      return [id, { tier, at }];
+    })) }));
+    setToasts(t => [...t, ...fresh.map(u => ({ ...u, key: `${u.id}:${u.tier}` }))]);
+  }, [progress, today]);
+
+  const record = (type, payload) => setProgress(p => recordEvent(p, type, payload));
+  const dismiss = (key) => setToasts(t => t.filter(x => x.key !== key));
+  return { progress, ach, record, toasts, dismiss };
 }
 
-function useProgress() {
-  const [progress, setProgress] = useState(() => load(STORAGE_KEYS.progress, { readToday: 0, saved: [] }));
-  useEffect(() => save(STORAGE_KEYS.progress, progress), [progress]);
-  return [progress, setProgress];
+// ---------- Action Bus ----------
+// Panels register handlers by action type; emit runs them in order and resolves to the first
+// reply (a string to show and speak), so voice commands don't need to know who does the work.
+function createActionBus(){
+  const handlers = new Map();
+  return {
+    on(type, fn){
+      handlers.set(type, [...(handlers.get(type) || []), fn]);
+      return () => handlers.set(type, handlers.get(type).filter((h) => h !== fn));
+    },
+    async emit(action){
+      for (const fn of handlers.get(action.type) || []) {
+        const reply = await fn(action);
+        if (reply !== undefined) return reply;
+      }
+    },
+  };
 }
 
-function useAchievements() {
-  const [ach, setAch] = useState(() => load(STORAGE_KEYS.achievements, {}));
-  const unlock = (id) => setAch((a) => (a[id] ? a : { ...a, [id]: { ...ACHIEVEMENTS[id], unlockedAt: Date.now() } }));
-  useEffect(() => save(STORAGE_KEYS.achievements, ach), [ach]);
-  return { ach, unlock };
+// Subscribes for the component's lifetime; the latest `fn` is always the one called.
+function useAction(bus, type, fn){
+  const ref = useRef(fn);
+  ref.current = fn;
+  useEffect(() => bus?.on(type, (a) => ref.current(a)), [bus, type]);
 }
 
 // ---------- Utility components ----------
@@ -167,18 +559,196 @@ const Section = ({ title, children, right }) => (
 
 const Pill = ({ children }) => <span className="px-2 py-1 rounded-full text-xs bg-gray-100 dark:bg-gray-800">{children}</span>;
 
-// ---------- Auth ----------
-function Auth({ onLogin }) {
-  const [email, setEmail] = useState("");
-  const [phone, setPhone] = useState("");
-  const [code, setCode] = useState("");
+// ---------- Auth (local profiles + optional OIDC) ----------
+// Several profiles share a device. Local profiles unlock with a PIN or passphrase, stored only as a
+// PBKDF2-SHA256 hash; OIDC profiles sign in through the configured provider on every session.
+// rafiq.profiles: { profiles: [{ id, name, role, provider, sub?, email?, phone?, secret?, failed, lockedUntil }], oidc }
+// The active profile id lives in sessionStorage, so closing the app locks it again.
+const ROLES = {
+  admin: { label: "مشرف", can: ["profiles.manage", "settings", "downloads", "groups.manage", "groups", "donations", "kids.toggle"] },
+  teacher: { label: "معلّم", can: ["settings", "downloads", "groups.manage", "groups", "donations", "kids.toggle"] },
+  student: { label: "طالب", can: ["settings", "downloads", "groups", "donations"] },
+  child: { label: "طفل", can: [] },
+};
+const can = (profile, perm) => !!profile && (ROLES[profile.role]?.can || []).includes(perm);
+
+const PBKDF2_ITERATIONS = 210000;
+const MIN_SECRET = 4;
+const MAX_FAILED = 5; // then locked for LOCK_MS
+const LOCK_MS = 60 * 1000;
+const SESSION_KEY = "rafiq.session";
+const isLocked = (p) => p.lockedUntil > Date.now();
+const lockedError = (until) => new Error(`محاولات كثيرة — أعد المحاولة بعد ${Math.ceil((until - Date.now()) / 1000)} ثانية`);
+
+const bytesToB64 = (b) => btoa(String.fromCharCode(...new Uint8Array(b)));
+const b64ToBytes = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+
+async function pbkdf2(secret, salt, iterations){
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret.normalize("NFKC")), "PBKDF2", false, ["deriveBits"]);
+  return crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+}
+
+async function hashSecret(secret){
+  const salt = randomBytes(16);
+  return { salt: bytesToB64(salt), iterations: PBKDF2_ITERATIONS, hash: bytesToB64(await pbkdf2(secret, salt, PBKDF2_ITERATIONS)) };
+}
+
+async function verifySecret(secret, stored){
+  const a = new Uint8Array(await pbkdf2(secret, b64ToBytes(stored.salt), stored.iterations));
+  const b = b64ToBytes(stored.hash);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+// OIDC sign-in (see oidc.js). Any issuer with discovery works, including oidcMock.js
+// ({ issuer: "http://localhost:8080", clientId: "rafiq" }). Roles come from the `rafiq_role`
+// or `roles` claim; anything unknown becomes a student.
+const OIDC_FLOW_KEY = "rafiq.oidc.flow";
+const oidcRedirectUri = () => `${location.origin}/`;
+
+async function oidcStart(config){
+  const { url, flow } = await oidcAuthorize(config, oidcRedirectUri());
+  sessionStorage.setItem(OIDC_FLOW_KEY, JSON.stringify(flow));
+  location.assign(url);
+}
+
+// Returns the signed-in identity when the page is the provider's redirect back, else null.
+async function oidcComplete(config){
+  const params = new URLSearchParams(location.search);
+  const flow = JSON.parse(sessionStorage.getItem(OIDC_FLOW_KEY) || "null");
+  if (!config?.issuer || !params.get("code") || !flow) return null;
+  sessionStorage.removeItem(OIDC_FLOW_KEY);
+  history.replaceState(null, "", location.pathname);
+  const info = await oidcRedeem(config, oidcRedirectUri(), params, flow);
+  const claimed = [info.rafiq_role, ...(info.roles || [])].find(r => ROLES[r]);
+  return { sub: info.sub, name: info.name || info.preferred_username || info.email || "مستخدم", email: info.email, role: claimed || "student" };
+}
+
+// One-time move of the old single `rafiq.user` login. It had no secret, so the lock screen asks for
+// one (entered twice) before the profile can sign in at all; see claimProfile.
+function migrateLegacyUser(){
+  const old = load(STORAGE_KEYS.user, null);
+  if (!old) return [];
+  removeStored(STORAGE_KEYS.user);
+  return [{ id: String(old.id), name: old.name || "ضيف", email: old.email, phone: old.phone, role: "admin", provider: "local", secret: null, failed: 0, lockedUntil: 0 }];
+}
+
+function useAuth(){
+  const [store, setStore] = usePersisted(STORAGE_KEYS.profiles, null, (s) => s || { profiles: migrateLegacyUser(), oidc: null });
+  const [activeId, setActiveId] = useState(() => sessionStorage.getItem(SESSION_KEY));
+  const [error, setError] = useState("");
+  useEffect(() => { activeId ? sessionStorage.setItem(SESSION_KEY, activeId) : sessionStorage.removeItem(SESSION_KEY); }, [activeId]);
+
+  const patch = (id, p) => setStore(s => ({ ...s, profiles: s.profiles.map(x => x.id === id ? { ...x, ...p } : x) }));
+  // Wrong secrets count against the profile and lock it for LOCK_MS after MAX_FAILED.
+  const fail = (p) => {
+    const failed = (p.failed || 0) + 1;
+    patch(p.id, failed >= MAX_FAILED ? { failed: 0, lockedUntil: Date.now() + LOCK_MS } : { failed });
+  };
+  const current = store.profiles.find(p => p.id === activeId) || null;
+
+  // Finish an OIDC redirect: reuse the profile bound to this subject or create one.
+  useEffect(() => {
+    oidcComplete(store.oidc).then(ident => {
+      if (!ident) return;
+      const existing = store.profiles.find(p => p.provider === "oidc" && p.sub === ident.sub);
+      const id = existing?.id || `oidc-${Date.now()}`;
+      setStore(s => ({ ...s, profiles: existing
+        ? s.profiles.map(p => p.id === id ? { ...p, name: ident.name, email: ident.email, role: ident.role } : p)
+        : [...s.profiles, { id, provider: "oidc", ...ident, failed: 0, lockedUntil: 0 }] }));
+      setActiveId(id);
+    }).catch(e => setError(`فشل تسجيل الدخول عبر المزوّد: ${e.message}`));
+  }, []);
+
+  const createProfile = async ({ name, role, secret, email, phone }) => {
+    if ((secret || "").length < MIN_SECRET) throw new Error(`الرمز ${MIN_SECRET} خانات على الأقل`);
+    // The first profile on a device administers the rest.
+    const first = store.profiles.length === 0;
+    if (!first && !can(current, "profiles.manage")) throw new Error("لا تملك صلاحية إنشاء ملفات");
+    const p = { id: String(Date.now()), name: name.trim() || "ضيف", role: first ? "admin" : role, email, phone, provider: "local", secret: await hashSecret(secret), failed: 0, lockedUntil: 0 };
+    setStore(s => ({ ...s, profiles: [...s.profiles, p] }));
+    if (first) setActiveId(p.id);
+    return p;
+  };
+
+  const login = async (id, secret) => {
+    const p = store.profiles.find(x => x.id === id);
+    if (!p) throw new Error("الملف غير موجود");
+    if (p.provider === "oidc") return oidcStart(store.oidc);
+    if (!p.secret) throw new Error("عيّن رمزًا لهذا الملف أولًا");
+    if (isLocked(p)) throw lockedError(p.lockedUntil);
+    if (await verifySecret(secret, p.secret)) { patch(id, { failed: 0, lockedUntil: 0 }); setActiveId(id); return; }
+    fail(p);
+    throw new Error("رمز غير صحيح");
+  };
+
+  const changeSecret = async (id, secret) => {
+    if (id !== activeId && !can(current, "profiles.manage")) throw new Error("لا تملك الصلاحية");
+    if (secret.length < MIN_SECRET) throw new Error(`الرمز ${MIN_SECRET} خانات على الأقل`);
+    patch(id, { secret: await hashSecret(secret), failed: 0, lockedUntil: 0 });
+  };
+
+  // First secret for a migrated profile. It doesn't sign in: the new secret is then entered at login.
+  const claimProfile = async (id, secret, confirm) => {
+    const p = store.profiles.find(x => x.id === id);
+    if (!p || p.provider !== "local" || p.secret) throw new Error("لهذا الملف رمز بالفعل");
+    if (secret.length < MIN_SECRET) throw new Error(`الرمز ${MIN_SECRET} خانات على الأقل`);
+    if (secret !== confirm) throw new Error("الرمزان غير متطابقين");
+    patch(id, { secret: await hashSecret(secret), failed: 0, lockedUntil: 0 });
+  };
+
+  const updateProfile = (id, p) => { if (can(current, "profiles.manage")) patch(id, p); };
+
+  const removeProfile = (id) => {
+    if (!can(current, "profiles.manage") || id === activeId) return;
+    setStore(s => ({ ...s, profiles: s.profiles.filter(p => p.id !== id) }));
+  };
+
+  const setOidc = (oidc) => { if (can(current, "profiles.manage")) setStore(s => ({ ...s, oidc })); };
+
+  // Parent PIN for leaving kids mode: the local profile (if any) that may toggle it and has this secret.
+  // The PIN could be any parent's, so a wrong one counts against each of them, as at the lock screen.
+  const verifyParent = async (secret) => {
+    const parents = store.profiles.filter(p => can(p, "kids.toggle") && p.secret);
+    const open = parents.filter(p => !isLocked(p));
+    if (parents.length && !open.length) throw lockedError(Math.min(...parents.map(p => p.lockedUntil)));
+    for (const p of open) if (await verifySecret(secret, p.secret)) { patch(p.id, { failed: 0, lockedUntil: 0 }); return p; }
+    open.forEach(fail);
+    return null;
+  };
+
+  return {
+    profiles: store.profiles, oidc: store.oidc, current, error,
+    can: (perm) => can(current, perm),
+    createProfile, login, changeSecret, claimProfile, updateProfile, removeProfile, setOidc, verifyParent,
+    logout: () => setActiveId(null),
+  };
+}
+
+// Lock screen: pick a profile and unlock it, or create the first (admin) profile on a new device.
+function Auth({ auth, initialId }) {
+  const [selected, setSelected] = useState(initialId || auth.profiles[0]?.id || null);
+  const [secret, setSecret] = useState("");
+  const [confirm, setConfirm] = useState("");
   const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState(auth.error);
+  const [busy, setBusy] = useState(false);
+  const profile = auth.profiles.find(p => p.id === selected);
+  const firstRun = auth.profiles.length === 0;
+  const unclaimed = profile?.provider === "local" && !profile.secret;
 
-  const submit = (e) => {
+  const submit = async (e) => {
     e.preventDefault();
-    const royal = code.trim() === "7777";
-    const u = { id: Date.now(), email, phone, name: name || "ضيف", role: royal ? "royal" : "user" };
-    onLogin(u);
+    setBusy(true); setError("");
+    try {
+      if (firstRun) await auth.createProfile({ name, email, secret, role: "admin" });
+      else if (unclaimed) { await auth.claimProfile(selected, secret, confirm); setError("تم تعيين الرمز — أدخله الآن للدخول."); }
+      else await auth.login(selected, secret);
+    } catch (err) { setError(err.message); }
+    setSecret(""); setConfirm(""); setBusy(false);
   };
 
   return (
@@ -191,437 +761,3997 @@ function Auth({ onLogin }) {
             <div className="text-sm opacity-70">تطبيق إسلامي شامل — بإتقان تصميمي</div>
           </div>
         </div>
-        <form onSubmit={submit} className="grid gap-3">
-          <input className="input" placeholder="الاسم (اختياري)" value={name} onChange={(e)=>setName(e.target.value)} />
-          <input className="input" placeholder="البريد الإلكتروني" type="email" required value={email} onChange={(e)=>setEmail(e.target.value)} />
-          <input className="input" placeholder="رقم الهاتف" type="tel" value={phone} onChange={(e)=>setPhone(e.target.value)} />
-          <input className="input" placeholder="رمز ملكي (7777) — اختياري" value={code} onChange={(e)=>setCode(e.target.value)} />
-          <button className="btn-primary">دخول</button>
-        </form>
-        <div className="text-xs mt-4 opacity-70">المطور: ليث النسر — سوريا</div>
+        {!firstRun && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {auth.profiles.map(p => (
+              <button key={p.id} type="button" className={cx("rounded-xl px-3 py-2 border", selected===p.id && "bg-emerald-600 text-white")} onClick={()=>{ setSelected(p.id); setError(""); }}>
+                {p.name} <span className="text-xs opacity-70">· {ROLES[p.role]?.label}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        <form onSubmit={submit} className="grid gap-3">
+          {firstRun && <>
+            <div className="text-sm opacity-80">أنشئ ملف المشرف لهذا الجهاز. يمكنك لاحقًا إضافة ملفات للأبناء والطلاب والمعلمين.</div>
+            <input className="input" placeholder="الاسم" required value={name} onChange={(e)=>setName(e.target.value)} />
+            <input className="input" placeholder="البريد الإلكتروني (اختياري)" type="email" value={email} onChange={(e)=>setEmail(e.target.value)} />
+          </>}
+          {unclaimed && <div className="text-sm opacity-80">نُقل هذا الملف من الإصدار السابق بلا رمز. عيّن له رمزًا سريًا، ثم ادخل به.</div>}
+          {profile?.provider === "oidc"
+            ? <div className="text-sm opacity-80">يسجّل هذا الملف الدخول عبر مزوّد الهوية.</div>
+            : <input className="input" type="password" autoComplete={firstRun || unclaimed ? "new-password" : "current-password"} required minLength={MIN_SECRET}
+                placeholder={firstRun || unclaimed ? `اختر رمزًا سريًا (${MIN_SECRET} خانات على الأقل)` : "الرمز السري"} value={secret} onChange={(e)=>setSecret(e.target.value)} />}
+          {unclaimed && <input className="input" type="password" autoComplete="new-password" required placeholder="أعد كتابة الرمز" value={confirm} onChange={(e)=>setConfirm(e.target.value)} />}
+          {error && <div className="text-sm text-rose-600">{error}</div>}
+          <button className="btn-primary" disabled={busy}>{firstRun ? "إنشاء ودخول" : unclaimed ? "تعيين الرمز" : "دخول"}</button>
+        </form>
+        <div className="text-xs mt-4 opacity-70">المطور: ليث النسر — سوريا</div>
+      </div>
+      <style>{`
+        .input{ @apply w-full rounded-xl border border-gray-300/70 dark:border-gray-700/70 bg-white/70 dark:bg-gray-800/60 px-4 py-2 outline-none focus:ring-2 focus:ring-emerald-500 } 
+        .btn-primary{ @apply w-full rounded-xl bg-emerald-600 text-white font-semibold py-2 hover:bg-emerald-700 transition } 
+      `}</style>
+    </div>
+  );
+}
+
+// Header dropdown: switching locks the session and opens the lock screen on the chosen profile.
+function ProfileSwitcher({ auth, onSwitch }){
+  return (
+    <select className="rounded-xl px-2 py-1 border bg-transparent text-sm" value={auth.current.id} onChange={e=>onSwitch(e.target.value)}>
+      {auth.profiles.map(p=> <option key={p.id} value={p.id}>{p.name} · {ROLES[p.role]?.label}</option>)}
+    </select>
+  );
+}
+
+function ProfilesPanel({ auth }){
+  const [form, setForm] = useState({ name: "", role: "child", secret: "" });
+  const [pin, setPin] = useState("");
+  const [oidc, setOidc] = useState(auth.oidc || { issuer: "", clientId: "", scope: "openid profile email" });
+  const [msg, setMsg] = useState("");
+  const run = async (fn, ok) => { try { await fn(); setMsg(ok); } catch (e) { setMsg(e.message); } };
+  const manage = auth.can("profiles.manage");
+
+  return (
+    <Section title="الملفات والصلاحيات" right={<Pill>{auth.current.name} · {ROLES[auth.current.role]?.label}</Pill>}>
+      {auth.current.provider === "local" && (
+        <form className="flex gap-2 mb-4" onSubmit={e=>{ e.preventDefault(); run(()=>auth.changeSecret(auth.current.id, pin), "تم تغيير الرمز"); setPin(""); }}>
+          <input className="input" type="password" autoComplete="new-password" placeholder="رمز سري جديد" value={pin} onChange={e=>setPin(e.target.value)} />
+          <button className="rounded-xl px-3 py-1 border whitespace-nowrap">تغيير رمزي</button>
+        </form>
+      )}
+      {manage && <>
+        <div className="grid gap-2 mb-4">
+          {auth.profiles.map(p=> (
+            <div key={p.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl border p-2 text-sm">
+              <span>{p.name} {p.provider==='oidc' && <Pill>OIDC</Pill>}</span>
+              <div className="flex gap-2">
+                <select className="rounded-xl px-2 py-1 border bg-transparent" value={p.role} disabled={p.id===auth.current.id} onChange={e=>auth.updateProfile(p.id, { role: e.target.value })}>
+                  {Object.entries(ROLES).map(([k,r])=> <option key={k} value={k}>{r.label}</option>)}
+                </select>
+                {p.provider==='local' && p.id!==auth.current.id && (
+                  <button className="rounded-xl px-3 py-1 border" onClick={()=>{ const s = prompt(`رمز جديد لـ ${p.name}`); if (s) run(()=>auth.changeSecret(p.id, s), "تم تعيين الرمز"); }}>إعادة تعيين الرمز</button>
+                )}
+                {p.id!==auth.current.id && <button className="rounded-xl px-3 py-1 border" onClick={()=>{ if (confirm(`حذف ملف ${p.name}؟`)) auth.removeProfile(p.id); }}>حذف</button>}
+              </div>
+            </div>
+          ))}
+        </div>
+        <form className="grid md:grid-cols-4 gap-2 mb-4" onSubmit={e=>{ e.preventDefault(); run(()=>auth.createProfile(form), "تمت إضافة الملف"); setForm(f=>({ ...f, name: "", secret: "" })); }}>
+          <input className="input" placeholder="الاسم" required value={form.name} onChange={e=>setForm({ ...form, name: e.target.value })} />
+          <select className="input" value={form.role} onChange={e=>setForm({ ...form, role: e.target.value })}>
+            {Object.entries(ROLES).map(([k,r])=> <option key={k} value={k}>{r.label}</option>)}
+          </select>
+          <input className="input" type="password" autoComplete="new-password" placeholder="الرمز السري" required value={form.secret} onChange={e=>setForm({ ...form, secret: e.target.value })} />
+          <button className="rounded-xl px-3 py-1 border">إضافة ملف</button>
+        </form>
+        <details>
+          <summary className="cursor-pointer text-sm">تسجيل الدخول عبر مزوّد هوية (OIDC)</summary>
+          <form className="grid md:grid-cols-4 gap-2 mt-2" onSubmit={e=>{ e.preventDefault(); auth.setOidc(oidc.issuer ? oidc : null); setMsg("تم حفظ إعداد المزوّد"); }}>
+            <input className="input" dir="ltr" placeholder="https://issuer.example" value={oidc.issuer} onChange={e=>setOidc({ ...oidc, issuer: e.target.value })} />
+            <input className="input" dir="ltr" placeholder="client_id" value={oidc.clientId} onChange={e=>setOidc({ ...oidc, clientId: e.target.value })} />
+            <input className="input" dir="ltr" placeholder="scope" value={oidc.scope} onChange={e=>setOidc({ ...oidc, scope: e.target.value })} />
+            <div className="flex gap-2">
+              <button className="rounded-xl px-3 py-1 border">حفظ</button>
+              {auth.oidc && <button type="button" className="rounded-xl px-3 py-1 border" onClick={()=>oidcStart(auth.oidc).catch(e=>setMsg(e.message))}>ربط حساب</button>}
+            </div>
+          </form>
+          <div className="text-xs opacity-70 mt-1">عنوان الرجوع: {oidcRedirectUri()}</div>
+        </details>
+      </>}
+      {msg && <div className="text-sm mt-2 opacity-80">{msg}</div>}
+    </Section>
+  );
+}
+
+// ---------- Recitation Queue (ranges, repeats, sleep timer) ----------
+const ayahAudioUrl = (reciter, s, a) => `${reciter.base}/${String(s).padStart(3,'0')}${String(a).padStart(3,'0')}.mp3`;
+const clampAyah = (s, a) => Math.min(Math.max(1, a || 1), surahInfo(s).ayahs);
+
+const RANGE_KINDS = { surah: "سورة كاملة", ayat: "من آية إلى آية", juz: "جزء", page: "صفحة" };
+const SLEEP_OPTIONS = [0, 5, 10, 15, 30, 45, 60]; // minutes, 0 = off
+
+// Range selection -> global [first, last] ayah numbers.
+function resolveRange(sel){
+  if (sel.kind === "juz") return segmentRange(JUZ_STARTS, sel.juz);
+  if (sel.kind === "page") return segmentRange(PAGE_STARTS, sel.page);
+  if (sel.kind === "ayat") {
+    const a = ayahIndex(sel.from[0], clampAyah(...sel.from)), b = ayahIndex(sel.to[0], clampAyah(...sel.to));
+    return [Math.min(a, b), Math.max(a, b)];
+  }
+  const { start, ayahs } = surahInfo(sel.surah);
+  return [start, start + ayahs - 1];
+}
+
+// Hifz-style order: each ayah ×ayahRepeat, then the whole range again ×rangeRepeat.
+// Cursor = { i: global ayah, rep, round }; `repeat` marks steps that follow the pause between repeats.
+function nextCursor(c, plan){
+  if (c.rep < plan.ayahRepeat) return { ...c, rep: c.rep + 1, repeat: true };
+  if (c.i < plan.last) return { i: c.i + 1, rep: 1, round: c.round };
+  if (c.round < plan.rangeRepeat) return { i: plan.first, rep: 1, round: c.round + 1, repeat: true };
+  return null;
+}
+
+// Next cursor that lands on a different ayah (what the preloader should fetch).
+function peekNextAyah(c, plan){
+  for (let n = nextCursor(c, plan); n; n = nextCursor(n, plan)) if (n.i !== c.i) return n.i;
+  return null;
+}
+
+// Drives a visible <audio> plus a hidden preloader that fetches the following ayah while the
+// current one plays, so the swap on `ended` comes straight from the browser cache.
+function useRecitationQueue(reciter, speed, onAyahEnd){
+  const audioRef = useRef(null);
+  const preRef = useRef(null);
+  const gapRef = useRef(null);
+  const [plan, setPlan] = useState(null); // { first, last, ayahRepeat, rangeRepeat, gap }
+  const [cursor, setCursor] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | playing | paused | gap | done
+  const [sleepAt, setSleepAt] = useState(null);
+
+  const src = cursor ? ayahAudioUrl(reciter, ...ayahFromIndex(cursor.i)) : undefined;
+
+  useEffect(()=>{
+    const el = audioRef.current;
+    if (!el || !cursor) return;
+    el.defaultPlaybackRate = el.playbackRate = speed;
+    el.currentTime = 0;
+    el.play().catch(console.warn);
+    const next = plan && peekNextAyah(cursor, plan);
+    if (preRef.current && next) preRef.current.src = ayahAudioUrl(reciter, ...ayahFromIndex(next));
+  }, [cursor]);
+
+  useEffect(()=>{ if(audioRef.current) audioRef.current.playbackRate = speed; }, [speed]);
+
+  useEffect(()=>{
+    if (!sleepAt) return;
+    const id = setTimeout(()=>{ stop(); setSleepAt(null); }, sleepAt - Date.now());
+    return ()=> clearTimeout(id);
+  }, [sleepAt]);
+
+  useEffect(()=> ()=> clearTimeout(gapRef.current), []);
+
+  const go = (c) => { clearTimeout(gapRef.current); setCursor(c); setStatus("playing"); };
+  const start = (p, fromIndex) => {
+    setPlan(p);
+    const i = fromIndex >= p.first && fromIndex <= p.last ? fromIndex : p.first;
+    go({ i, rep: 1, round: 1 });
+  };
+  const onEnded = () => {
+    const el = audioRef.current;
+    if (cursor) onAyahEnd?.(cursor.i, (el?.duration || 0) / (el?.playbackRate || 1) * 1000);
+    const next = plan && cursor && nextCursor(cursor, plan);
+    if (!next) { setStatus("done"); return; }
+    if (next.repeat && plan.gap > 0) {
+      setStatus("gap");
+      gapRef.current = setTimeout(()=> go(next), plan.gap * 1000);
+    } else go(next);
+  };
+  const pause = () => { clearTimeout(gapRef.current); audioRef.current?.pause(); };
+  const resume = () => { if (status === "gap") go(nextCursor(cursor, plan)); else audioRef.current?.play(); };
+  const stop = () => { pause(); setPlan(null); setCursor(null); setStatus("idle"); };
+  const skip = (dir) => {
+    if (!plan || !cursor) return;
+    const i = Math.min(plan.last, Math.max(plan.first, cursor.i + dir));
+    go({ i, rep: 1, round: cursor.round });
+  };
+  const setSleep = (mins) => setSleepAt(mins ? Date.now() + mins * 60000 : null);
+
+  const audioProps = {
+    ref: audioRef, src, onEnded,
+    onPlay: ()=> setStatus("playing"),
+    onPause: ()=> setStatus(s => (s === "playing" ? "paused" : s)),
+  };
+  return { audioProps, preRef, plan, cursor, status, sleepAt, start, pause, resume, stop, skip, setSleep };
+}
+
+// ---------- Audio Player with Download (Offline) ----------
+function QuranAudio({ settings, setSettings, sources, onReading, downloads, request, bookmarks, bus }) {
+  // Reopen where the reader left off.
+  const [surah, setSurah] = useState(() => bookmarks?.lastRead ? ayahFromIndex(bookmarks.lastRead.i)[0] : 1);
+  const [ayah, setAyah] = useState(() => bookmarks?.lastRead ? ayahFromIndex(bookmarks.lastRead.i)[1] : 1);
+  const [sel, setSel] = useState({ kind: "surah", juz: 1, page: 1, from: [1, 1], to: [1, 7] });
+  const [reps, setReps] = useState({ ayahRepeat: 1, rangeRepeat: 1, gap: 0 });
+
+  const reciter = useMemo(() => RECITERS.find(r=>r.id===settings.reciter) || RECITERS[0], [settings.reciter]);
+  const audioUrl = useMemo(()=> ayahAudioUrl(reciter, surah, ayah), [reciter, surah, ayah]);
+  const q = useRecitationQueue(reciter, settings.speed, (i, ms) => onReading?.("listen", i, ms));
+  // Ayat the reader shows while a recitation plays are logged as listened (on `ended`), not read.
+  const onDwell = (i, ms) => { if (!["playing", "gap"].includes(q.status) && ms >= READ_MIN_MS) onReading?.("read", i, ms); };
+
+  // Other panels hand over a range: { first, last, at } plays it (hifz reviews…);
+  // { first, play: false } only opens that ayah in the reader (bookmarks, search…).
+  useEffect(()=>{
+    if (!request) return;
+    if (request.play === false) { const [s, a] = ayahFromIndex(request.first); setSurah(s); setAyah(a); }
+    else q.start({ first: request.first, last: request.last, ayahRepeat: 1, rangeRepeat: 1, gap: 0, ...request.plan }, request.first);
+    document.getElementById('quran-player')?.scrollIntoView({ behavior: 'smooth' });
+  }, [request]);
+
+  // The reader follows the queue.
+  useEffect(()=>{
+    if (!q.cursor) return;
+    const [s, a] = ayahFromIndex(q.cursor.i);
+    setSurah(s); setAyah(a);
+  }, [q.cursor]);
+
+  const play = () => {
+    if (q.status === "paused" || q.status === "gap") return q.resume();
+    const [first, last] = resolveRange({ ...sel, surah });
+    q.start({ first, last, ...reps }, ayahIndex(surah, ayah));
+  };
+  const pause = () => { q.pause(); };
+
+  useAction(bus, "player.play", (a) => {
+    const range = intentRange(a);
+    if (!range) { play(); return say(a.lang, "تشغيل", "Playing"); }
+    q.start({ first: range[0], last: range[1], ...reps }, range[0]);
+    document.getElementById('quran-player')?.scrollIntoView({ behavior: 'smooth' });
+    return describePlay(a);
+  });
+  useAction(bus, "player.pause", (a) => { pause(); return say(a.lang, "تم الإيقاف", "Paused"); });
+  useAction(bus, "player.resume", (a) => { play(); return say(a.lang, "متابعة التلاوة", "Resuming"); });
+  const voiceSkip = (step, ar, en) => (a) => {
+    if (!q.plan) return say(a.lang, "لا تلاوة جارية", "Nothing is playing");
+    q.skip(step);
+    return say(a.lang, ar, en);
+  };
+  useAction(bus, "player.next", voiceSkip(1, "الآية التالية", "Next verse"));
+  useAction(bus, "player.prev", voiceSkip(-1, "الآية السابقة", "Previous verse"));
+  const download = () => downloads.enqueue({ reciter: reciter.id, kind: "surah", n: surah });
+  const setRep = (k) => (e) => setReps(r=>({...r, [k]: Math.max(k==='gap'?0:1, +e.target.value)}));
+
+  return (
+    <Section title="قارئ القرآن المتقدم" right={<Pill>دون اتصال</Pill>}>
+      <div id="quran-player" className="grid md:grid-cols-2 gap-4">
+        <div className="grid gap-3">
+          <label className="text-sm">السورة</label>
+          <select className="input" value={surah} onChange={(e)=>{setSurah(+e.target.value); setAyah(1);}}>
+            {SURAH_META.map(([i,n,c,ar])=> <option key={i} value={i}>{i}. {ar} — {n} ({c})</option>)}
+          </select>
+          <label className="text-sm">الآية</label>
+          <input className="input" type="number" value={ayah} min={1} max={(SURAH_META.find(s=>s[0]===surah)?.[2]||7)} onChange={(e)=>setAyah(+e.target.value)} />
+          <label className="text-sm">القارئ</label>
+          <select className="input" value={settings.reciter} onChange={(e)=>setSettings(s=>({...s, reciter:e.target.value}))}>
+            {RECITERS.map(r=> <option key={r.id} value={r.id}>{r.name}</option>)}
+          </select>
+          <label className="text-sm">السرعة: {settings.speed}x</label>
+          <input type="range" min="0.5" max="2" step="0.1" value={settings.speed} onChange={(e)=>setSettings(s=>({...s, speed:+e.target.value}))} />
+          <details className="text-sm">
+            <summary className="cursor-pointer">قائمة التشغيل والتكرار</summary>
+            <div className="grid gap-2 mt-2">
+              <select className="input" value={sel.kind} onChange={e=>setSel(x=>({...x, kind:e.target.value}))}>
+                {Object.entries(RANGE_KINDS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+              </select>
+              {sel.kind==='juz' && <input className="input" type="number" min={1} max={30} value={sel.juz} onChange={e=>setSel(x=>({...x, juz: Math.min(30, Math.max(1, +e.target.value))}))} />}
+              {sel.kind==='page' && <input className="input" type="number" min={1} max={604} value={sel.page} onChange={e=>setSel(x=>({...x, page: Math.min(604, Math.max(1, +e.target.value))}))} />}
+              {sel.kind==='ayat' && ['from','to'].map(k=> (
+                <div key={k} className="flex items-center gap-2">
+                  <span className="w-8">{k==='from'?'من':'إلى'}</span>
+                  <input className="input" type="number" min={1} max={114} value={sel[k][0]} onChange={e=>setSel(x=>({...x, [k]: [Math.min(114, Math.max(1, +e.target.value)), 1]}))} />
+                  <input className="input" type="number" min={1} value={sel[k][1]} onChange={e=>setSel(x=>({...x, [k]: [x[k][0], clampAyah(x[k][0], +e.target.value)]}))} />
+                </div>
+              ))}
+              <div className="grid grid-cols-3 gap-2">
+                <label className="grid gap-1">تكرار الآية<input className="input" type="number" min={1} value={reps.ayahRepeat} onChange={setRep('ayahRepeat')} /></label>
+                <label className="grid gap-1">تكرار المقطع<input className="input" type="number" min={1} value={reps.rangeRepeat} onChange={setRep('rangeRepeat')} /></label>
+                <label className="grid gap-1">فاصل (ث)<input className="input" type="number" min={0} value={reps.gap} onChange={setRep('gap')} /></label>
+              </div>
+              <label className="flex items-center gap-2">مؤقت النوم
+                <select className="input" value="" onChange={e=>q.setSleep(+e.target.value)}>
+                  <option value="" disabled>{q.sleepAt ? `يتوقف ${fmtTime(new Date(q.sleepAt))}` : "—"}</option>
+                  {SLEEP_OPTIONS.map(m=> <option key={m} value={m}>{m ? `${m} دقيقة` : "إلغاء"}</option>)}
+                </select>
+              </label>
+            </div>
+          </details>
+          <div className="flex flex-wrap gap-2">
+            <button className="btn-primary" onClick={play}>تشغيل</button>
+            <button className="rounded-xl px-4 py-2 border" onClick={pause}>إيقاف</button>
+            <button className="rounded-xl px-4 py-2 border" onClick={()=>q.skip(-1)} disabled={!q.plan}>السابق</button>
+            <button className="rounded-xl px-4 py-2 border" onClick={()=>q.skip(1)} disabled={!q.plan}>التالي</button>
+            <button className="rounded-xl px-4 py-2 border" onClick={download}>{downloads.sets[downloadSetId(reciter.id, "surah", surah)]?.status==='done' ? "السورة منزّلة" : "تنزيل السورة"}</button>
+          </div>
+        </div>
+        <div className="grid gap-3">
+          <audio {...q.audioProps} src={q.audioProps.src || audioUrl} controls className="w-full" />
+          <audio ref={q.preRef} preload="auto" className="hidden" />
+          <div className="text-sm opacity-70">
+            الحالة: {q.status}
+            {q.plan && q.cursor && <> — التكرار {q.cursor.rep}/{q.plan.ayahRepeat} · الدورة {q.cursor.round}/{q.plan.rangeRepeat}</>}
+          </div>
+          <SmartAyahDisplay surah={surah} ayah={ayah} sources={sources} onDwell={onDwell} bookmarks={bookmarks} bus={bus} />
+        </div>
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Offline Download Manager ----------
+// Sets (a surah, a juz or the whole mushaf for one reciter) are fetched ayah by ayah into DOWNLOAD_CACHE
+// and tracked in rafiq.downloads as { [id]: { id, reciter, kind, n, total, done, bytes, status } }.
+const DOWNLOAD_KINDS = { surah: "سورة", juz: "جزء", all: "المصحف كاملًا" };
+const DOWNLOAD_CONCURRENCY = 4;
+
+const downloadSetId = (reciter, kind, n) => `${reciter}:${kind}:${kind === "all" ? 0 : n}`;
+const downloadLabel = (set) => set.kind === "surah" ? `سورة ${surahInfo(set.n).nameAr}` : set.kind === "juz" ? `الجزء ${set.n}` : DOWNLOAD_KINDS.all;
+const downloadRange = (set) => set.kind === "all" ? [1, AYAH_COUNT] : resolveRange({ kind: set.kind, surah: set.n, juz: set.n });
+
+function downloadUrls(set){
+  const reciter = RECITERS.find(r => r.id === set.reciter) || RECITERS[0];
+  const [first, last] = downloadRange(set);
+  const urls = [];
+  for (let i = first; i <= last; i++) urls.push(ayahAudioUrl(reciter, ...ayahFromIndex(i)));
+  return urls;
+}
+
+const fmtBytes = (b) => b > 1 << 30 ? `${(b / (1 << 30)).toFixed(1)} GB` : `${(b / (1 << 20)).toFixed(1)} MB`;
+
+function useDownloadManager(onDownloaded){
+  // A set that was mid-download when the page closed resumes from the queue.
+  const [sets, setSets] = usePersisted(STORAGE_KEYS.downloads, {}, (stored) => Object.fromEntries(Object.entries(stored)
+    .map(([id, d]) => [id, d.status === "downloading" ? { ...d, status: "queued" } : d])));
+  const [estimate, setEstimate] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const active = useRef(null); // same id, readable synchronously by the queue effect
+  const stopped = useRef(new Set());
+  const workers = useRef(Promise.resolve()); // the active set's workers, awaited by remove
+
+  const patch = (id, p) => setSets(s => (s[id] ? { ...s, [id]: { ...s[id], ...p } } : s));
+  const refreshEstimate = () => navigator.storage?.estimate?.().then(setEstimate).catch(console.warn);
+  useEffect(() => { refreshEstimate(); }, []);
+
+  const run = async (set) => {
+    active.current = set.id; setActiveId(set.id);
+    stopped.current.delete(set.id);
+    patch(set.id, { status: "downloading" });
+    navigator.storage?.persist?.().catch(() => {});
+    const cache = await caches.open(DOWNLOAD_CACHE);
+    const queue = downloadUrls(set);
+    let done = 0, bytes = set.bytes || 0, failed = 0;
+    const worker = async () => {
+      while (queue.length && !stopped.current.has(set.id)) {
+        const url = queue.shift();
+        try {
+          if (!(await cache.match(url))) {
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(`${res.status} ${url}`);
+            const size = (await res.clone().arrayBuffer()).byteLength;
+            if (stopped.current.has(set.id)) break; // paused or removed while fetching
+            bytes += size;
+            await cache.put(url, res);
+          }
+          done++;
+        } catch (e) { console.warn(e); failed++; }
+        patch(set.id, { done, bytes });
+      }
+    };
+    workers.current = Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+    await workers.current;
+    active.current = null; setActiveId(null);
+    if (stopped.current.has(set.id)) return;
+    patch(set.id, { status: failed ? "error" : "done", failed, updatedAt: Date.now() });
+    if (!failed) onDownloaded?.();
+    refreshEstimate();
+  };
+
+  // One set at a time, in the order they were queued.
+  useEffect(() => {
+    if (active.current || !('caches' in window)) return;
+    const next = Object.values(sets).filter(d => d.status === "queued").sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (next) run(next).catch((e) => { console.warn(e); active.current = null; setActiveId(null); patch(next.id, { status: "error" }); });
+  }, [sets, activeId]);
+
+  const enqueue = ({ reciter, kind, n }) => {
+    if (!('caches' in window)) return alert('المتصفح لا يدعم التخزين المؤقت');
+    const id = downloadSetId(reciter, kind, n);
+    setSets(s => {
+      if (s[id] && s[id].status !== "error") return s;
+      const base = { id, reciter, kind, n: kind === "all" ? 0 : n };
+      const [first, last] = downloadRange(base);
+      return { ...s, [id]: { ...base, total: last - first + 1, done: 0, bytes: 0, status: "queued", createdAt: Date.now() } };
+    });
+  };
+  const pause = (id) => { stopped.current.add(id); patch(id, { status: "paused" }); };
+  const resume = (id) => patch(id, { status: "queued" }); // also retries failed sets; cached ayat are skipped
+  const remove = async (id) => {
+    stopped.current.add(id);
+    const set = sets[id];
+    setSets(s => { const next = { ...s }; delete next[id]; return next; });
+    if (!set || !('caches' in window)) return;
+    // A put already under way would otherwise land after the delete and leave an untracked file.
+    if (active.current === id) await workers.current;
+    // Keep files that another downloaded set of any reciter still needs (a surah inside a juz, …).
+    const keep = new Set(Object.values(sets).filter(d => d.id !== id).flatMap(downloadUrls));
+    const cache = await caches.open(DOWNLOAD_CACHE);
+    await Promise.all(downloadUrls(set).filter(u => !keep.has(u)).map(u => cache.delete(u)));
+    refreshEstimate();
+  };
+
+  return { sets, estimate, enqueue, pause, resume, remove };
+}
+
+function DownloadManager({ downloads, settings }){
+  const [kind, setKind] = useState("surah");
+  const [n, setN] = useState(1);
+  const list = Object.values(downloads.sets).sort((a, b) => a.createdAt - b.createdAt);
+  const byReciter = list.reduce((m, d) => ({ ...m, [d.reciter]: (m[d.reciter] || 0) + (d.bytes || 0) }), {});
+  const max = kind === "juz" ? 30 : 114;
+
+  return (
+    <Section title="التنزيلات دون اتصال" right={downloads.estimate && <Pill>{fmtBytes(downloads.estimate.usage)} / {fmtBytes(downloads.estimate.quota)}</Pill>}>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select className="input w-40" value={kind} onChange={e=>setKind(e.target.value)}>
+          {Object.entries(DOWNLOAD_KINDS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+        </select>
+        {kind==='surah' && (
+          <select className="input w-56" value={n} onChange={e=>setN(+e.target.value)}>
+            {SURAH_META.map(([i,,,ar])=> <option key={i} value={i}>{i}. {ar}</option>)}
+          </select>
+        )}
+        {kind==='juz' && <input className="input w-24" type="number" min={1} max={max} value={Math.min(n, max)} onChange={e=>setN(Math.min(max, Math.max(1, +e.target.value)))} />}
+        <button className="rounded-xl px-4 py-2 border" onClick={()=>downloads.enqueue({ reciter: settings.reciter, kind, n: Math.min(n, max) })}>إضافة للتنزيل</button>
+      </div>
+      {Object.keys(byReciter).length>0 && (
+        <div className="flex flex-wrap gap-2 mb-3 text-sm">
+          {Object.entries(byReciter).map(([r,b])=> <Pill key={r}>{RECITERS.find(x=>x.id===r)?.name || r}: {fmtBytes(b)}</Pill>)}
+        </div>
+      )}
+      <div className="grid gap-2">
+        {list.length? list.map(d=> (
+          <div key={d.id} className="rounded-xl border p-3">
+            <div className="flex items-center justify-between gap-2 text-sm">
+              <div className="font-bold">{downloadLabel(d)} <span className="opacity-70 font-normal">— {RECITERS.find(r=>r.id===d.reciter)?.name}</span></div>
+              <div className="opacity-70 tabular-nums">{d.done}/{d.total} · {fmtBytes(d.bytes||0)}</div>
+            </div>
+            <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-800 mt-2 overflow-hidden">
+              <div className={cx("h-full", d.status==='error'?"bg-rose-500":"bg-emerald-500")} style={{width:`${Math.round(100*d.done/d.total)}%`}} />
+            </div>
+            <div className="flex gap-2 mt-2 text-sm">
+              <Pill>{{queued:"في الانتظار", downloading:"جارٍ التنزيل", paused:"متوقف", done:"مكتمل", error:`فشل ${d.failed||''}`}[d.status]}</Pill>
+              {(d.status==='downloading' || d.status==='queued') && <button className="rounded-xl px-3 py-1 border" onClick={()=>downloads.pause(d.id)}>إيقاف مؤقت</button>}
+              {d.status==='paused' && <button className="rounded-xl px-3 py-1 border" onClick={()=>downloads.resume(d.id)}>استئناف</button>}
+              {d.status==='error' && <button className="rounded-xl px-3 py-1 border" onClick={()=>downloads.resume(d.id)}>إعادة المحاولة</button>}
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>downloads.remove(d.id)}>حذف</button>
+            </div>
+          </div>
+        )): <div className="opacity-70 text-sm">لا توجد تنزيلات بعد.</div>}
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Content Sources (translations & tafsir) ----------
+// Each source reads one ayah or a whole surah through its provider, as strings (tafsir may be HTML,
+// which is only ever rendered through sanitizeHtml). A surah saved for offline reading is kept in
+// DATA_CACHE under /data/sources/<id>/<surah>.json and read before the provider.
+// Imported pack: { id, kind: "translation" | "tafsir", name, lang, surahs: [[ayah text…]…] } (mushaf layout);
+// only `surahs` is cached, under /data/sources/<id>.json.
+// rafiq.sources: { selected: [id], layout: "side" | "tabs", imported: { [id]: source }, offline: { [id]: [surah] } }
+const SOURCE_KINDS = { translation: "الترجمات", tafsir: "التفاسير" };
+const SOURCE_LAYOUTS = { side: "جنبًا إلى جنب", tabs: "تبويبات" };
+const LEGACY_TRANSLATIONS = { en: "en-sahih", tr: "tr-diyanet", fr: "fr-hamidullah" }; // settings.translation codes
+const sourceFileUrl = (id) => `/data/sources/${id}.json`;
+const sourceSurahUrl = (id, s) => `/data/sources/${id}/${s}.json`;
+const sourceDir = (src) => (src.lang === "ar" ? "rtl" : "ltr");
+
+const fetchJson = (url) => fetch(url).then(r => { if (!r.ok) throw new Error(`${r.status}`); return r.json(); });
+
+const sourcePacks = new Map(); // pack url -> Promise of [surah][ayah] text
+function loadSourcePack(src){
+  if (!sourcePacks.has(src.pack)) {
+    sourcePacks.set(src.pack, (async () => {
+      const cached = 'caches' in window && await caches.match(src.pack, { cacheName: DATA_CACHE });
+      return cached ? cached.json() : loadDataset(src.pack);
+    })().catch(e => { sourcePacks.delete(src.pack); throw e; }));
+  }
+  return sourcePacks.get(src.pack);
+}
+
+// Quran.com marks translation footnotes with <sup foot_note=…>; we don't show footnotes.
+const dropFootnotes = (src, text = "") => (src.kind === "translation" ? text.replace(/<sup[^>]*>.*?<\/sup>/g, "") : text);
+
+const CONTENT_PROVIDERS = {
+  qurancom: {
+    name: "Quran.com",
+    ayah: async (src, s, a) => {
+      const res = await fetchJson(`https://api.quran.com/api/v4/quran/${src.kind}s/${src.ref}?verse_key=${s}:${a}`);
+      return dropFootnotes(src, res[`${src.kind}s`]?.[0]?.text);
+    },
+    // by_chapter pages through the surah and numbers every verse, even where a tafsir covers several.
+    surah: async (src, s) => {
+      const field = `${src.kind}s`, out = [];
+      for (let page = 1; page; ) {
+        const res = await fetchJson(`https://api.quran.com/api/v4/verses/by_chapter/${s}?${field}=${src.ref}&per_page=50&page=${page}`);
+        for (const v of res.verses) out[v.verse_number - 1] = dropFootnotes(src, v[field]?.[0]?.text);
+        page = res.pagination?.next_page;
+      }
+      return out;
+    },
+  },
+  alqurancloud: {
+    name: "AlQuran.cloud",
+    ayah: async (src, s, a) => (await fetchJson(`https://api.alquran.cloud/v1/ayah/${s}:${a}/${src.ref}`)).data?.text || "",
+    surah: async (src, s) => (await fetchJson(`https://api.alquran.cloud/v1/surah/${s}/${src.ref}`)).data.ayahs.map(x => x.text),
+  },
+  pack: {
+    name: "ملف محلي",
+    ayah: async (src, s, a) => (await loadSourcePack(src))[s - 1]?.[a - 1] || "",
+    surah: async (src, s) => (await loadSourcePack(src))[s - 1],
+  },
+};
+
+async function sourceAyah(src, s, a){
+  if (src.provider !== "pack" && 'caches' in window) {
+    const cached = await caches.match(sourceSurahUrl(src.id, s), { cacheName: DATA_CACHE });
+    if (cached) return (await cached.json())[a - 1] || "";
+  }
+  return CONTENT_PROVIDERS[src.provider].ayah(src, s, a);
+}
+
+// Allowlist sanitiser: unknown elements are unwrapped (their text stays), dangerous ones dropped
+// with their content, and every attribute but dir/lang removed.
+const SAFE_TAGS = new Set(["P", "BR", "B", "STRONG", "I", "EM", "U", "SPAN", "DIV", "H1", "H2", "H3", "H4", "UL", "OL", "LI", "BLOCKQUOTE", "SUP", "SUB", "SMALL"]);
+const DROP_TAGS = new Set(["SCRIPT", "STYLE", "IFRAME", "FRAME", "OBJECT", "EMBED", "TEMPLATE", "SVG", "MATH", "NOSCRIPT", "FORM", "INPUT", "BUTTON", "TEXTAREA", "SELECT", "LINK", "META", "BASE", "IMG", "VIDEO", "AUDIO"]);
+const SAFE_ATTRS = new Set(["dir", "lang"]);
+function sanitizeHtml(html = ""){
+  const body = new DOMParser().parseFromString(`<body>${html}`, "text/html").body;
+  const clean = (node) => {
+    for (const el of [...node.children]) {
+      if (DROP_TAGS.has(el.tagName)) { el.remove(); continue; }
+      clean(el);
+      if (!SAFE_TAGS.has(el.tagName)) { el.replaceWith(...el.childNodes); continue; }
+      for (const { name } of [...el.attributes]) if (!SAFE_ATTRS.has(name)) el.removeAttribute(name);
+    }
+  };
+  clean(body);
+  return body.innerHTML;
+}
+
+function validateSourcePack(p){
+  if (!p || typeof p.id !== "string" || !/^[a-z0-9_-]+$/i.test(p.id)) throw new Error("معرّف المصدر مفقود أو غير صالح");
+  if (CONTENT_SOURCES.some(s => s.id === p.id)) throw new Error("المعرّف مستخدم لمصدر مدمج");
+  if (!SOURCE_KINDS[p.kind]) throw new Error('النوع يجب أن يكون "translation" أو "tafsir"');
+  // Search lines packs up with the mushaf by position, so surahs run from al-Fatiha and each one is complete.
+  if (!Array.isArray(p.surahs) || !p.surahs.length || p.surahs.length > 114
+    || p.surahs.some(s => !Array.isArray(s) || s.some(t => typeof t !== "string"))) throw new Error("surahs: مصفوفة سور، وكل سورة مصفوفة نصوص آياتها");
+  const short = p.surahs.findIndex((s, i) => s.length !== surahInfo(i + 1).ayahs);
+  if (short >= 0) throw new Error(`سورة ${short + 1} فيها ${p.surahs[short].length} آية بدل ${surahInfo(short + 1).ayahs}`);
+  return { id: p.id, kind: p.kind, lang: p.lang || "ar", name: p.name || p.id, provider: "pack", pack: sourceFileUrl(p.id), surahs: p.surahs };
+}
+
+const putData = async (url, data) => {
+  const cache = await caches.open(DATA_CACHE);
+  await cache.put(url, new Response(JSON.stringify(data), { headers: { "Content-Type": "application/json" } }));
+};
+const deleteData = async (url) => { if ('caches' in window) await (await caches.open(DATA_CACHE)).delete(url); };
+
+function useContentSources(){
+  const [state, setState] = usePersisted(STORAGE_KEYS.sources, {}, (stored) => ({
+    selected: [LEGACY_TRANSLATIONS[load(STORAGE_KEYS.settings, {}).translation] || "en-sahih", "muyassar"],
+    layout: "side", imported: {}, offline: {}, ...stored,
+  }));
+  const all = [...CONTENT_SOURCES, ...Object.values(state.imported)];
+  const chosen = state.selected.map(id => all.find(s => s.id === id)).filter(Boolean);
+  const setOffline = (id, f) => setState(s => ({ ...s, offline: { ...s.offline, [id]: f(s.offline[id] || []) } }));
+
+  const saveSurah = async (src, s) => {
+    const ayat = await CONTENT_PROVIDERS[src.provider].surah(src, s);
+    if (ayat?.length !== surahInfo(s).ayahs) throw new Error(`${src.name}: وصل ${ayat?.length || 0} من ${surahInfo(s).ayahs} آية`);
+    await putData(sourceSurahUrl(src.id, s), ayat);
+    setOffline(src.id, list => [...new Set([...list, s])].sort((a, b) => a - b));
+  };
+  const removeSurah = async (id, s) => {
+    await deleteData(sourceSurahUrl(id, s));
+    setOffline(id, list => list.filter(x => x !== s));
+  };
+  const importPack = async (pack) => {
+    const { surahs, ...src } = validateSourcePack(pack);
+    if ('caches' in window) await putData(src.pack, surahs);
+    sourcePacks.set(src.pack, Promise.resolve(surahs));
+    setState(s => ({ ...s, imported: { ...s.imported, [src.id]: src }, selected: [...new Set([...s.selected, src.id])] }));
+    return src;
+  };
+  const removePack = async (id) => {
+    const src = state.imported[id];
+    if (!src) return;
+    await deleteData(src.pack);
+    sourcePacks.delete(src.pack);
+    setState(s => {
+      const imported = { ...s.imported }; delete imported[id];
+      return { ...s, imported, selected: s.selected.filter(x => x !== id) };
+    });
+  };
+
+  return {
+    all, chosen, layout: state.layout, imported: state.imported, offline: state.offline,
+    toggle: (id) => setState(s => ({ ...s, selected: s.selected.includes(id) ? s.selected.filter(x => x !== id) : [...s.selected, id] })),
+    setLayout: (layout) => setState(s => ({ ...s, layout })),
+    saveSurah, removeSurah, importPack, removePack,
+  };
+}
+
+function ContentSourcesPanel({ sources }){
+  const [surah, setSurah] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+  const remote = sources.chosen.filter(s => s.provider !== "pack");
+
+  const download = async () => {
+    setBusy(true); setMsg("");
+    const failed = [];
+    for (const src of remote) await sources.saveSurah(src, surah).catch(e => { console.warn(e); failed.push(src.name); });
+    setMsg(failed.length ? `تعذر تنزيل: ${failed.join("، ")}` : `حُفظت سورة ${surahInfo(surah).nameAr} للقراءة دون اتصال.`);
+    setBusy(false);
+  };
+  const fromFile = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    try { setMsg(`أُضيف «${(await sources.importPack(JSON.parse(await f.text()))).name}».`); }
+    catch (err) { alert(`ملف غير صالح: ${err.message}`); }
+    e.target.value = "";
+  };
+
+  return (
+    <Section title="الترجمات والتفاسير" right={<div className="flex gap-1">
+      {Object.entries(SOURCE_LAYOUTS).map(([k, l]) => (
+        <button key={k} className={cx("rounded-xl px-3 py-1 border text-sm", sources.layout === k && "bg-emerald-600 text-white")} onClick={()=>sources.setLayout(k)}>{l}</button>
+      ))}
+    </div>}>
+      <div className="grid md:grid-cols-2 gap-4 mb-4 text-sm">
+        {Object.entries(SOURCE_KINDS).map(([kind, label]) => (
+          <div key={kind}>
+            <div className="font-bold mb-2">{label}</div>
+            <div className="grid gap-1">
+              {sources.all.filter(s => s.kind === kind).map(s => (
+                <div key={s.id} className="flex items-center justify-between gap-2">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={sources.chosen.includes(s)} onChange={()=>sources.toggle(s.id)} />
+                    <span dir={sourceDir(s)}>{s.name}</span>
+                    <span className="opacity-60 text-xs">{CONTENT_PROVIDERS[s.provider].name}</span>
+                  </label>
+                  {sources.offline[s.id]?.length > 0 && <Pill>{sources.offline[s.id].length} سورة محفوظة</Pill>}
+                  {sources.imported[s.id] && <button className="rounded-xl px-2 py-0.5 border text-xs" onClick={()=>sources.removePack(s.id)}>حذف</button>}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="font-bold mb-2 text-sm">القراءة دون اتصال</div>
+      <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+        <select className="input w-48" value={surah} onChange={e=>setSurah(+e.target.value)}>
+          {SURAH_META.map(([i,,,ar])=> <option key={i} value={i}>{i}. {ar}</option>)}
+        </select>
+        <button className="rounded-xl px-3 py-1 border" disabled={busy || !remote.length} onClick={download}>
+          {busy ? "جارٍ التنزيل…" : `تنزيل السورة لـ ${remote.length} مصدر`}
+        </button>
+        <label className="rounded-xl px-3 py-1 border border-dashed cursor-pointer">
+          استيراد ترجمة أو تفسير (JSON)
+          <input type="file" accept="application/json,.json" className="hidden" onChange={fromFile} />
+        </label>
+      </div>
+      {remote.map(s => sources.offline[s.id]?.length > 0 && (
+        <div key={s.id} className="flex flex-wrap items-center gap-1 text-xs mb-1">
+          <span className="opacity-70">{s.name}:</span>
+          {sources.offline[s.id].map(n => (
+            <button key={n} className="rounded-full px-2 py-0.5 border" title="حذف من الجهاز" onClick={()=>sources.removeSurah(s.id, n)}>{surahInfo(n).nameAr} ×</button>
+          ))}
+        </div>
+      ))}
+      {msg && <div className="text-sm opacity-80 mt-2">{msg}</div>}
+    </Section>
+  );
+}
+
+// ---------- Ayah Display with Translation & Tafsir ----------
+// Sources side by side (a grid) or one tab at a time.
+function SourceTexts({ list, texts, layout }){
+  const [tab, setTab] = useState(0);
+  const card = (src) => (
+    <div key={src.id} className="rounded-xl border border-gray-200/60 dark:border-gray-700/60 p-3 text-sm" dir={sourceDir(src)}>
+      {layout !== "tabs" && list.length > 1 && <div className="text-xs opacity-60 mb-1">{src.name}</div>}
+      {texts[src.id] === false ? <div className="opacity-60">تعذر التحميل — نزّل السورة من «الترجمات والتفاسير» للقراءة دون اتصال.</div>
+        : texts[src.id] == null ? <div className="opacity-60">…</div>
+        : <div className="prose prose-sm max-w-none dark:prose-invert" dangerouslySetInnerHTML={{ __html: sanitizeHtml(texts[src.id]) }} />}
+    </div>
+  );
+  if (!list.length) return null;
+  if (layout !== "tabs" || list.length === 1) return <div className={cx("grid gap-2", list.length > 1 && "md:grid-cols-2")}>{list.map(card)}</div>;
+  const current = list[Math.min(tab, list.length - 1)];
+  return (
+    <div>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {list.map((s, i) => <button key={s.id} className={cx("rounded-xl px-3 py-1 border text-xs", s === current && "bg-emerald-600 text-white")} onClick={()=>setTab(i)}>{s.name}</button>)}
+      </div>
+      {card(current)}
+    </div>
+  );
+}
+
+function SmartAyahDisplay({ surah, ayah, sources, onDwell, bookmarks, bus }) {
+  const mushaf = useMushaf();
+  const [texts, setTexts] = useState({}); // source id -> text, or false when it could not be loaded
+  const [tafOpen, setTafOpen] = useState(false);
+  const ar = mushaf?.[surah-1]?.[ayah-1] || "";
+  const loc = useMemo(()=> ayahLocation(surah, ayah), [surah, ayah]);
+  const index = ayahIndex(surah, ayah);
+
+  useEffect(()=>{ bookmarks?.setLastRead(index); }, [index]);
+
+  // Reports how long this ayah stayed open once the reader moves on.
+  const dwell = useRef(onDwell);
+  dwell.current = onDwell;
+  useEffect(()=>{
+    const from = Date.now();
+    return () => dwell.current?.(index, Date.now() - from);
+  }, [index]);
+
+  const translations = sources.chosen.filter(s => s.kind === "translation");
+  const tafsirs = sources.chosen.filter(s => s.kind === "tafsir");
+  const chosenKey = sources.chosen.map(s => s.id).join();
+
+  useEffect(()=>{
+    let live = true;
+    setTexts({});
+    for (const src of sources.chosen) {
+      sourceAyah(src, surah, ayah)
+        .then(t => live && setTexts(x => ({ ...x, [src.id]: t })))
+        .catch(e => { console.warn(e); if (live) setTexts(x => ({ ...x, [src.id]: false })); });
+    }
+    return () => { live = false; };
+  }, [surah, ayah, chosenKey]);
+
+  // Reads the first chosen tafsir that has loaded, in its own language.
+  useAction(bus, "tafsir.read", (a) => {
+    setTafOpen(true);
+    const src = tafsirs.find(s => texts[s.id]);
+    const text = src && new DOMParser().parseFromString(sanitizeHtml(texts[src.id]), "text/html").body.textContent.trim();
+    return text ? { text, lang: src.lang === "ar" ? "ar" : "en" } : say(a.lang, "التفسير لم يُحمَّل بعد", "The tafsir hasn't loaded yet");
+  });
+
+  return (
+    <div className="rounded-xl bg-gray-50 dark:bg-gray-800/60 p-4 border border-gray-200/60 dark:border-gray-700/60">
+      <div className="flex flex-wrap gap-1 mb-2">
+        <Pill>{surahInfo(surah).nameAr} {surah}:{ayah}</Pill>
+        <Pill>الجزء {loc.juz}</Pill><Pill>الحزب {loc.hizb}</Pill><Pill>الصفحة {loc.page}</Pill>
+        {loc.sajda && <Pill>سجدة</Pill>}
+      </div>
+      <div dir="rtl" className="text-2xl leading-relaxed font-semibold mb-2">{ar || "…"}</div>
+      <div className="mb-2"><SourceTexts list={translations} texts={texts} layout={sources.layout} /></div>
+      {tafsirs.length > 0 && (
+        <details className="text-sm" open={tafOpen} onToggle={e=>setTafOpen(e.currentTarget.open)}>
+          <summary className="cursor-pointer">{tafsirs.length > 1 ? "التفاسير" : tafsirs[0].name}</summary>
+          <div className="mt-2"><SourceTexts list={tafsirs} texts={texts} layout={sources.layout} /></div>
+        </details>
+      )}
+      {bookmarks && <AyahBookmarkEditor index={index} bookmarks={bookmarks} />}
+    </div>
+  );
+}
+
+// ---------- Quran Search (local, diacritic-insensitive) ----------
+// Text is folded plain and skeleton (see arabicText.js); plain matches rank above skeleton-only ones.
+const SEARCH_LIMIT = 100;
+const SEARCH_MODES = { words: "كل الكلمات", phrase: "عبارة مطابقة", root: "جذر (تقريبي)" };
+
+// "2:255", "٢:٢٥٥" or "2:1-5" -> [first, last] global ayah numbers.
+function parseAyahRef(q){
+  const m = toLatinDigits(q.trim()).match(/^(\d{1,3})\s*[:：.]\s*(\d{1,3})(?:\s*-\s*(\d{1,3}))?$/);
+  if (!m || +m[1] < 1 || +m[1] > 114) return null;
+  const s = +m[1], a = clampAyah(s, +m[2]), b = m[3] ? clampAyah(s, +m[3]) : a;
+  return [ayahIndex(s, Math.min(a, b)), ayahIndex(s, Math.max(a, b))];
+}
+
+// Three radicals, each possibly a weak letter, with short infixes (كتب -> كاتب، يكتبون، مكتوب).
+// Only Arabic letters go into the pattern, so "(ab" or "كتب*" can't make an invalid RegExp.
+function rootPattern(q){
+  const letters = [...fold(q, folders.plain)].filter(c => /[\u0621-\u064A]/.test(c));
+  if (letters.length < 2 || letters.length > 4) return null;
+  const weak = "اوي";
+  const part = (c) => weak.includes(c) ? `[${weak}]` : c;
+  return new RegExp(`\\S*?${letters.map(part).join("[اويت]{0,2}")}\\S*`, "g");
+}
+
+// Spans [start, end) of every term in a folded string, or null when a term is missing.
+function findSpans(s, terms, phrase){
+  const spans = [];
+  for (const t of phrase ? [terms.join(" ")] : terms) {
+    let at = s.indexOf(t), hit = false;
+    while (at >= 0) { spans.push([at, at + t.length]); hit = true; at = s.indexOf(t, at + t.length); }
+    if (!hit) return null;
+  }
+  return spans;
+}
+function regexSpans(s, re){
+  const spans = [...s.matchAll(re)].map(m => [m.index, m.index + m[0].length]);
+  return spans.length ? spans : null;
+}
+
+function buildSearchIndex(mushaf, translation){
+  const ar = [], tr = [];
+  mushaf.forEach((surah) => surah.forEach((t) => ar.push({ t, plain: fold(t, folders.plain), skeleton: fold(t, folders.skeleton) })));
+  translation?.forEach((surah) => surah.forEach((t) => tr.push({ t, latin: fold(t, folders.latin) })));
+  return { ar, tr };
+}
+
+/**
+ * Searches the index. Returns up to SEARCH_LIMIT hits, best first:
+ * [{ i, field: "ar"|"tr", text, spans: [[start, end)] on `text` }].
+ */
+function searchQuran(index, query, mode = "words"){
+  const q = query.trim();
+  if (!q) return [];
+  const ref = parseAyahRef(q);
+  if (ref) {
+    const out = [];
+    for (let i = ref[0]; i <= ref[1] && out.length < SEARCH_LIMIT; i++) out.push({ i, field: "ar", text: index.ar[i-1].t, spans: [] });
+    return out;
+  }
+  const quoted = /^["«].*["»]$/.test(q);
+  const phrase = mode === "phrase" || quoted;
+  const raw = quoted ? q.slice(1, -1) : q;
+  // Widen source spans over chars the fold dropped (leading ٱ in skeleton hits, trailing tashkeel).
+  const toSource = (map, text, spans, fn) => spans.map(([a, b]) => {
+    let start = map[a], end = map[b - 1] + 1;
+    while (start > 0 && !/\s/.test(text[start - 1]) && !fn(text[start - 1])) start--;
+    while (end < text.length && !/\s/.test(text[end]) && !fn(text[end])) end++;
+    return [start, end];
+  });
+  const hits = [];
+  const re = mode === "root" && rootPattern(raw);
+  const plainTerms = fold(raw, folders.plain).split(" ").filter(Boolean);
+  const skelTerms = fold(raw, folders.skeleton).split(" ").filter(Boolean);
+  index.ar.forEach((e, k) => {
+    let spans, field = "plain", score = 2;
+    if (re) { re.lastIndex = 0; spans = regexSpans(e.plain, re); }
+    else {
+      spans = findSpans(e.plain, plainTerms, phrase);
+      if (!spans && skelTerms.length) { spans = findSpans(e.skeleton, skelTerms, phrase); field = "skeleton"; score = 1; }
+    }
+    if (spans) hits.push({ i: k + 1, field: "ar", score, spans, folder: field });
+  });
+  if (!re && index.tr.length) {
+    const terms = fold(raw, folders.latin).split(" ").filter(Boolean);
+    index.tr.forEach((e, k) => {
+      const spans = terms.length && findSpans(e.latin, terms, phrase);
+      if (spans) hits.push({ i: k + 1, field: "tr", score: 1.5, spans, folder: "latin" });
+    });
+  }
+  return hits
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, SEARCH_LIMIT)
+    .map(h => {
+      const text = h.field === "ar" ? index.ar[h.i-1].t : index.tr[h.i-1].t;
+      const { map } = foldWithMap(text, folders[h.folder]);
+      return { i: h.i, field: h.field, text, spans: toSource(map, text, h.spans, folders[h.folder]) };
+    });
+}
+
+// Text with <mark>ed spans, trimmed to a window around the first one when long.
+function Highlighted({ text, spans, around = 90 }){
+  const sorted = [...spans].sort((a, b) => a[0] - b[0]);
+  let from = 0, to = text.length;
+  if (text.length > around * 2 && sorted.length) {
+    from = Math.max(0, sorted[0][0] - around); to = Math.min(text.length, sorted[0][1] + around);
+  }
+  const parts = [];
+  let at = from;
+  for (const [a, b] of sorted) {
+    if (b <= at || a >= to) continue;
+    if (a > at) parts.push(text.slice(at, a));
+    parts.push(<mark key={a} className="bg-yellow-200 dark:bg-yellow-700 rounded px-0.5">{text.slice(Math.max(a, at), Math.min(b, to))}</mark>);
+    at = Math.min(b, to);
+  }
+  parts.push(text.slice(at, to));
+  return <>{from > 0 && "… "}{parts}{to < text.length && " …"}</>;
+}
+
+function QuranSearch({ mushaf, sources, onOpen }){
+  const [query, setQuery] = useState("");
+  const [mode, setMode] = useState("words");
+  const [submitted, setSubmitted] = useState(null);
+  // The first chosen translation with a full pack is searched alongside the Arabic.
+  const tr = sources.chosen.find(s => s.kind === "translation" && s.pack);
+  const [translation, setTranslation] = useState(null);
+  useEffect(()=>{
+    let live = true;
+    setTranslation(null);
+    if (tr) loadSourcePack(tr).then(t => live && setTranslation(t)).catch(console.warn);
+    return () => { live = false; };
+  }, [tr?.id]);
+  const index = useMemo(()=> mushaf ? buildSearchIndex(mushaf, translation) : null, [mushaf, translation]);
+  const results = useMemo(()=> index && submitted ? searchQuran(index, submitted.query, submitted.mode) : [], [index, submitted]);
+
+  return (
+    <Section title="البحث في القرآن" right={<Pill>{tr?.pack ? `عربي + ${tr.name}` : "النص العربي"}</Pill>}>
+      <form className="flex flex-wrap gap-2 mb-3" onSubmit={e=>{ e.preventDefault(); setSubmitted({ query, mode }); }}>
+        <input className="input flex-1 min-w-[12rem]" placeholder='كلمة، "عبارة"، أو مرجع مثل 2:255' value={query} onChange={e=>setQuery(e.target.value)} />
+        <select className="input w-40" value={mode} onChange={e=>setMode(e.target.value)}>
+          {Object.entries(SEARCH_MODES).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+        </select>
+        <button className="rounded-xl px-4 py-2 border" disabled={!index}>{index ? "بحث" : "جارٍ التحميل…"}</button>
+      </form>
+      {submitted && <div className="text-sm opacity-70 mb-2">{results.length >= SEARCH_LIMIT ? `أول ${SEARCH_LIMIT} نتيجة` : `${results.length} نتيجة`}</div>}
+      <div className="grid gap-2 max-h-[480px] overflow-auto">
+        {results.map(r=> (
+          <button key={`${r.field}${r.i}`} className="text-right rounded-xl border p-3 hover:shadow" onClick={()=>onOpen(r.i)}>
+            <div className="text-xs opacity-70 mb-1">{ayahRef(r.i)}{r.field==='tr' && ` — ${tr?.name}`}</div>
+            <div dir={r.field==='ar' ? "rtl" : "ltr"} className={r.field==='ar' ? "text-lg leading-loose" : "text-sm"}><Highlighted text={r.text} spans={r.spans} /></div>
+          </button>
+        ))}
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Bookmarks, Highlights & Tadabbur Notes ----------
+// rafiq.bookmarks: { items: { [global ayah]: { i, color, tags[], note, createdAt, updatedAt } },
+//                    lastRead: { [mushaf id]: { i, at } } }
+const MUSHAF_ID = "hafs-uthmani";
+const BOOKMARK_COLORS = {
+  emerald: "bg-emerald-500", amber: "bg-amber-400", rose: "bg-rose-500", sky: "bg-sky-500", violet: "bg-violet-500",
+};
+
+const ayahRef = (i) => { const [s, a] = ayahFromIndex(i); return `${surahInfo(s).nameAr} ${s}:${a}`; };
+const parseTags = (t) => [...new Set(t.split(/[,،]/).map(x => x.trim()).filter(Boolean))];
+
+function useBookmarks(){
+  const [data, setData] = usePersisted(STORAGE_KEYS.bookmarks, {}, (stored) => ({ items: {}, lastRead: {}, ...stored }));
+  const put = (i, p) => setData(d => {
+    const now = Date.now(), prev = d.items[i] || { i, color: "emerald", tags: [], note: "", createdAt: now };
+    return { ...d, items: { ...d.items, [i]: { ...prev, ...p, updatedAt: now } } };
+  });
+  return {
+    items: data.items,
+    lastRead: data.lastRead[MUSHAF_ID] || null,
+    add: (i) => put(i, {}),
+    update: put,
+    remove: (i) => setData(d => { const items = { ...d.items }; delete items[i]; return { ...d, items }; }),
+    setLastRead: (i) => setData(d => (d.lastRead[MUSHAF_ID]?.i === i ? d : { ...d, lastRead: { ...d.lastRead, [MUSHAF_ID]: { i, at: Date.now() } } })),
+  };
+}
+
+function exportBookmarks(items, format){
+  const list = Object.values(items).sort((a, b) => a.i - b.i);
+  if (format === "json") return downloadFile("rafiq-bookmarks.json", JSON.stringify(list, null, 2));
+  const md = list.map(b => `## ${ayahRef(b.i)}${b.tags.length ? ` — ${b.tags.map(t => `#${t}`).join(" ")}` : ""}\n\n${b.note || ""}\n`).join("\n");
+  downloadFile("rafiq-bookmarks.md", `# ${APP_NAME} — المفضلة والتدبر\n\n${md}`, "text/markdown");
+}
+
+function AyahBookmarkEditor({ index, bookmarks }){
+  const b = bookmarks.items[index];
+  return (
+    <div className="mt-3 text-sm grid gap-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button className={cx("rounded-xl px-3 py-1 border", b && "bg-emerald-600 text-white")} onClick={()=> b ? bookmarks.remove(index) : bookmarks.add(index)}>{b ? "★ في المفضلة" : "☆ أضف للمفضلة"}</button>
+        {b && Object.entries(BOOKMARK_COLORS).map(([c,cls])=> (
+          <button key={c} title={c} className={cx("w-5 h-5 rounded-full", cls, b.color===c && "ring-2 ring-offset-1 ring-gray-500")} onClick={()=>bookmarks.update(index, {color:c})} />
+        ))}
+      </div>
+      {b && <>
+        <input className="input" placeholder="وسوم مفصولة بفواصل (صبر، دعاء…)" defaultValue={b.tags.join('، ')} key={`t${index}`} onBlur={e=>bookmarks.update(index, {tags: parseTags(e.target.value)})} />
+        <textarea className="input min-h-[80px]" placeholder="تأملاتك في الآية (تدبر)…" defaultValue={b.note} key={`n${index}`} onBlur={e=>bookmarks.update(index, {note: e.target.value})} />
+      </>}
+    </div>
+  );
+}
+
+function BookmarksPanel({ bookmarks, mushaf, onOpen }){
+  const [tag, setTag] = useState("");
+  const [surah, setSurah] = useState(0);
+  const [query, setQuery] = useState("");
+  const all = Object.values(bookmarks.items);
+  const tags = [...new Set(all.flatMap(b => b.tags))].sort();
+  const q = query.trim().toLowerCase();
+  const list = all
+    .filter(b => !tag || b.tags.includes(tag))
+    .filter(b => !surah || ayahFromIndex(b.i)[0] === surah)
+    .filter(b => !q || b.note.toLowerCase().includes(q) || b.tags.some(t => t.toLowerCase().includes(q)))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  const last = bookmarks.lastRead;
+
+  return (
+    <Section title="المفضلة وملاحظات التدبر" right={<div className="flex gap-2">
+      <button className="rounded-xl px-3 py-1 border text-sm" onClick={()=>exportBookmarks(bookmarks.items, "md")}>تصدير نص</button>
+      <button className="rounded-xl px-3 py-1 border text-sm" onClick={()=>exportBookmarks(bookmarks.items, "json")}>JSON</button>
+    </div>}>
+      {last && (
+        <button className="w-full text-right rounded-xl border p-3 mb-3 text-sm hover:shadow" onClick={()=>onOpen(last.i)}>
+          آخر موضع قراءة: <b>{ayahRef(last.i)}</b> <span className="opacity-70">— الصفحة {segmentOf(PAGE_STARTS, last.i)}</span>
+        </button>
+      )}
+      <div className="flex flex-wrap gap-2 mb-3">
+        <input className="input flex-1 min-w-[12rem]" placeholder="ابحث في ملاحظاتك…" value={query} onChange={e=>setQuery(e.target.value)} />
+        <select className="input w-40" value={tag} onChange={e=>setTag(e.target.value)}>
+          <option value="">كل الوسوم</option>
+          {tags.map(t=> <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select className="input w-48" value={surah} onChange={e=>setSurah(+e.target.value)}>
+          <option value={0}>كل السور</option>
+          {SURAH_META.map(([i,,,ar])=> <option key={i} value={i}>{i}. {ar}</option>)}
+        </select>
+      </div>
+      <div className="grid md:grid-cols-2 gap-3">
+        {list.length? list.map(b=> {
+          const [s, a] = ayahFromIndex(b.i);
+          return (
+            <div key={b.i} className="rounded-xl border p-3 text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2 font-bold"><span className={cx("w-3 h-3 rounded-full", BOOKMARK_COLORS[b.color])} />{ayahRef(b.i)}</div>
+                <div className="flex gap-1">
+                  <button className="rounded-xl px-3 py-1 border" onClick={()=>onOpen(b.i)}>فتح</button>
+                  <button className="rounded-xl px-3 py-1 border" onClick={()=>bookmarks.remove(b.i)}>حذف</button>
+                </div>
+              </div>
+              {mushaf && <div dir="rtl" className="mt-2 line-clamp-2 opacity-90">{mushaf[s-1][a-1]}</div>}
+              {b.note && <div className="mt-2 whitespace-pre-wrap">{b.note}</div>}
+              {b.tags.length>0 && <div className="flex flex-wrap gap-1 mt-2">{b.tags.map(t=> <Pill key={t}>#{t}</Pill>)}</div>}
+            </div>
+          );
+        }): <div className="opacity-70 text-sm">{all.length ? "لا نتائج مطابقة." : "لم تضف آيات بعد — استخدم زر المفضلة أسفل الآية."}</div>}
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Reading Analytics & Khatm Planner ----------
+// rafiq.reading: { events: { [timestamp]: { ayah, kind: "read" | "listen", ms } }, plan: { start: YYYY-MM-DD, days } | null };
+// events live in the `reading` record store. A read is an ayah kept open in the reader (while nothing plays)
+// for READ_MIN_MS; a listen is an ayah recited to its end. The same ayah and kind again within
+// READ_DEDUPE_MS only adds its time to the earlier event.
+const READ_MIN_MS = 3000;
+const READ_MAX_MS = 5 * 60000; // an ayah open longer than this was left, not read
+const READ_DEDUPE_MS = 30 * 60000;
+const READING_MAX = 30000; // about five khatmas of events
+const READING_PERIODS = {
+  day: { label: "يومي", count: 14, key: (d) => d, step: (k, n) => addDays(k, n) },
+  week: { label: "أسبوعي", count: 12, key: (d) => addDays(d, -new Date(`${d}T12:00`).getDay()), step: (k, n) => addDays(k, 7 * n) },
+  month: { label: "شهري", count: 12, key: (d) => d.slice(0, 7), step: (k, n) => { const [y, m] = k.split("-").map(Number); return dayKey(new Date(y, m - 1 + n, 1)).slice(0, 7); } },
+};
+
+// Events as a list sorted by time: [{ t, ayah, kind, ms }].
+const readingList = (events) => Object.entries(events)
+  .map(([t, e]) => ({ t: Number(t), ayah: e.ayah, kind: e.kind, ms: e.ms }))
+  .sort((a, b) => a.t - b.t);
+
+function repeatOf(list, e){
+  for (let k = list.length - 1; k >= 0 && e.t - list[k].t < READ_DEDUPE_MS; k--)
+    if (list[k].ayah === e.ayah && list[k].kind === e.kind) return list[k];
+  return null;
+}
+
+// repeatOf only looks READ_DEDUPE_MS back, so there's no need to sort every event.
+const recentReadings = (events, e) => readingList(Object.fromEntries(Object.entries(events).filter(([t]) => e.t - t < READ_DEDUPE_MS)));
+
+function addReading(events, list, e){
+  const prev = repeatOf(list, e);
+  if (prev) return { ...events, [prev.t]: { ...events[prev.t], ms: events[prev.t].ms + e.ms } };
+  const next = { ...events, [e.t]: { ayah: e.ayah, kind: e.kind, ms: e.ms } };
+  const keys = Object.keys(next);
+  if (keys.length > READING_MAX) keys.sort((a, b) => a - b).slice(0, keys.length - READING_MAX).forEach(k => delete next[k]);
+  return next;
+}
+
+const eventDay = (e) => dayKey(new Date(e.t));
+const dayStart = (day) => new Date(`${day}T00:00`).getTime();
+const daysFrom = (a, b) => Math.round((new Date(`${b}T12:00`) - new Date(`${a}T12:00`)) / 864e5);
+
+// Distinct ayat and time per bucket for the last `count` days / weeks / months.
+function readingSeries(list, period, today){
+  const p = READING_PERIODS[period], buckets = {};
+  for (const e of list) {
+    const b = buckets[p.key(eventDay(e))] ||= { ayat: new Set(), ms: 0 };
+    b.ayat.add(e.ayah); b.ms += e.ms;
+  }
+  const end = p.key(today);
+  return Array.from({ length: p.count }, (_, n) => {
+    const key = p.step(end, n - p.count + 1);
+    return { key, ayat: buckets[key]?.ayat.size || 0, ms: buckets[key]?.ms || 0 };
+  });
+}
+
+// Current streak (ending today, or yesterday while today is still open) and the longest one.
+function readingStreaks(list, today){
+  const days = new Set(list.map(eventDay));
+  let k = days.has(today) ? today : addDays(today, -1), current = 0;
+  while (days.has(k)) { current++; k = addDays(k, -1); }
+  let longest = 0, run = 0, prev = null;
+  for (const d of [...days].sort()) { run = prev && addDays(prev, 1) === d ? run + 1 : 1; longest = Math.max(longest, run); prev = d; }
+  return { current, longest };
+}
+
+const pageDone = (seen, p) => {
+  const [a, b] = segmentRange(PAGE_STARTS, p);
+  for (let i = a; i <= b; i++) if (!seen.has(i)) return false;
+  return true;
+};
+
+// The pages still unread when today began, split evenly over the days left (today included),
+// so today's portion stays put while it is being read. `seen` also counts today's reading.
+function khatmPortion(list, plan, today){
+  const since = dayStart(plan.start), todayAt = dayStart(today);
+  const before = new Set(), seen = new Set();
+  for (const e of list) if (e.t >= since) { seen.add(e.ayah); if (e.t < todayAt) before.add(e.ayah); }
+  const remaining = [];
+  for (let p = 1; p <= 604; p++) if (!pageDone(before, p)) remaining.push(p);
+  const daysLeft = Math.max(1, plan.days - daysFrom(plan.start, today));
+  const portion = remaining.slice(0, Math.ceil(remaining.length / daysLeft));
+  const portionDone = portion.filter(p => pageDone(seen, p)).length;
+  return { daysLeft, portion, portionDone, seen, pagesDone: 604 - remaining.length + portionDone };
+}
+
+// log() returns whether the event was new rather than a repeat, so callers only count new reads.
+function useReading(){
+  const [data, setData] = usePersisted(STORAGE_KEYS.reading, {}, (stored) => ({ events: {}, plan: null, ...stored }));
+  const list = useMemo(() => readingList(data.events), [data.events]);
+  // Events including logs not yet rendered, so two logs before a re-render still see each other.
+  const events = useRef(data.events);
+  useEffect(() => { events.current = data.events; }, [data.events]);
+  return {
+    list,
+    plan: data.plan,
+    log: (kind, ayah, ms) => {
+      const e = { t: Date.now(), ayah, kind, ms: Math.round(Math.min(ms, READ_MAX_MS)) };
+      const recent = recentReadings(events.current, e);
+      events.current = addReading(events.current, recent, e);
+      setData(d => ({ ...d, events: addReading(d.events, recentReadings(d.events, e), e) }));
+      return !repeatOf(recent, e);
+    },
+    setPlan: (plan) => setData(d => ({ ...d, plan })),
+  };
+}
+
+function ReadingStats({ reading, onOpen }){
+  const today = useToday();
+  const [period, setPeriod] = useState("day");
+  const [metric, setMetric] = useState("ayat");
+  const [days, setDays] = useState(30);
+  const { list, plan } = reading;
+  const series = useMemo(() => readingSeries(list, period, today), [list, period, today]);
+  const streaks = useMemo(() => readingStreaks(list, today), [list, today]);
+  const khatm = useMemo(() => plan && khatmPortion(list, plan, today), [list, plan, today]);
+  const seen = khatm?.seen || new Set(list.map(e => e.ayah));
+  const todays = list.filter(e => eventDay(e) === today);
+  const max = Math.max(1, ...series.map(b => b[metric]));
+  const fmtMs = (ms) => (ms ? fmtDuration(ms) : "—");
+  const range = (pages) => `${pages[0]}–${pages[pages.length - 1]}`;
+  const nextPage = khatm && (khatm.portion.find(p => !pageDone(khatm.seen, p)) || khatm.portion[0]);
+
+  return (
+    <Section title="إحصاءات القراءة" right={<Pill>{(seen.size / AYAH_COUNT * 100).toFixed(1)}٪ من المصحف{plan ? " في هذه الختمة" : ""}</Pill>}>
+      <div className="flex flex-wrap gap-2 mb-3 text-sm">
+        <Pill>اليوم: {new Set(todays.map(e => e.ayah)).size} آية</Pill>
+        <Pill>وقت اليوم: {fmtMs(todays.reduce((s, e) => s + e.ms, 0))}</Pill>
+        <Pill>منها استماع: {todays.filter(e => e.kind === "listen").length}</Pill>
+        <Pill>🔥 {streaks.current} يوم (الأطول {streaks.longest})</Pill>
+        <Pill>الوقت الكلي: {fmtMs(list.reduce((s, e) => s + e.ms, 0))}</Pill>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        {Object.entries(READING_PERIODS).map(([k, p]) => (
+          <button key={k} className={cx("rounded-xl px-3 py-1 border", k === period && "bg-emerald-600 text-white")} onClick={()=>setPeriod(k)}>{p.label}</button>
+        ))}
+        <select className="rounded-xl px-2 py-1 border bg-transparent" value={metric} onChange={e=>setMetric(e.target.value)}>
+          <option value="ayat">الآيات</option>
+          <option value="ms">الوقت</option>
+        </select>
+      </div>
+      <div className="flex items-end gap-1 h-32">
+        {series.map(b => (
+          <div key={b.key} title={`${b.key}: ${b.ayat} آية — ${fmtMs(b.ms)}`} className="flex-1 h-full flex flex-col justify-end">
+            <div className={cx("rounded-t", b.key === READING_PERIODS[period].key(today) ? "bg-emerald-600" : "bg-emerald-400")} style={{ height: `${b[metric] / max * 100}%`, minHeight: b[metric] ? 2 : 0 }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 text-[10px] opacity-60 mt-1 mb-4">
+        {series.map(b => <div key={b.key} className="flex-1 text-center truncate">{period === "month" ? b.key : b.key.slice(5)}</div>)}
+      </div>
+
+      <div className="font-bold mb-2">مخطط الختمة</div>
+      {!khatm ? (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span>أختم خلال</span>
+          <input className="input w-20" type="number" min={1} max={365} value={days} onChange={e=>setDays(Math.min(365, Math.max(1, +e.target.value)))} />
+          <span>يومًا</span>
+          <button className="btn-primary" onClick={()=>reading.setPlan({ start: today, days })}>ابدأ ختمة</button>
+        </div>
+      ) : (
+        <div className="grid gap-2 text-sm">
+          <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-800 overflow-hidden">
+            <div className="h-full bg-emerald-500" style={{ width: `${khatm.pagesDone / 604 * 100}%` }} />
+          </div>
+          <div className="opacity-80">{khatm.pagesDone}/604 صفحة · بقي {khatm.daysLeft} {khatm.daysLeft === 1 ? "يوم" : "أيام"} من {plan.days}</div>
+          {khatm.pagesDone < 604 ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <span>ورد اليوم: الصفحات <b>{range(khatm.portion)}</b> ({khatm.portionDone}/{khatm.portion.length})</span>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>onOpen(PAGE_STARTS[nextPage - 1])}>افتح</button>
+            </div>
+          ) : <div className="font-bold">🎉 تمت الختمة — تقبّل الله منك.</div>}
+          <div><button className="rounded-xl px-3 py-1 border" onClick={()=>reading.setPlan(null)}>{khatm.pagesDone < 604 ? "إلغاء الخطة" : "ختمة جديدة"}</button></div>
+        </div>
+      )}
+    </Section>
+  );
+}
+
+// ---------- Hifz Tracker (spaced repetition) ----------
+// rafiq.hifz: { [global ayah]: { reps, ease, interval (days), due (YYYY-MM-DD), lapses, last } }.
+// Grading follows SM-2: recall 0–5 after reciting a portion from memory; < 3 resets the interval.
+const HIFZ_GRADES = [
+  { q: 1, label: "نسيت", cls: "bg-rose-600" },
+  { q: 3, label: "صعب", cls: "bg-amber-500" },
+  { q: 4, label: "جيد", cls: "bg-lime-600" },
+  { q: 5, label: "ممتاز", cls: "bg-emerald-600" },
+];
+const HIFZ_STATES = { new: "جديد", learning: "قيد الحفظ", memorized: "محفوظ", weak: "ضعيف" };
+const HIFZ_MEMORIZED_DAYS = 21; // interval from which an ayah counts as memorized
+
+function hifzState(card){
+  if (!card) return null;
+  if (!card.reps && !card.lapses) return "new";
+  if (!card.reps) return "weak";
+  return card.interval >= HIFZ_MEMORIZED_DAYS ? "memorized" : "learning";
+}
+
+// 0 (weak) … 1 (solid) for the heat map.
+const hifzStrength = (card) => card && card.reps ? Math.min(1, 0.3 + card.interval / (HIFZ_MEMORIZED_DAYS * 2)) : card ? 0.1 : null;
+
+function gradeCard(card, q, today = dayKey()){
+  const c = { ease: 2.5, interval: 0, reps: 0, lapses: 0, ...card, last: today };
+  if (q < 3) return { ...c, reps: 0, lapses: c.lapses + 1, interval: 1, ease: Math.max(1.3, c.ease - 0.2), due: addDays(today, 1) };
+  const reps = c.reps + 1;
+  const interval = reps === 1 ? 1 : reps === 2 ? 3 : Math.round(c.interval * c.ease);
+  const ease = Math.max(1.3, c.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  return { ...c, reps, interval, ease, due: addDays(today, interval) };
+}
+
+// Due ayat grouped into contiguous portions within a surah: [{ first, last, label }].
+function hifzPortions(cards, today = dayKey()){
+  const due = Object.keys(cards).map(Number).filter(i => cards[i].due <= today).sort((a, b) => a - b);
+  const out = [];
+  for (const i of due) {
+    const prev = out[out.length - 1];
+    if (prev && prev.last === i - 1 && ayahFromIndex(i)[0] === ayahFromIndex(prev.first)[0]) prev.last = i;
+    else out.push({ first: i, last: i });
+  }
+  return out.map(p => {
+    const [s, a] = ayahFromIndex(p.first), b = ayahFromIndex(p.last)[1];
+    return { ...p, label: `${surahInfo(s).nameAr} ${a}${b !== a ? `–${b}` : ''}` };
+  });
+}
+
+function useHifz(){
+  const [cards, setCards] = usePersisted(STORAGE_KEYS.hifz, {});
+  const each = (first, last, fn) => setCards(c => {
+    const next = { ...c };
+    for (let i = first; i <= last; i++) next[i] = fn(c[i]);
+    return next;
+  });
+  const today = dayKey();
+  return {
+    cards,
+    add: (first, last) => each(first, last, (card) => card || { reps: 0, lapses: 0, ease: 2.5, interval: 0, due: today }),
+    grade: (first, last, q) => each(first, last, (card) => gradeCard(card, q)),
+    remove: (first, last) => setCards(c => {
+      const next = { ...c };
+      for (let i = first; i <= last; i++) delete next[i];
+      return next;
+    }),
+  };
+}
+
+function HifzPanel({ hifz, onPlay }){
+  const today = useToday();
+  const [surah, setSurah] = useState(36);
+  const [range, setRange] = useState([1, 5]);
+  const [reviewing, setReviewing] = useState(null);
+  const portions = useMemo(()=> hifzPortions(hifz.cards, today), [hifz.cards, today]);
+  const counts = useMemo(()=> Object.values(hifz.cards).reduce((m, c)=> ({ ...m, [hifzState(c)]: (m[hifzState(c)]||0) + 1 }), {}), [hifz.cards]);
+  const pages = useMemo(()=> {
+    const out = [];
+    for (let p = 1; p <= 604; p++) {
+      const [a, b] = segmentRange(PAGE_STARTS, p);
+      const vals = [];
+      for (let i = a; i <= b; i++) { const v = hifzStrength(hifz.cards[i]); if (v != null) vals.push(v); }
+      out.push(vals.length ? vals.reduce((x, y)=> x + y, 0) / vals.length : null);
+    }
+    return out;
+  }, [hifz.cards]);
+  const heat = (v) => v == null ? "bg-gray-200 dark:bg-gray-800" : v < 0.3 ? "bg-rose-400" : v < 0.55 ? "bg-amber-400" : v < 0.8 ? "bg-lime-500" : "bg-emerald-600";
+
+  const add = () => {
+    const [a, b] = [clampAyah(surah, range[0]), clampAyah(surah, range[1])];
+    hifz.add(ayahIndex(surah, Math.min(a, b)), ayahIndex(surah, Math.max(a, b)));
+  };
+  const review = (p) => { setReviewing(p); onPlay({ first: p.first, last: p.last }); };
+  const grade = (q) => { hifz.grade(reviewing.first, reviewing.last, q); setReviewing(null); };
+
+  return (
+    <Section title="متابعة الحفظ والمراجعة" right={<Pill>{portions.length} مقطع للمراجعة اليوم</Pill>}>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <select className="input w-48" value={surah} onChange={e=>{ const s=+e.target.value; setSurah(s); setRange([1, Math.min(5, surahInfo(s).ayahs)]); }}>
+          {SURAH_META.map(([i,,,ar])=> <option key={i} value={i}>{i}. {ar}</option>)}
+        </select>
+        <span>من</span><input className="input w-20" type="number" min={1} value={range[0]} onChange={e=>setRange(r=>[+e.target.value, r[1]])} />
+        <span>إلى</span><input className="input w-20" type="number" min={1} value={range[1]} onChange={e=>setRange(r=>[r[0], +e.target.value])} />
+        <button className="rounded-xl px-4 py-2 border" onClick={add}>إضافة للحفظ</button>
+        {Object.entries(HIFZ_STATES).map(([k,l])=> <Pill key={k}>{l}: {counts[k]||0}</Pill>)}
+      </div>
+
+      <div className="font-bold mb-2">مراجعة اليوم</div>
+      <div className="grid md:grid-cols-2 gap-2 mb-4">
+        {portions.length? portions.map(p=> (
+          <div key={p.first} className={cx("rounded-xl border p-3 text-sm", reviewing?.first===p.first && "border-emerald-500")}>
+            <div className="flex items-center justify-between gap-2">
+              <div className="font-bold">{p.label} <span className="opacity-70 font-normal">({p.last - p.first + 1} آيات)</span></div>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>review(p)}>تسميع</button>
+            </div>
+            {reviewing?.first===p.first && (
+              <div className="flex flex-wrap items-center gap-2 mt-2">
+                <span className="opacity-70">كيف كان استحضارك؟</span>
+                {HIFZ_GRADES.map(g=> <button key={g.q} className={cx("rounded-xl px-3 py-1 text-white", g.cls)} onClick={()=>grade(g.q)}>{g.label}</button>)}
+              </div>
+            )}
+          </div>
+        )): <div className="opacity-70 text-sm">لا مراجعة مستحقة اليوم — أضف مقطعًا جديدًا للحفظ.</div>}
+      </div>
+
+      <div className="font-bold mb-2">خريطة المصحف (٦٠٤ صفحة)</div>
+      <div className="grid gap-[2px]" style={{gridTemplateColumns:'repeat(40, minmax(0, 1fr))'}}>
+        {pages.map((v,i)=> <div key={i} title={`صفحة ${i+1}`} className={cx("aspect-square rounded-sm", heat(v))} />)}
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Voice Commands ----------
+// parseIntent (voiceIntents.js) turns an utterance into an action-bus action; see useAction.
+
+// Player range for a play intent (null = resume/play whatever is open).
+function intentRange({ surah, ayah, to, juz, page }){
+  if (juz) return resolveRange({ kind: "juz", juz });
+  if (page) return resolveRange({ kind: "page", page });
+  if (!surah) return null;
+  return resolveRange({ kind: "ayat", from: [surah, ayah || 1], to: [surah, to || surahInfo(surah).ayahs] });
+}
+
+const say = (lang, ar, en) => (lang === "en" ? en : ar);
+
+function describePlay(a){
+  if (a.juz) return say(a.lang, `تشغيل الجزء ${a.juz}`, `Playing juz ${a.juz}`);
+  if (a.page) return say(a.lang, `تشغيل الصفحة ${a.page}`, `Playing page ${a.page}`);
+  const { nameAr, name } = surahInfo(a.surah);
+  const from = a.ayah ? say(a.lang, ` من الآية ${a.ayah}`, ` from verse ${a.ayah}`) : "";
+  const to = a.to ? say(a.lang, ` إلى ${a.to}`, ` to ${a.to}`) : "";
+  return say(a.lang, `تشغيل سورة ${nameAr}`, `Playing surah ${name}`) + from + to;
+}
+
+// Replies are a string or { text, lang } when the content has its own language (Arabic tafsir…).
+function speak(reply, lang){
+  if (!reply || !('speechSynthesis' in window)) return;
+  const { text, lang: l = lang } = typeof reply === "string" ? { text: reply } : reply;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(Object.assign(new SpeechSynthesisUtterance(text), { lang: l === "en" ? "en-US" : "ar-SA" }));
+}
+
+const VOICE_LANGS = { "ar-SA": "العربية", "en-US": "English" };
+
+function VoiceAssistant({ bus }) {
+  const [active, setActive] = useState(false);
+  const [lang, setLang] = useState("ar-SA");
+  const [typed, setTyped] = useState("");
+  const [log, setLog] = useState([]);
+  const rec = useRef(null);
+
+  const run = async (text) => {
+    const intent = parseIntent(text);
+    let reply;
+    try { reply = intent.type === "unknown" ? undefined : await bus.emit(intent); }
+    catch (e) { reply = e.message; }
+    reply = reply ?? say(intent.lang, "لم أفهم الأمر. جرّب: \"شغل سورة الملك\" أو \"كم باقي على العصر\".", "Sorry, I didn't get that. Try \"play surah Al-Mulk\".");
+    setLog(l => [{ text, reply: typeof reply === "string" ? reply : reply.text }, ...l].slice(0, 10));
+    speak(reply, intent.lang);
+  };
+
+  const toggle = () => {
+    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SR) return alert('الاستماع الصوتي غير مدعوم في متصفحك — اكتب الأمر بدلًا من ذلك');
+    if (!rec.current) {
+      rec.current = new SR();
+      rec.current.lang = lang;
+      rec.current.continuous = true;
+      rec.current.interimResults = false;
+      rec.current.onresult = (e) => {
+        if (window.speechSynthesis?.speaking) return; // don't take our own reply as a command
+        run(e.results[e.results.length - 1][0].transcript.trim());
+      };
+      rec.current.onend = () => setActive(false);
+    }
+    if (!active) { rec.current.start(); setActive(true); } else { rec.current.stop(); setActive(false); }
+  };
+  const switchLang = (l) => { rec.current?.stop(); rec.current = null; setActive(false); setLang(l); };
+
+  return (
+    <Section title="المساعد الذكي الصوتي" right={<Pill>عربي / English</Pill>}>
+      <div className="flex flex-wrap items-center gap-3">
+        <button className={cx("rounded-full px-5 py-2 font-semibold", active?"bg-rose-600 text-white":"bg-emerald-600 text-white")} onClick={toggle}>{active?"إيقاف":"ابدأ الاستماع"}</button>
+        <select className="rounded-xl px-2 py-1 border bg-transparent" value={lang} onChange={e=>switchLang(e.target.value)}>
+          {Object.entries(VOICE_LANGS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+        </select>
+        <form className="flex gap-2 flex-1 min-w-[12rem]" onSubmit={e=>{ e.preventDefault(); if (typed.trim()) { run(typed); setTyped(""); } }}>
+          <input className="input flex-1" placeholder="أو اكتب الأمر…" value={typed} onChange={e=>setTyped(e.target.value)} />
+          <button className="rounded-xl px-3 py-1 border">نفّذ</button>
+        </form>
+      </div>
+      <div className="text-sm opacity-70 mt-2">جرّب: "شغل سورة الملك من الآية ٥"، "كم باقي على العصر"، "اقرأ تفسير الآية"، "سبّح ٣٣"، "أضف للمفضلة"</div>
+      <ul className="mt-3 text-sm space-y-1">
+        {log.map((l,i)=>(<li key={i}><span className="opacity-80">• {l.text}</span> <span className="opacity-60">← {l.reply.length > 120 ? `${l.reply.slice(0, 120)}…` : l.reply}</span></li>))}
+      </ul>
+    </Section>
+  );
+}
+
+// ---------- Kids Mode ----------
+// Kids mode replaces the whole app shell (see RafiqApp): a child profile always gets it, and a
+// parent can start it on their own session for a child. Leaving needs a parent's PIN.
+// Points are never granted directly; they are the sum of completed activities, so the only way
+// to earn them is to finish a step or a game. Every completion (repeats too) also marks the day for the streak.
+// rafiq.kidsProgress: { [childId]: { done: { [activityKey]: { at, points, ...result } }, days: { [YYYY-MM-DD]: completions } } }
+const KIDS_PATH = [1, 112, 113, 114, 108, 103, 110, 111, 109, 107, 106, 105];
+const KIDS_STEPS = [
+  { id: "listen", label: "استمع", icon: "🎧", points: 10 },
+  { id: "repeat", label: "ردّد", icon: "🗣️", points: 20 },
+  { id: "quiz", label: "اختبر", icon: "⭐", points: 30 },
+];
+const KIDS_PASS = 0.6; // quiz share needed to complete the step
+const KIDS_GUEST = "guest"; // kids mode started on a device without child profiles
+const stepKey = (surah, step) => `${surah}:${step}`;
+
+// A step opens once the one before it is done; the next surah opens after the previous quiz.
+function stepUnlocked(done, pathIndex, stepIndex){
+  if (stepIndex > 0) return !!done[stepKey(KIDS_PATH[pathIndex], KIDS_STEPS[stepIndex - 1].id)];
+  return pathIndex === 0 || !!done[stepKey(KIDS_PATH[pathIndex - 1], KIDS_STEPS[KIDS_STEPS.length - 1].id)];
+}
+
+function kidsStats(child = {}, today = dayKey()){
+  const done = child.done || {}, days = child.days || {};
+  let k = days[today] ? today : addDays(today, -1), streak = 0;
+  while (days[k]) { streak++; k = addDays(k, -1); }
+  const games = {};
+  for (const [k, d] of Object.entries(done)) {
+    const id = k.match(/^game:(\w+):/)?.[1];
+    if (!id) continue;
+    const g = games[id] = games[id] || { plays: 0, accuracy: 0, best: 0 };
+    g.accuracy = (g.accuracy * g.plays + d.accuracy) / ++g.plays;
+    g.best = Math.max(g.best, d.points);
+  }
+  return {
+    points: Object.values(done).reduce((a, d) => a + d.points, 0),
+    streak,
+    surahs: KIDS_PATH.filter(s => KIDS_STEPS.every(st => done[stepKey(s, st.id)])).length,
+    last: Object.values(done).reduce((a, d) => Math.max(a, d.at), 0) || null,
+    games,
+  };
+}
+
+function useKidsProgress(){
+  const [progress, setProgress] = usePersisted(STORAGE_KEYS.kidsProgress, {});
+  // Keeps the best result per activity, so retrying a quiz can raise its points but never farm them.
+  const complete = (child, key, points, result = {}) => setProgress(p => {
+    const c = { done: {}, days: {}, ...p[child] };
+    const day = dayKey();
+    const prev = c.done[key];
+    return { ...p, [child]: {
+      done: prev && prev.points >= points ? c.done : { ...c.done, [key]: { at: Date.now(), points, ...result } },
+      days: { ...c.days, [day]: (c.days[day] || 0) + 1 },
+    } };
+  });
+  const reset = (child) => setProgress(p => { const next = { ...p }; delete next[child]; return next; });
+  return { progress, complete, reset };
+}
+
+const shuffled = (list, rand = Math.random) => list.map(x => [rand(), x]).sort((a, b) => a[0] - b[0]).map(x => x[1]);
+
+// "What comes next?" for up to three ayat, then "which surah is this?".
+function kidsQuiz(surah, mushaf, rand = Math.random){
+  const ayat = mushaf[surah - 1];
+  const pool = [...new Set(KIDS_PATH.filter(s => s !== surah).flatMap(s => mushaf[s - 1]))]; // 109 repeats ayat
+  const qs = shuffled(ayat.slice(0, -1).map((_, i) => i), rand).slice(0, 3).sort((a, b) => a - b).map(i => ({
+    prompt: "ما الآية التالية؟", text: ayat[i], answer: ayat[i + 1],
+    options: shuffled([ayat[i + 1], ...shuffled(pool.filter(t => t !== ayat[i + 1]), rand).slice(0, 2)], rand),
+  }));
+  const others = shuffled(KIDS_PATH.filter(s => s !== surah), rand).slice(0, 2);
+  qs.push({ prompt: "من أي سورة هذه الآية؟", text: ayat[0], answer: surahInfo(surah).nameAr, options: shuffled([surah, ...others], rand).map(s => surahInfo(s).nameAr) });
+  return qs;
+}
+
+// Plays the surah ayah by ayah; finishing the last one completes the step.
+function KidsListen({ surah, mushaf, reciter, onDone }){
+  const [i, setI] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const el = useRef(null);
+  const ayat = mushaf[surah - 1];
+  useEffect(() => { if (playing) el.current?.play().catch(console.warn); }, [i, playing]);
+  const ended = () => { if (i + 1 < ayat.length) setI(i + 1); else { setPlaying(false); onDone(); } };
+  return (
+    <div className="grid gap-3">
+      <audio ref={el} src={ayahAudioUrl(reciter, surah, i + 1)} onEnded={ended} />
+      <div dir="rtl" className="text-2xl leading-loose text-center">
+        {ayat.map((t, k)=> <span key={k} className={cx("px-1 rounded", k === i && playing && "bg-yellow-200")}>{t} ﴿{k + 1}﴾ </span>)}
+      </div>
+      <button className="rounded-2xl px-6 py-3 bg-sky-500 text-white text-xl font-bold justify-self-center" onClick={()=>{ if (playing) el.current?.pause(); setPlaying(!playing); }}>{playing ? "⏸ توقف" : "▶ استمع"}</button>
+    </div>
+  );
+}
+
+// One ayah at a time: listen, say it back, tap to move on. The tap unlocks once the ayah has played to the end.
+function KidsRepeat({ surah, mushaf, reciter, onDone }){
+  const [i, setI] = useState(0);
+  const [heard, setHeard] = useState(false);
+  const el = useRef(null);
+  const ayat = mushaf[surah - 1];
+  const next = () => { if (i + 1 < ayat.length) { setI(i + 1); setHeard(false); } else onDone(); };
+  return (
+    <div className="grid gap-3 text-center">
+      <audio ref={el} src={ayahAudioUrl(reciter, surah, i + 1)} onEnded={()=>setHeard(true)} />
+      <div className="text-sm opacity-70">الآية {i + 1} من {ayat.length}</div>
+      <div dir="rtl" className="text-3xl leading-loose">{ayat[i]}</div>
+      <div className="flex justify-center gap-3">
+        <button className="rounded-2xl px-5 py-3 bg-sky-500 text-white text-lg font-bold" onClick={()=>{ el.current.currentTime = 0; el.current.play().catch(console.warn); }}>🎧 استمع</button>
+        <button className="rounded-2xl px-5 py-3 bg-emerald-500 text-white text-lg font-bold disabled:opacity-50" disabled={!heard} onClick={next}>🗣️ رددتها</button>
+      </div>
+    </div>
+  );
+}
+
+function KidsQuiz({ surah, mushaf, onDone }){
+  const [qs, setQs] = useState(() => kidsQuiz(surah, mushaf));
+  const [i, setI] = useState(0);
+  const [right, setRight] = useState(0);
+  const [picked, setPicked] = useState(null);
+  if (i === qs.length) {
+    const score = right / qs.length;
+    return (
+      <div className="grid gap-3 text-center">
+        <div className="text-5xl">{score >= KIDS_PASS ? "🎉" : "💪"}</div>
+        <div className="text-2xl font-bold">{right} من {qs.length}</div>
+        {score >= KIDS_PASS
+          ? <button className="rounded-2xl px-6 py-3 bg-emerald-500 text-white text-xl font-bold justify-self-center" onClick={()=>onDone(score)}>خذ نجومك ⭐</button>
+          : <button className="rounded-2xl px-6 py-3 bg-amber-500 text-white text-xl font-bold justify-self-center" onClick={()=>{ setQs(kidsQuiz(surah, mushaf)); setI(0); setRight(0); }}>حاول مرة أخرى</button>}
+      </div>
+    );
+  }
+  const q = qs[i];
+  const choose = (o) => {
+    if (picked) return;
+    setPicked(o);
+    if (o === q.answer) setRight(r => r + 1);
+    setTimeout(() => { setPicked(null); setI(i + 1); }, 900);
+  };
+  return (
+    <div className="grid gap-3">
+      <div className="text-center font-bold">{q.prompt}</div>
+      <div dir="rtl" className="text-2xl leading-loose text-center rounded-2xl bg-white/70 p-3">{q.text}</div>
+      {q.options.map(o=> (
+        <button key={o} dir="rtl" className={cx("rounded-2xl p-3 text-xl border-2 text-start",
+          picked && o === q.answer ? "bg-emerald-200 border-emerald-400" : picked === o ? "bg-rose-200 border-rose-400" : "bg-white border-sky-200")} onClick={()=>choose(o)}>{o}</button>
+      ))}
+    </div>
+  );
+}
+
+// Parent PIN (any local profile that may toggle kids mode). A child profile hands the session to
+// that parent; a parent's own session just leaves kids mode.
+function KidsExit({ auth, onExit, onCancel }){
+  const [pin, setPin] = useState("");
+  const [err, setErr] = useState("");
+  const [busy, setBusy] = useState(false);
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true); setErr("");
+    try {
+      const parent = await auth.verifyParent(pin);
+      if (!parent) { setErr("رمز غير صحيح"); return; }
+      if (auth.current.role === "child") await auth.login(parent.id, pin);
+      onExit();
+    } catch (e) { setErr(e.message); } finally { setBusy(false); setPin(""); }
+  };
+  return (
+    <div className="fixed inset-0 z-30 grid place-items-center bg-black/40 p-4">
+      <form className="rounded-2xl bg-white text-gray-900 p-6 grid gap-3 w-full max-w-xs" onSubmit={submit}>
+        <div className="font-bold">رمز ولي الأمر</div>
+        <input className="input" type="password" inputMode="numeric" autoFocus autoComplete="off" value={pin} onChange={e=>setPin(e.target.value)} />
+        {err && <div className="text-sm text-rose-600">{err}</div>}
+        <div className="flex gap-2">
+          <button className="btn-primary flex-1" disabled={busy || !pin}>{busy ? "…" : "خروج"}</button>
+          <button type="button" className="rounded-xl px-4 py-2 border" onClick={onCancel}>إلغاء</button>
+        </div>
+        <button type="button" className="text-sm opacity-70" onClick={auth.logout}>تبديل الملف (شاشة الدخول)</button>
+      </form>
+    </div>
+  );
+}
+
+function KidsShell({ auth, child, kids, settings, onExit, onEvent }){
+  const mushaf = useMushaf();
+  const words = useDataset(KIDS_WORDS_URL)?.words;
+  const today = useToday();
+  const [open, setOpen] = useState(null); // { surah, step } | { game, level }
+  const [levels, setLevels] = useState({});
+  const [exiting, setExiting] = useState(false);
+  const reciter = RECITERS.find(r => r.id === settings.reciter) || RECITERS[0];
+  const me = kids.progress[child] || {};
+  const done = me.done || {};
+  const stats = kidsStats(me, today);
+  const name = child === KIDS_GUEST ? "صديق رفيق" : auth.profiles.find(p => p.id === child)?.name || "صديق رفيق";
+
+  const finish = (points, score) => {
+    kids.complete(child, stepKey(open.surah, open.step.id), points, { score });
+    onEvent("kids.activity", { surah: open.surah, step: open.step.id });
+    setOpen(null);
+  };
+  const finishGame = ({ score, ...result }) => {
+    kids.complete(child, gameKey(open.game, open.level, today), score, result);
+    onEvent("kids.activity", { game: open.game });
+    onEvent("game.won", { game: open.game, score, ...result });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-sky-100 to-amber-50 text-gray-900">
+      <header className="max-w-3xl mx-auto p-4 flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-full bg-amber-400 grid place-items-center text-2xl font-black text-white">{name[0]}</div>
+          <div>
+            <div className="font-extrabold text-lg">أهلًا {name}</div>
+            <div className="text-sm">⭐ {stats.points} نجمة · 🔥 {stats.streak} {stats.streak === 1 ? "يوم" : "أيام"}</div>
+          </div>
+        </div>
+        <button className="rounded-xl px-3 py-1 border bg-white/60" onClick={()=>setExiting(true)}>🔒 خروج</button>
+      </header>
+
+      <main className="max-w-3xl mx-auto p-4 grid gap-4">
+        {open?.game ? (
+          <div className="rounded-3xl bg-white/80 p-5 shadow">
+            <div className="flex items-center justify-between mb-4">
+              <div className="text-xl font-bold">{KIDS_GAMES[open.game].icon} {KIDS_GAMES[open.game].name}</div>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>setOpen(null)}>رجوع</button>
+            </div>
+            <GameHost id={open.game} level={open.level} content={{ mushaf, words, reciter }} onFinish={finishGame} />
+          </div>
+        ) : open ? (
+          <div className="rounded-3xl bg-white/80 p-5 shadow">
+            <div className="flex items-center justify-between mb-4">
+              <div className="text-xl font-bold">{open.step.icon} {open.step.label} — سورة {surahInfo(open.surah).nameAr}</div>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>setOpen(null)}>رجوع</button>
+            </div>
+            {!mushaf ? <div className="opacity-70">جارٍ التحميل…</div>
+              : open.step.id === "listen" ? <KidsListen surah={open.surah} mushaf={mushaf} reciter={reciter} onDone={()=>finish(open.step.points)} />
+              : open.step.id === "repeat" ? <KidsRepeat surah={open.surah} mushaf={mushaf} reciter={reciter} onDone={()=>finish(open.step.points)} />
+              : <KidsQuiz surah={open.surah} mushaf={mushaf} onDone={(score)=>finish(Math.round(open.step.points * score), score)} />}
+          </div>
+        ) : (
+          <>
+            <div className="grid sm:grid-cols-2 gap-3">
+              {KIDS_PATH.map((s, pi)=> (
+                <div key={s} className={cx("rounded-3xl p-4 shadow bg-white/80", !stepUnlocked(done, pi, 0) && "opacity-50")}>
+                  <div className="font-bold text-lg mb-2">{stepUnlocked(done, pi, 0) ? "" : "🔒 "}سورة {surahInfo(s).nameAr}</div>
+                  <div className="flex gap-2">
+                    {KIDS_STEPS.map((st, si)=> {
+                      const ok = stepUnlocked(done, pi, si), d = done[stepKey(s, st.id)];
+                      return (
+                        <button key={st.id} disabled={!ok} onClick={()=>setOpen({ surah: s, step: st })}
+                          className={cx("flex-1 rounded-2xl py-2 border-2 text-sm font-bold", d ? "bg-emerald-100 border-emerald-300" : ok ? "bg-sky-50 border-sky-300" : "border-gray-200")}>
+                          <div className="text-2xl">{d ? "✅" : st.icon}</div>{st.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="font-bold text-lg">الألعاب</div>
+            <div className="grid sm:grid-cols-2 gap-3">
+              {Object.entries(KIDS_GAMES).map(([id, g])=> {
+                const level = levels[id] || 1;
+                return (
+                  <div key={id} className="rounded-3xl p-4 shadow bg-orange-50 grid gap-2">
+                    <div className="font-bold text-lg">{g.icon} {g.name} {done[gameKey(id, level, today)] && "✅"}</div>
+                    <div className="flex gap-1">
+                      {Object.entries(KIDS_LEVELS).map(([l, label])=> (
+                        <button key={l} className={cx("flex-1 rounded-xl py-1 border text-sm", +l === level && "bg-orange-300 border-orange-400 font-bold")} onClick={()=>setLevels(x=>({ ...x, [id]: +l }))}>{label}</button>
+                      ))}
+                    </div>
+                    <button className="rounded-2xl py-2 bg-orange-500 text-white font-bold" onClick={()=>setOpen({ game: id, level })}>▶ العب</button>
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </main>
+      {exiting && <KidsExit auth={auth} onExit={onExit} onCancel={()=>setExiting(false)} />}
+    </div>
+  );
+}
+
+// Parent dashboard in the adult shell: each child's points, streak and path, and the way in.
+function KidsDashboard({ auth, kids, onStart }){
+  const today = useToday();
+  const children = auth.profiles.filter(p => p.role === "child").map(p => ({ id: p.id, name: p.name }));
+  if (kids.progress[KIDS_GUEST] || !children.length) children.push({ id: KIDS_GUEST, name: "ضيف (بدون ملف)" });
+  const [reset, setReset] = useState(null);
+  return (
+    <Section title="وضع الأطفال — لوحة ولي الأمر">
+      <div className="grid md:grid-cols-2 gap-3">
+        {children.map(c=> {
+          const p = kids.progress[c.id] || {};
+          const st = kidsStats(p, today);
+          return (
+            <div key={c.id} className="rounded-xl border p-3 grid gap-2 text-sm">
+              <div className="flex items-center justify-between">
+                <b>{c.name}</b>
+                <button className="rounded-xl px-3 py-1 border" onClick={()=>onStart(c.id)}>ابدأ وضع الأطفال</button>
+              </div>
+              <div>⭐ {st.points} · 🔥 {st.streak} يوم · السور المتقنة {st.surahs}/{KIDS_PATH.length}{st.last && ` · آخر نشاط ${dayKey(new Date(st.last))}`}</div>
+              <div className="flex flex-wrap gap-1">
+                {KIDS_PATH.map(s=> {
+                  const n = KIDS_STEPS.filter(x => p.done?.[stepKey(s, x.id)]).length;
+                  return <span key={s} title={`${n}/${KIDS_STEPS.length}`} className={cx("px-2 py-0.5 rounded-full text-xs", n === KIDS_STEPS.length ? "bg-emerald-200 dark:bg-emerald-800" : n ? "bg-amber-100 dark:bg-amber-900" : "bg-gray-100 dark:bg-gray-800")}>{surahInfo(s).nameAr}</span>;
+                })}
+              </div>
+              {Object.keys(st.games).length > 0 && <div>الألعاب: {Object.entries(st.games).map(([id, g]) => `${KIDS_GAMES[id]?.name || id} ×${g.plays} (دقة ${Math.round(g.accuracy * 100)}٪)`).join("، ")}</div>}
+              {p.done?.[stepKey(KIDS_PATH[0], "quiz")] != null && <div className="opacity-70">نتائج الاختبارات: {KIDS_PATH.filter(s => p.done?.[stepKey(s, "quiz")]).map(s => `${surahInfo(s).nameAr} ${Math.round(p.done[stepKey(s, "quiz")].score * 100)}%`).join("، ")}</div>}
+              {reset === c.id
+                ? <div className="flex gap-2"><span>مسح تقدم {c.name}؟</span><button className="rounded-xl px-2 border" onClick={()=>{ kids.reset(c.id); setReset(null); }}>نعم</button><button className="rounded-xl px-2 border" onClick={()=>setReset(null)}>لا</button></div>
+                : Object.keys(p).length > 0 && <button className="justify-self-start opacity-60" onClick={()=>setReset(c.id)}>مسح التقدم</button>}
+            </div>
+          );
+        })}
+      </div>
+      <div className="text-sm opacity-70 mt-3">للخروج من وضع الأطفال يُطلب رمز ملف مشرف أو معلّم.</div>
+    </Section>
+  );
+}
+
+// ---------- Kids Games ----------
+// Every game gets { level, content, onAttempt(ok), onWin() } and knows nothing else: GameHost
+// times it, counts attempts and turns that into a result the shell records like any activity
+// (key game:<id>:<level>@<day>, best result of the day kept).
+// content: { mushaf, words (public/data/kids-words.json), reciter }.
+const KIDS_WORDS_URL = "/data/kids-words.json";
+const KIDS_LEVELS = { 1: "سهل", 2: "متوسط", 3: "صعب" };
+const MEMORY_PHRASES = ["سبحان الله", "الحمد لله", "الله أكبر", "لا إله إلا الله", "أستغفر الله", "بسم الله", "ما شاء الله", "لا حول ولا قوة إلا بالله"];
+const LISTEN_ROUNDS = 5;
+const pickOne = (list, rand = Math.random) => list[Math.floor(rand() * list.length)];
+
+// Score scales with level and accuracy: a perfect hard game is worth three perfect easy ones.
+function gameResult({ attempts, correct }, level, points, duration){
+  const accuracy = attempts ? correct / attempts : 0;
+  return { level, accuracy, duration, moves: attempts, score: Math.round(points * level * accuracy) };
+}
+
+const fmtClock = (ms) => { const s = Math.round(ms / 1000); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`; };
+
+// Ayat of a short passage come shuffled; tap them in order.
+function OrderGame({ level, content, onAttempt, onWin }){
+  const [puzzle] = useState(() => {
+    const surah = pickOne(KIDS_PATH);
+    const ayat = content.mushaf[surah - 1];
+    const n = Math.min([0, 4, 6, 8][level], ayat.length);
+    const start = Math.floor(Math.random() * (ayat.length - n + 1));
+    return { surah, start, ayat: ayat.slice(start, start + n) };
+  });
+  const [pool, setPool] = useState(() => shuffled(puzzle.ayat.map((t, i) => ({ t, i }))));
+  const [placed, setPlaced] = useState([]);
+  const [wrong, setWrong] = useState(null);
+  const tap = (item) => {
+    // Compare text, not position: some surahs repeat an ayah word for word (al-Kafirun).
+    if (item.t !== puzzle.ayat[placed.length]) { onAttempt(false); setWrong(item.i); setTimeout(() => setWrong(null), 500); return; }
+    onAttempt(true);
+    setPool(p => p.filter(x => x !== item));
+    setPlaced(p => [...p, item.t]);
+    if (placed.length + 1 === puzzle.ayat.length) onWin();
+  };
+  return (
+    <div className="grid gap-3">
+      <div className="text-center font-bold">رتّب آيات سورة {surahInfo(puzzle.surah).nameAr} (من الآية {puzzle.start + 1})</div>
+      <ol dir="rtl" className="grid gap-1 min-h-[2rem] rounded-2xl bg-emerald-50 p-2 text-xl">
+        {placed.map((t, k)=> <li key={k}>{t} ﴿{puzzle.start + k + 1}﴾</li>)}
+      </ol>
+      {pool.map(x=> (
+        <button key={x.i} dir="rtl" className={cx("rounded-2xl p-3 text-xl border-2 text-start", wrong === x.i ? "bg-rose-200 border-rose-400" : "bg-white border-sky-200")} onClick={()=>tap(x)}>{x.t}</button>
+      ))}
+    </div>
+  );
+}
+
+// Tap a word, then its meaning.
+function WordsGame({ level, content, onAttempt, onWin }){
+  const [pairs] = useState(() => shuffled(content.words).slice(0, [0, 3, 4, 6][level]));
+  const [meanings] = useState(() => shuffled(pairs));
+  const [matched, setMatched] = useState([]);
+  const [sel, setSel] = useState(null);
+  const [wrong, setWrong] = useState(null);
+  const choose = (p) => {
+    if (!sel) return;
+    const ok = p === sel;
+    onAttempt(ok);
+    if (ok) { setMatched(m => [...m, p]); if (matched.length + 1 === pairs.length) onWin(); }
+    else { setWrong(p); setTimeout(() => setWrong(null), 500); }
+    setSel(null);
+  };
+  const cell = "rounded-2xl p-3 border-2 text-lg";
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <div className="grid gap-2 content-start">
+        {pairs.map(p=> matched.includes(p) ? <div key={p.word} className={cx(cell, "bg-emerald-100 border-emerald-300 opacity-60")}>{p.word}</div> : (
+          <button key={p.word} className={cx(cell, "font-bold", sel === p ? "bg-sky-200 border-sky-400" : "bg-white border-sky-200")} onClick={()=>setSel(p)}>{p.word}</button>
+        ))}
+      </div>
+      <div className="grid gap-2 content-start">
+        {meanings.map(p=> matched.includes(p) ? <div key={p.word} className={cx(cell, "bg-emerald-100 border-emerald-300 opacity-60")}>{p.meaning}</div> : (
+          <button key={p.word} className={cx(cell, wrong === p ? "bg-rose-200 border-rose-400" : "bg-white border-amber-200")} onClick={()=>choose(p)}>{p.meaning}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// A random reciter plays one ayah; name the surah. Hard starts mid-surah instead of the opening.
+function ListenGame({ level, onAttempt, onWin }){
+  const makeRound = () => {
+    const surah = pickOne(KIDS_PATH);
+    const opening = surah === 1 ? 2 : 1; // 1:1 is the basmala, which every surah shares
+    const ayah = level === 3 ? 1 + Math.floor(Math.random() * surahInfo(surah).ayahs) : opening;
+    const options = shuffled([surah, ...shuffled(KIDS_PATH.filter(s => s !== surah)).slice(0, level)]);
+    return { surah, ayah, reciter: pickOne(RECITERS), options };
+  };
+  const [n, setN] = useState(0);
+  const [round, setRound] = useState(makeRound);
+  const [picked, setPicked] = useState(null);
+  const el = useRef(null);
+  useEffect(() => { el.current?.play().catch(() => {}); }, [round]); // autoplay may need the button
+  const choose = (s) => {
+    if (picked) return;
+    setPicked(s);
+    onAttempt(s === round.surah);
+    setTimeout(() => {
+      setPicked(null);
+      if (n + 1 === LISTEN_ROUNDS) return onWin();
+      setN(n + 1); setRound(makeRound());
+    }, 1000);
+  };
+  return (
+    <div className="grid gap-3 text-center">
+      <div className="text-sm opacity-70">الجولة {n + 1} من {LISTEN_ROUNDS} · القارئ: {round.reciter.name}</div>
+      <audio ref={el} src={ayahAudioUrl(round.reciter, round.surah, round.ayah)} />
+      <button className="rounded-2xl px-6 py-3 bg-sky-500 text-white text-xl font-bold justify-self-center" onClick={()=>{ el.current.currentTime = 0; el.current.play().catch(console.warn); }}>🎧 استمع مرة أخرى</button>
+      <div className="font-bold">من أي سورة هذه التلاوة؟</div>
+      {round.options.map(s=> (
+        <button key={s} className={cx("rounded-2xl p-3 text-xl border-2",
+          picked && s === round.surah ? "bg-emerald-200 border-emerald-400" : picked === s ? "bg-rose-200 border-rose-400" : "bg-white border-sky-200")} onClick={()=>choose(s)}>سورة {surahInfo(s).nameAr}</button>
+      ))}
+    </div>
+  );
+}
+
+// Classic pairs; each turned pair is one attempt.
+function MemoryGame({ level, onAttempt, onWin }){
+  const [cards, setCards] = useState(() => shuffled(MEMORY_PHRASES.slice(0, [0, 4, 6, 8][level]).flatMap(t => [t, t])).map((text, id) => ({ id, text, open: false, done: false })));
+  const [sel, setSel] = useState([]);
+  const flip = (c) => {
+    if (c.done || c.open || sel.length === 2) return;
+    const next = [...sel, c.id];
+    setCards(cs => cs.map(x => x.id === c.id ? { ...x, open: true } : x));
+    setSel(next);
+    if (next.length < 2) return;
+    const [a, b] = next.map(id => cards.find(x => x.id === id));
+    const ok = a.text === b.text;
+    onAttempt(ok);
+    setTimeout(() => {
+      setCards(cs => cs.map(x => next.includes(x.id) ? (ok ? { ...x, done: true } : { ...x, open: false }) : x));
+      setSel([]);
+      if (ok && cards.filter(x => x.done).length + 2 === cards.length) onWin();
+    }, ok ? 300 : 700);
+  };
+  return (
+    <div className="grid grid-cols-4 gap-2">
+      {cards.map(c=> (
+        <button key={c.id} onClick={()=>flip(c)} className={cx("aspect-square rounded-xl border grid place-items-center text-sm font-bold p-1",
+          c.done ? "bg-emerald-100 border-emerald-300" : c.open ? "bg-white" : "bg-orange-100 border-orange-300")}>{c.open || c.done ? c.text : "?"}</button>
+      ))}
+    </div>
+  );
+}
+
+const KIDS_GAMES = {
+  order: { name: "رتّب الآيات", icon: "🧩", points: 10, Game: OrderGame, needs: "mushaf" },
+  words: { name: "الكلمة ومعناها", icon: "🔤", points: 10, Game: WordsGame, needs: "words" },
+  listen: { name: "أي سورة تسمع؟", icon: "🎧", points: 10, Game: ListenGame },
+  memory: { name: "بطاقات الذاكرة", icon: "🃏", points: 5, Game: MemoryGame },
+};
+const gameKey = (id, level, day) => `game:${id}:${level}@${day}`;
+
+function GameHost({ id, level, content, onFinish }){
+  const { Game, points, needs } = KIDS_GAMES[id];
+  const [run, setRun] = useState(0);
+  const [tally, setTally] = useState({ attempts: 0, correct: 0 });
+  const [result, setResult] = useState(null);
+  const started = useRef(Date.now());
+  const counted = useRef(tally); // games call onAttempt then onWin in one handler, before a re-render
+
+  const onAttempt = (ok) => {
+    counted.current = { attempts: counted.current.attempts + 1, correct: counted.current.correct + (ok ? 1 : 0) };
+    setTally(counted.current);
+  };
+  const onWin = () => {
+    const r = gameResult(counted.current, level, points, Date.now() - started.current);
+    setResult(r);
+    onFinish(r);
+  };
+  const again = () => {
+    counted.current = { attempts: 0, correct: 0 };
+    setTally(counted.current); setResult(null); setRun(r => r + 1);
+    started.current = Date.now();
+  };
+
+  if (needs && !content[needs]) return <div className="opacity-70">جارٍ التحميل…</div>;
+  if (result) return (
+    <div className="grid gap-3 text-center">
+      <div className="text-5xl">{result.accuracy === 1 ? "🏆" : "🎉"}</div>
+      <div className="text-2xl font-bold">⭐ {result.score}</div>
+      <div>الدقة {Math.round(result.accuracy * 100)}٪ · الوقت {fmtClock(result.duration)} · المحاولات {result.moves}</div>
+      <button className="rounded-2xl px-6 py-3 bg-emerald-500 text-white text-xl font-bold justify-self-center" onClick={again}>العب مرة أخرى</button>
+    </div>
+  );
+  return (
+    <div className="grid gap-3">
+      <div className="flex justify-between text-sm opacity-70"><span>المستوى: {KIDS_LEVELS[level]}</span><span>المحاولات {tally.attempts} · الصحيحة {tally.correct}</span></div>
+      <Game key={run} level={level} content={content} onAttempt={onAttempt} onWin={onWin} />
+    </div>
+  );
+}
+
+// ---------- Groups / Leaderboard ----------
+// Halaqat for mosques and schools. Teachers (groups.manage) add members, link them to profiles on
+// this device, set recitation or hifz assignments and record evaluations; linked members log
+// activity automatically. Groups travel between devices as export files; mergeGroup makes re-imports
+// safe. Only teachers import or link, so nobody can claim another member's row.
+// Group: { id, name, kind, members: [{ id, name, profileId? }], assignments: [{ id, kind, surah, from, to, due, memberId? }],
+//          evaluations: [{ id, memberId, assignmentId?, day, grade, jali, khafi, notes }],
+//          activity: { [memberId]: { [day]: { read, review, tasbeeh } } }, deleted: { [itemId]: deletedAt } }
+// Every member, assignment and evaluation carries the `updatedAt` of its last edit.
+const GROUP_KINDS = { mosque: "حلقة مسجد", school: "فصل مدرسي" };
+const ASSIGNMENT_KINDS = { recite: "تلاوة", hifz: "حفظ" };
+const EVAL_GRADES = [[5, "ممتاز"], [4, "جيد جدًا"], [3, "جيد"], [2, "مقبول"], [1, "يعاد"]];
+// Leaderboard points per unit of activity; tasbeeh counts per 100.
+const GROUP_POINTS = { read: 1, review: 5, tasbeeh: 1 / 100, grade: 10 };
+const GROUP_PERIODS = { week: ["آخر ٧ أيام", 7], month: ["آخر ٣٠ يومًا", 30] }; // rolling windows ending today
+const GROUP_FILE_FORMAT = "rafiq-group";
+
+const uid = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Ranked rows for the last `days` days ending today.
+function groupLeaderboard(group, days, today = dayKey()){
+  const since = addDays(today, -(days - 1));
+  return group.members.map(m => {
+    const t = { read: 0, review: 0, tasbeeh: 0, grade: 0 };
+    for (const [day, c] of Object.entries(group.activity[m.id] || {})) {
+      if (day < since || day > today) continue;
+      t.read += c.read || 0; t.review += c.review || 0; t.tasbeeh += c.tasbeeh || 0;
+    }
+    t.grade = group.evaluations.filter(e => e.memberId === m.id && e.day >= since && e.day <= today).reduce((s, e) => s + e.grade, 0);
+    const score = Math.round(Object.entries(GROUP_POINTS).reduce((s, [k, w]) => s + t[k] * w, 0));
+    return { member: m, ...t, score };
+  }).sort((a, b) => b.score - a.score);
+}
+
+function useGroups(){
+  const [groups, setGroups] = usePersisted(STORAGE_KEYS.groups, [], (stored) => stored.map(normalizeGroup));
+  const edit = (id, fn) => setGroups(gs => gs.map(g => g.id === id ? fn(g) : g));
+  const push = (id, key, item) => edit(id, g => ({ ...g, [key]: [...g[key], { id: uid(), ...item, updatedAt: Date.now() }] }));
+  const drop = (id, key, itemId) => edit(id, g => ({ ...g, [key]: g[key].filter(x => x.id !== itemId), deleted: { ...g.deleted, [itemId]: Date.now() } }));
+
+  return {
+    groups,
+    create: (name, kind) => setGroups(gs => [...gs, normalizeGroup({ id: uid(), name, kind })]),
+    remove: (id) => setGroups(gs => gs.filter(g => g.id !== id)),
+    addMember: (id, member) => push(id, "members", member),
+    removeMember: (id, memberId) => drop(id, "members", memberId),
+    link: (id, memberId, profileId) => edit(id, g => ({ ...g, members: g.members.map(m =>
+      m.id === memberId ? { ...m, profileId, updatedAt: Date.now() } : profileId && m.profileId === profileId ? { ...m, profileId: undefined, updatedAt: Date.now() } : m) })),
+    assign: (id, a) => push(id, "assignments", a),
+    removeAssignment: (id, aId) => drop(id, "assignments", aId),
+    evaluate: (id, e) => push(id, "evaluations", { day: dayKey(), ...e }),
+    // Credits activity of `profileId` to its member row in every group it belongs to.
+    log: (profileId, kind, n = 1) => {
+      if (!profileId) return;
+      const day = dayKey();
+      setGroups(gs => gs.map(g => {
+        const m = g.members.find(x => x.profileId === profileId);
+        if (!m) return g;
+        const days = g.activity[m.id] || {};
+        const c = days[day] || {};
+        return { ...g, activity: { ...g.activity, [m.id]: { ...days, [day]: { ...c, [kind]: (c[kind] || 0) + n } } } };
+      }));
+    },
+    exportGroup: (g) => downloadFile(`rafiq-group-${g.name}.json`, JSON.stringify({ format: GROUP_FILE_FORMAT, version: 1, exportedAt: new Date().toISOString(), group: g }, null, 2)),
+    importGroup: (data) => {
+      if (data?.format !== GROUP_FILE_FORMAT || !data.group?.id) throw new Error("ليس ملف مجموعة من رفيق");
+      const inc = normalizeGroup(data.group);
+      setGroups(gs => gs.some(g => g.id === inc.id) ? gs.map(g => g.id === inc.id ? mergeGroup(g, inc) : g) : [...gs, inc]);
+      return inc;
+    },
+  };
+}
+
+function Groups({ groups, auth }){
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState("mosque");
+  const [openId, setOpenId] = useState(null);
+  const manage = auth.can("groups.manage");
+  const me = auth.current.id;
+  // Teachers see every group on the device; students see the ones they are a member of.
+  const visible = groups.groups.filter(g => manage || g.members.some(m => m.profileId === me));
+
+  const importFile = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    try { setOpenId(groups.importGroup(JSON.parse(await f.text())).id); }
+    catch (err) { alert(`تعذر الاستيراد: ${err.message}`); }
+    e.target.value = "";
+  };
+
+  return (
+    <Section title="المجموعات (مسجد/مدرسة)" right={manage &&
+      <label className="rounded-xl px-3 py-1 border cursor-pointer text-sm">استيراد<input type="file" accept=".json,application/json" className="hidden" onChange={importFile} /></label>
+    }>
+      {manage && (
+        <div className="flex gap-2 mb-3">
+          <input className="input" placeholder="اسم المجموعة" value={name} onChange={e=>setName(e.target.value)} />
+          <select className="input w-40" value={kind} onChange={e=>setKind(e.target.value)}>
+            {Object.entries(GROUP_KINDS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+          </select>
+          <button className="rounded-xl px-4 py-2 border" onClick={()=>{ if(!name.trim()) return; groups.create(name.trim(), kind); setName(""); }}>إنشاء</button>
+        </div>
+      )}
+      <div className="grid gap-3">
+        {visible.map(g=> (
+          <div key={g.id} className="rounded-xl border p-3">
+            <div className="flex items-center justify-between gap-2">
+              <button className="font-bold text-start" onClick={()=>setOpenId(openId===g.id ? null : g.id)}>{g.name} <span className="text-sm opacity-70">· {GROUP_KINDS[g.kind]} · {g.members.length} عضو</span></button>
+              <div className="flex gap-2">
+                <button className="rounded-xl px-3 py-1 border text-sm" onClick={()=>groups.exportGroup(g)}>تصدير</button>
+                {manage && <button className="rounded-xl px-3 py-1 border text-sm" onClick={()=>{ if(confirm(`حذف ${g.name}؟`)) groups.remove(g.id); }}>حذف</button>}
+              </div>
+            </div>
+            {openId===g.id && <GroupDetail group={g} groups={groups} auth={auth} />}
+          </div>
+        ))}
+        {!visible.length && <div className="text-sm opacity-70">{manage ? "لا توجد مجموعات بعد." : "لست عضوًا في أي مجموعة — اطلب من معلمك أن يضيفك ويربطك بملفك على هذا الجهاز."}</div>}
+      </div>
+    </Section>
+  );
+}
+
+function GroupDetail({ group: g, groups, auth }){
+  const today = useToday();
+  const [period, setPeriod] = useState("week");
+  const [member, setMember] = useState({ name: "", profileId: "" });
+  const [task, setTask] = useState({ kind: "hifz", surah: 1, from: 1, to: 7, due: addDays(today, 7), memberId: "" });
+  const [ev, setEv] = useState({ memberId: "", assignmentId: "", grade: 5, jali: 0, khafi: 0, notes: "" });
+  const manage = auth.can("groups.manage");
+  const me = auth.current.id;
+  const mine = g.members.find(m => m.profileId === me);
+  const nameOf = (id) => g.members.find(m => m.id === id)?.name || "—";
+  const taskLabel = (a) => `${ASSIGNMENT_KINDS[a.kind]} ${surahInfo(a.surah).nameAr} ${a.from}–${a.to}`;
+  const rows = groupLeaderboard(g, GROUP_PERIODS[period][1], today);
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4 mt-3 text-sm">
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">لوحة الصدارة</div>
+          <div className="flex gap-1">
+            {Object.entries(GROUP_PERIODS).map(([k,[l]])=> <button key={k} className={cx("rounded-xl px-2 py-0.5 border", period===k && "bg-emerald-600 text-white")} onClick={()=>setPeriod(k)}>{l}</button>)}
+          </div>
+        </div>
+        <table className="w-full">
+          <thead><tr className="opacity-70 text-xs"><th className="text-start">العضو</th><th>آيات</th><th>مراجعات</th><th>تسبيح</th><th>تقييم</th><th>النقاط</th></tr></thead>
+          <tbody>
+            {rows.map((r,i)=> (
+              <tr key={r.member.id} className={cx(r.member.id===mine?.id && "font-bold")}>
+                <td>{i+1}. {r.member.name}</td><td className="text-center">{r.read}</td><td className="text-center">{r.review}</td>
+                <td className="text-center">{r.tasbeeh}</td><td className="text-center">{r.grade}</td><td className="text-center">{r.score}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-xs opacity-70 mt-1">النقاط: آية مقروءة ١، مراجعة حفظ ٥، كل ١٠٠ تسبيحة ١، درجة التقييم ×١٠.</div>
+
+        <div className="font-semibold mt-4 mb-2">الأعضاء</div>
+        {g.members.map(m=> (
+          <div key={m.id} className="flex items-center justify-between gap-2 py-1">
+            <span>{m.name} {m.profileId===me && <Pill>أنت</Pill>}</span>
+            <div className="flex gap-1">
+              {manage && (
+                <select className="rounded-xl px-2 py-0.5 border bg-transparent" value={m.profileId || ""} onChange={e=>groups.link(g.id, m.id, e.target.value || undefined)}>
+                  <option value="">جهاز آخر</option>
+                  {auth.profiles.map(p=> <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+              )}
+              {manage && <button className="rounded-xl px-2 py-0.5 border" onClick={()=>groups.removeMember(g.id, m.id)}>إزالة</button>}
+            </div>
+          </div>
+        ))}
+        {manage && (
+          <form className="flex gap-2 mt-2" onSubmit={e=>{ e.preventDefault(); if(!member.name.trim()) return; groups.addMember(g.id, { name: member.name.trim(), profileId: member.profileId || undefined }); setMember({ name: "", profileId: "" }); }}>
+            <input className="input" placeholder="اسم الطالب" value={member.name} onChange={e=>setMember({ ...member, name: e.target.value })} />
+            <select className="input w-40" value={member.profileId} onChange={e=>{ const p = auth.profiles.find(x=>x.id===e.target.value); setMember({ name: p?.name || member.name, profileId: e.target.value }); }}>
+              <option value="">جهاز آخر</option>
+              {auth.profiles.map(p=> <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button className="rounded-xl px-3 py-1 border">إضافة</button>
+          </form>
+        )}
+      </div>
+
+      <div>
+        <div className="font-semibold mb-2">المهام</div>
+        {g.assignments.filter(a => manage || !a.memberId || a.memberId===mine?.id).map(a=> (
+          <div key={a.id} className="flex items-center justify-between gap-2 py-1">
+            <span>{taskLabel(a)} <span className="opacity-70">· {a.memberId ? nameOf(a.memberId) : "الجميع"} · حتى {a.due}</span> {a.due < today && <Pill>متأخرة</Pill>}</span>
+            {manage && <button className="rounded-xl px-2 py-0.5 border" onClick={()=>groups.removeAssignment(g.id, a.id)}>حذف</button>}
+          </div>
+        ))}
+        {manage && (
+          <form className="grid grid-cols-3 gap-2 mt-2" onSubmit={e=>{ e.preventDefault(); groups.assign(g.id, { ...task, memberId: task.memberId || undefined }); }}>
+            <select className="input" value={task.kind} onChange={e=>setTask({ ...task, kind: e.target.value })}>
+              {Object.entries(ASSIGNMENT_KINDS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+            </select>
+            <select className="input col-span-2" value={task.surah} onChange={e=>setTask({ ...task, surah: +e.target.value, from: 1, to: surahInfo(+e.target.value).ayahs })}>
+              {SURAH_META.map(([n, , , nameAr])=> <option key={n} value={n}>{n}. {nameAr}</option>)}
+            </select>
+            <input className="input" type="number" min={1} max={surahInfo(task.surah).ayahs} value={task.from} onChange={e=>setTask({ ...task, from: clampAyah(task.surah, +e.target.value) })} />
+            <input className="input" type="number" min={task.from} max={surahInfo(task.surah).ayahs} value={task.to} onChange={e=>setTask({ ...task, to: Math.max(task.from, clampAyah(task.surah, +e.target.value)) })} />
+            <input className="input" type="date" value={task.due} onChange={e=>setTask({ ...task, due: e.target.value })} />
+            <select className="input col-span-2" value={task.memberId} onChange={e=>setTask({ ...task, memberId: e.target.value })}>
+              <option value="">كل الأعضاء</option>
+              {g.members.map(m=> <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+            <button className="rounded-xl px-3 py-1 border">إسناد</button>
+          </form>
+        )}
+
+        <div className="font-semibold mt-4 mb-2">التقييمات</div>
+        {g.evaluations.filter(e => manage || e.memberId===mine?.id).slice(-10).reverse().map(e=> (
+          <div key={e.id} className="py-1">
+            {nameOf(e.memberId)} — <b>{EVAL_GRADES.find(([v])=>v===e.grade)?.[1]}</b>
+            <span className="opacity-70"> · أخطاء جلية {e.jali} · خفية {e.khafi} · {e.day}</span>
+            {e.assignmentId && <span className="opacity-70"> · {taskLabel(g.assignments.find(a=>a.id===e.assignmentId) || {})}</span>}
+            {e.notes && <div className="opacity-70">{e.notes}</div>}
+          </div>
+        ))}
+        {manage && g.members.length>0 && (
+          <form className="grid grid-cols-3 gap-2 mt-2" onSubmit={e=>{ e.preventDefault(); if(!ev.memberId) return; groups.evaluate(g.id, { ...ev, assignmentId: ev.assignmentId || undefined }); setEv({ ...ev, jali: 0, khafi: 0, notes: "" }); }}>
+            <select className="input" required value={ev.memberId} onChange={e=>setEv({ ...ev, memberId: e.target.value })}>
+              <option value="">الطالب</option>
+              {g.members.map(m=> <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+            <select className="input col-span-2" value={ev.assignmentId} onChange={e=>setEv({ ...ev, assignmentId: e.target.value })}>
+              <option value="">بدون مهمة</option>
+              {g.assignments.filter(a=> !a.memberId || a.memberId===ev.memberId).map(a=> <option key={a.id} value={a.id}>{taskLabel(a)}</option>)}
+            </select>
+            <select className="input" value={ev.grade} onChange={e=>setEv({ ...ev, grade: +e.target.value })}>
+              {EVAL_GRADES.map(([v,l])=> <option key={v} value={v}>{l}</option>)}
+            </select>
+            <label className="flex items-center gap-1">جلية <input className="input" type="number" min={0} value={ev.jali} onChange={e=>setEv({ ...ev, jali: +e.target.value })} /></label>
+            <label className="flex items-center gap-1">خفية <input className="input" type="number" min={0} value={ev.khafi} onChange={e=>setEv({ ...ev, khafi: +e.target.value })} /></label>
+            <input className="input col-span-2" placeholder="ملاحظات التجويد" value={ev.notes} onChange={e=>setEv({ ...ev, notes: e.target.value })} />
+            <button className="rounded-xl px-3 py-1 border">تسجيل</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ---------- Prayer Time Engine (offline) ----------
+// Solar-position calculation after the praytimes.org algorithm; no network needed.
+// Angles are degrees below the horizon; `isha` may instead be minutes after Maghrib ("90 min").
+const PRAYER_METHODS = {
+  MWL: { name: "رابطة العالم الإسلامي", fajr: 18, isha: 17 },
+  ISNA: { name: "أمريكا الشمالية (ISNA)", fajr: 15, isha: 15 },
+  Makkah: { name: "أم القرى", fajr: 18.5, isha: "90 min" },
+  Egypt: { name: "الهيئة المصرية العامة للمساحة", fajr: 19.5, isha: 17.5 },
+  Karachi: { name: "جامعة العلوم الإسلامية بكراتشي", fajr: 18, isha: 18 },
+  Tehran: { name: "معهد الجيوفيزياء بطهران", fajr: 17.7, isha: 14, maghrib: 4.5 },
+  Custom: { name: "زوايا مخصصة" },
+};
+const PRAYER_KEYS = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+const PRAYER_NAMES = { fajr: "الفجر", sunrise: "الشروق", dhuhr: "الظهر", asr: "العصر", maghrib: "المغرب", isha: "العشاء" };
+const PRAYER_DEFAULTS = {
+  method: "MWL",
+  asr: "shafii", // shafii (shadow ×1) | hanafi (shadow ×2)
+  highLat: "middle", // middle | seventh | angle | none
+  custom: { fajr: 18, isha: 17, maghrib: 0 },
+  adjust: { fajr: 0, sunrise: 0, dhuhr: 0, asr: 0, maghrib: 0, isha: 0 }, // minutes
+};
+
+const rad = (d) => (d * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+const fixAngle = (a) => a - 360 * Math.floor(a / 360);
+const fixHour = (h) => h - 24 * Math.floor(h / 24);
+
+function julianDay(y, m, d){
+  if (m <= 2) { y -= 1; m += 12; }
+  const A = Math.floor(y / 100), B = 2 - A + Math.floor(A / 4);
+  return Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + d + B - 1524.5;
+}
+
+// Declination and equation of time for a Julian day.
+function sunPosition(jd){
+  const D = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * D);
+  const q = fixAngle(280.459 + 0.98564736 * D);
+  const L = fixAngle(q + 1.915 * Math.sin(rad(g)) + 0.020 * Math.sin(rad(2 * g)));
+  const e = 23.439 - 0.00000036 * D;
+  const RA = deg(Math.atan2(Math.cos(rad(e)) * Math.sin(rad(L)), Math.cos(rad(L)))) / 15;
+  return { decl: deg(Math.asin(Math.sin(rad(e)) * Math.sin(rad(L)))), eqt: q / 15 - fixHour(RA) };
+}
+
+/**
+ * Computes the day's prayer times as Date instants.
+ * opts: { lat, lon, date, method, asr, highLat, custom, adjust } — the last five as in PRAYER_DEFAULTS.
+ * The day is `date`'s calendar day on this device; the times for it are shown in the device zone too.
+ */
+function computePrayerTimes({ lat, lon, date = new Date(), ...opts }){
+  const cfg = { ...PRAYER_DEFAULTS, ...opts };
+  const m = cfg.method === "Custom" ? cfg.custom : (PRAYER_METHODS[cfg.method] || PRAYER_METHODS.MWL);
+  const y = date.getFullYear(), mo = date.getMonth() + 1, d = date.getDate();
+  const jDate = julianDay(y, mo, d) - lon / (15 * 24);
+
+  const midDay = (t) => fixHour(12 - sunPosition(jDate + t).eqt);
+  const sunAngleTime = (angle, t, ccw) => {
+    const { decl } = sunPosition(jDate + t);
+    const x = (-Math.sin(rad(angle)) - Math.sin(rad(decl)) * Math.sin(rad(lat))) / (Math.cos(rad(decl)) * Math.cos(rad(lat)));
+    const h = deg(Math.acos(x)) / 15; // NaN when the sun never reaches the angle
+    return midDay(t) + (ccw ? -h : h);
+  };
+  const asrTime = (factor, t) => {
+    const { decl } = sunPosition(jDate + t);
+    return sunAngleTime(-deg(Math.atan(1 / (factor + Math.tan(rad(Math.abs(lat - decl)))))), t);
+  };
+  const isMinutes = (v) => typeof v === "string" && v.endsWith("min");
+
+  // One refinement pass from rough day-portion guesses is enough for minute accuracy.
+  const p = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, maghrib: 18, isha: 18 };
+  for (const k in p) p[k] /= 24;
+  const t = {
+    fajr: sunAngleTime(m.fajr, p.fajr, true),
+    sunrise: sunAngleTime(0.833, p.sunrise, true),
+    dhuhr: midDay(p.dhuhr),
+    asr: asrTime(cfg.asr === "hanafi" ? 2 : 1, p.asr),
+    sunset: sunAngleTime(0.833, p.sunset),
+    maghrib: m.maghrib ? sunAngleTime(m.maghrib, p.maghrib) : sunAngleTime(0.833, p.maghrib),
+    isha: isMinutes(m.isha) ? NaN : sunAngleTime(m.isha, p.isha),
+  };
+  if (isMinutes(m.isha)) t.isha = t.maghrib + parseFloat(m.isha) / 60;
+
+  // High-latitude rules: cap Fajr/Isha to a portion of the night when the sun stays too high (or low).
+  if (cfg.highLat !== "none") {
+    const night = fixHour(t.sunrise - t.sunset);
+    const portion = (angle) => cfg.highLat === "seventh" ? 1 / 7 : cfg.highLat === "angle" ? angle / 60 : 1 / 2;
+    const fajrMax = portion(m.fajr) * night;
+    if (isNaN(t.fajr) || fixHour(t.sunrise - t.fajr) > fajrMax) t.fajr = t.sunrise - fajrMax;
+    if (!isMinutes(m.isha)) {
+      const ishaMax = portion(m.isha) * night;
+      if (isNaN(t.isha) || fixHour(t.isha - t.sunset) > ishaMax) t.isha = t.sunset + ishaMax;
+    }
+  }
+
+  // Local solar hours -> UTC instants on the device's calendar day (y/mo/d above).
+  const base = Date.UTC(y, mo - 1, d);
+  const out = {};
+  for (const k of PRAYER_KEYS) {
+    const h = t[k] - lon / 15 + (cfg.adjust?.[k] || 0) / 60;
+    out[k] = isNaN(h) ? null : new Date(base + Math.round(h * 60) * 60000);
+  }
+  return out;
+}
+
+// HH:MM in the device zone.
+const fmtTime = (d) => d ? d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "--";
+
+// ---------- Prayer Reminder Scheduler ----------
+// Reminders are re-derived from the computed times on every load and day change, so only the
+// per-prayer preferences need persisting. `when`: before (lead min before adhan) | adhan | iqama
+// (lead min before the iqama, which is `iqama` min after adhan).
+const REMINDER_PRAYERS = ["fajr", "dhuhr", "asr", "maghrib", "isha"];
+const REMINDER_DEFAULTS = {
+  prayers: {
+    fajr: { on: false, when: "adhan", lead: 15, iqama: 20 },
+    dhuhr: { on: false, when: "adhan", lead: 15, iqama: 15 },
+    asr: { on: false, when: "adhan", lead: 15, iqama: 15 },
+    maghrib: { on: false, when: "adhan", lead: 10, iqama: 5 },
+    isha: { on: false, when: "adhan", lead: 15, iqama: 15 },
+  },
+  audio: false,
+  audioUrl: "", // no adhan clip ships with the app; the user points this at any reachable MP3
+};
+const REMINDER_WHEN = { before: "قبل الأذان", adhan: "عند الأذان", iqama: "قبل الإقامة" };
+
+const reminderAt = (adhan, r) =>
+  adhan.getTime() + (r.when === "iqama" ? r.iqama * 60000 : 0) - (r.when === "adhan" ? 0 : r.lead * 60000);
+
+// Upcoming reminders for today and tomorrow, soonest first.
+function buildReminderQueue({ location, prayer }, reminders, now = Date.now()){
+  if (!location) return [];
+  const queue = [];
+  for (const offset of [0, 1]) {
+    const date = new Date(now); date.setDate(date.getDate() + offset);
+    const times = computePrayerTimes({ lat: location.lat, lon: location.lon, date, ...prayer });
+    for (const k of REMINDER_PRAYERS) {
+      const r = reminders.prayers[k];
+      if (!r?.on || !times[k]) continue;
+      const at = reminderAt(times[k], r);
+      if (at > now) queue.push({ key: `${dayKey(date)}:${k}`, prayer: k, when: r.when, lead: r.lead, at, adhan: times[k] });
+    }
+  }
+  return queue.sort((a, b) => a.at - b.at);
+}
+
+function reminderText(item){
+  const name = PRAYER_NAMES[item.prayer];
+  if (item.when === "adhan") return `حان الآن وقت صلاة ${name} (${fmtTime(item.adhan)})`;
+  if (item.when === "iqama") return `إقامة صلاة ${name} بعد ${item.lead} دقيقة`;
+  return `بقي ${item.lead} دقيقة على أذان ${name} (${fmtTime(item.adhan)})`;
+}
+
+// Shows the reminder through the service worker when one is active, so it survives tab switches.
+// Clicking it acknowledges the reminder: directly here, or via sw.js (PRAYER_ACK message / ?ack= on a new window).
+async function showPrayerReminder(item, reminders, trigger, onAck){
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const title = `${APP_NAME} — ${PRAYER_NAMES[item.prayer]}`;
+  const opts = { body: reminderText(item), tag: `rafiq-${item.key}`, data: { prayer: item.prayer } };
+  const reg = await navigator.serviceWorker?.getRegistration().catch(() => null);
+  if (trigger) return reg?.showNotification(title, { ...opts, showTrigger: new window.TimestampTrigger(item.at) });
+  if (reg) await reg.showNotification(title, opts);
+  else new Notification(title, opts).onclick = () => { window.focus(); onAck?.(item.prayer); };
+  if (reminders.audio && reminders.audioUrl && item.when === "adhan") new Audio(reminders.audioUrl).play().catch(console.warn);
+}
+
+// Closes prayer reminders armed with a TimestampTrigger that haven't fired yet. `includeTriggered`
+// is what makes getNotifications return those pending ones at all.
+async function closeArmedReminders(){
+  const reg = await navigator.serviceWorker?.getRegistration().catch(() => null);
+  const pending = await reg?.getNotifications({ includeTriggered: true }).catch(() => []) || [];
+  pending.filter(n => n.tag.startsWith("rafiq-") && n.data?.prayer && n.showTrigger).forEach(n => n.close());
+}
+
+// Arms timers for the queue; browsers with Notification Triggers also get OS-level
+// triggers (same tag, so the in-page timer just replaces them) for when the app is closed.
+// Triggers from the previous queue are closed first, and arming waits for that to finish.
+function usePrayerReminders(settings, reminders, onAck){
+  const day = useToday();
+  const arming = useRef(Promise.resolve());
+  const ack = useRef(onAck);
+  ack.current = onAck;
+  useEffect(()=>{
+    const onMessage = (e) => { if (e.data?.type === "PRAYER_ACK") ack.current?.(e.data.prayer); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    const url = new URL(window.location.href), opened = url.searchParams.get("ack");
+    if (REMINDER_PRAYERS.includes(opened)) {
+      ack.current?.(opened);
+      url.searchParams.delete("ack");
+      history.replaceState(null, "", url);
+    }
+    return () => navigator.serviceWorker?.removeEventListener("message", onMessage);
+  }, []);
+  useEffect(()=>{
+    const triggers = 'TimestampTrigger' in window;
+    if (!settings.notifications) {
+      if (triggers) arming.current = arming.current.then(closeArmedReminders);
+      return;
+    }
+    const queue = buildReminderQueue(settings, reminders);
+    if (triggers) arming.current = arming.current.then(closeArmedReminders)
+      .then(() => Promise.all(queue.map(q => showPrayerReminder(q, reminders, true)))).catch(console.warn);
+    const timers = queue.map(q => setTimeout(() => showPrayerReminder(q, reminders, false, (p) => ack.current?.(p)).catch(console.warn), q.at - Date.now()));
+    return () => {
+      timers.forEach(clearTimeout);
+      if (triggers) arming.current = arming.current.then(closeArmedReminders);
+    };
+  }, [day, settings.location, settings.prayer, settings.notifications, reminders]);
+}
+
+// ---------- Prayer Reminders (Adhan Times) ----------
+// Next occurrence of `prayer` (or of whichever prayer comes next) within today and tomorrow.
+function nextPrayerAt(loc, cfg, prayer, now = Date.now()){
+  for (const offset of [0, 1]) {
+    const date = new Date(now); date.setDate(date.getDate() + offset);
+    const times = computePrayerTimes({ lat: loc.lat, lon: loc.lon, date, ...cfg });
+    const k = (prayer ? [prayer] : REMINDER_PRAYERS).find(k => times[k] > now);
+    if (k) return { prayer: k, at: times[k] };
+  }
+  return null;
+}
+
+const fmtDuration = (ms, lang) => {
+  const m = Math.max(1, Math.round(ms / 60000)), h = Math.floor(m / 60), r = m % 60;
+  return lang === "en"
+    ? [h && `${h} h`, r && `${r} min`].filter(Boolean).join(" ")
+    : [h && `${h} ساعة`, r && `${r} دقيقة`].filter(Boolean).join(" و");
+};
+
+function PrayerTimes({ settings, setSettings, reminders, setReminders, canEdit, bus }){
+  const [pos, setPos] = useState(settings.location);
+  const [gps, setGps] = useState(false);
+  const day = useToday();
+  const cfg = settings.prayer;
+
+  useEffect(()=>{
+    if('geolocation' in navigator){
+      navigator.geolocation.getCurrentPosition((p)=> {
+        const loc = {lat:p.coords.latitude, lon:p.coords.longitude};
+        setPos(loc); setGps(true);
+        setSettings(s=>({...s, location: loc}));
+      }, console.error);
+    }
+  }, []);
+
+  const times = useMemo(()=> pos ? computePrayerTimes({ lat: pos.lat, lon: pos.lon, date: new Date(), ...cfg }) : null, [pos, day, cfg]);
+  const setCfg = (patch) => setSettings(s=>({...s, prayer: {...s.prayer, ...patch}}));
+
+  const next = useMemo(()=> buildReminderQueue(settings, reminders)[0], [settings.location, cfg, reminders, day]);
+
+  useAction(bus, "prayer.when", (a) => {
+    if (!pos) return say(a.lang, "حدد موقعك أولًا في مواقيت الصلاة", "Set your location in prayer times first");
+    const n = nextPrayerAt(pos, cfg, a.prayer);
+    if (!n) return say(a.lang, "تعذّر حساب الوقت في موقعك", "Couldn't compute that time here");
+    const left = fmtDuration(n.at - Date.now(), a.lang);
+    return say(a.lang, `بقي ${left} على ${PRAYER_NAMES[n.prayer]} (${fmtTime(n.at)})`, `${left} until ${n.prayer} (${fmtTime(n.at)})`);
+  });
+
+  const setReminder = async (k, patch) => {
+    if (patch.on) {
+      if (!('Notification' in window)) return alert('المتصفح لا يدعم الإشعارات');
+      if (await Notification.requestPermission() !== 'granted') return;
+    }
+    setReminders(r=>({...r, prayers: {...r.prayers, [k]: {...r.prayers[k], ...patch}}}));
+  };
+
+  return (
+    <Section title="تذكيرات الصلاة الذكية" right={pos? <Pill>{gps ? "GPS" : "آخر موقع"}</Pill>:null}>
+      <div className="grid md:grid-cols-6 gap-3 text-center">
+        {times? PRAYER_KEYS.map(k=> (
+          <div key={k} className="rounded-xl border p-3">
+            <div className="font-bold">{PRAYER_NAMES[k]}</div>
+            <div className="text-xl tabular-nums">{fmtTime(times[k])}</div>
+            {reminders.prayers[k] && (
+              <div className="grid gap-1 mt-2 text-xs">
+                <button className={cx("rounded-xl px-3 py-1 border", reminders.prayers[k].on && "bg-emerald-600 text-white")} onClick={()=>setReminder(k, {on: !reminders.prayers[k].on})}>{reminders.prayers[k].on ? "التذكير مفعّل" : "تذكير"}</button>
+                {reminders.prayers[k].on && <>
+                  <select className="input text-xs" value={reminders.prayers[k].when} onChange={e=>setReminder(k, {when:e.target.value})}>
+                    {Object.entries(REMINDER_WHEN).map(([v,l])=> <option key={v} value={v}>{l}</option>)}
+                  </select>
+                  {reminders.prayers[k].when!=='adhan' && <input className="input text-xs" type="number" min={1} title="دقائق" value={reminders.prayers[k].lead} onChange={e=>setReminder(k, {lead:+e.target.value})} />}
+                  {reminders.prayers[k].when==='iqama' && <input className="input text-xs" type="number" min={0} title="الإقامة بعد الأذان (دقائق)" value={reminders.prayers[k].iqama} onChange={e=>setReminder(k, {iqama:+e.target.value})} />}
+                </>}
+              </div>
+            )}
+          </div>
+        )): <div className="opacity-70">جاري تحديد الموقع…</div>}
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+        <span className="opacity-70">{next ? `التذكير القادم: ${reminderText(next)} — ${fmtTime(new Date(next.at))}` : "لا توجد تذكيرات مجدولة"}</span>
+        <label className="flex items-center gap-1"><input type="checkbox" checked={reminders.audio} onChange={e=>setReminders(r=>({...r, audio:e.target.checked}))} /> صوت الأذان</label>
+        {reminders.audio && <input className="input w-64" dir="ltr" type="url" placeholder="https://…/adhan.mp3" value={reminders.audioUrl} onChange={e=>setReminders(r=>({...r, audioUrl:e.target.value}))} />}
+      </div>
+      {canEdit && <details className="mt-3 text-sm">
+        <summary className="cursor-pointer">طريقة الحساب</summary>
+        <div className="grid md:grid-cols-3 gap-3 mt-2">
+          <select className="input" value={cfg.method} onChange={e=>setCfg({method:e.target.value})}>
+            {Object.entries(PRAYER_METHODS).map(([id,m])=> <option key={id} value={id}>{m.name}</option>)}
+          </select>
+          <select className="input" value={cfg.asr} onChange={e=>setCfg({asr:e.target.value})}>
+            <option value="shafii">العصر: الجمهور (شافعي)</option>
+            <option value="hanafi">العصر: حنفي</option>
+          </select>
+          <select className="input" value={cfg.highLat} onChange={e=>setCfg({highLat:e.target.value})}>
+            <option value="middle">خطوط العرض العليا: منتصف الليل</option>
+            <option value="seventh">خطوط العرض العليا: سُبع الليل</option>
+            <option value="angle">خطوط العرض العليا: حسب الزاوية</option>
+            <option value="none">بدون تعديل</option>
+          </select>
+        </div>
+        {cfg.method==='Custom' && (
+          <div className="grid grid-cols-3 gap-3 mt-3">
+            {['fajr','maghrib','isha'].map(k=> (
+              <label key={k} className="grid gap-1">زاوية {PRAYER_NAMES[k]}
+                <input className="input" type="number" step="0.1" value={cfg.custom[k]} onChange={e=>setCfg({custom:{...cfg.custom, [k]:+e.target.value}})} />
+              </label>
+            ))}
+          </div>
+        )}
+        <div className="grid grid-cols-3 md:grid-cols-6 gap-3 mt-3">
+          {PRAYER_KEYS.map(k=> (
+            <label key={k} className="grid gap-1">{PRAYER_NAMES[k]} (دقائق ±)
+              <input className="input" type="number" value={cfg.adjust[k]} onChange={e=>setCfg({adjust:{...cfg.adjust, [k]:+e.target.value}})} />
+            </label>
+          ))}
+        </div>
+      </details>}
+    </Section>
+  );
+}
+
+// ---------- Hijri Calendar, Events & Fasting ----------
+// Umm al-Qura via Intl where the engine ships it, else the tabular (civil) calendar. The user
+// offset shifts the result by whole days to follow local moon sighting.
+// rafiq.fasting: { days: { [YYYY-MM-DD]: kind }, owed, paid: { [YYYY-MM-DD]: true }, ramadan: { [hijriYear]: { khatmas, done: [day] } } }
+// `paid` marks the qada fasts that paid an owed day back.
+const HIJRI_MONTHS = ["محرم", "صفر", "ربيع الأول", "ربيع الآخر", "جمادى الأولى", "جمادى الآخرة", "رجب", "شعبان", "رمضان", "شوال", "ذو القعدة", "ذو الحجة"];
+const HIJRI_METHODS = { umalqura: "أم القرى", tabular: "الحساب الجدولي" };
+const HIJRI_DEFAULTS = { method: "umalqura", offset: 0 };
+const FAST_KINDS = { ramadan: "رمضان", voluntary: "تطوع", qada: "قضاء" };
+const WEEKDAYS = ["أحد", "إثنين", "ثلاثاء", "أربعاء", "خميس", "جمعة", "سبت"];
+
+// Tabular Islamic calendar (civil epoch, 16 July 622) from a Julian day number.
+function tabularHijri(jdn){
+  let l = jdn - 1948440 + 10632;
+  const n = Math.floor((l - 1) / 10631);
+  l = l - 10631 * n + 354;
+  const j = Math.floor((10985 - l) / 5316) * Math.floor(50 * l / 17719) + Math.floor(l / 5670) * Math.floor(43 * l / 15238);
+  l = l - Math.floor((30 - j) / 15) * Math.floor(17719 * j / 50) - Math.floor(j / 16) * Math.floor(15238 * j / 43) + 29;
+  const month = Math.floor(24 * l / 709);
+  return { year: 30 * n + j - 30, month, day: l - Math.floor(709 * month / 24) };
+}
+
+let umalquraFormat;
+try {
+  umalquraFormat = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura-nu-latn", { year: "numeric", month: "numeric", day: "numeric", timeZone: "UTC" });
+  if (umalquraFormat.resolvedOptions().calendar !== "islamic-umalqura") umalquraFormat = null;
+} catch { umalquraFormat = null; }
+
+// Hijri date of a local calendar day ("YYYY-MM-DD").
+function toHijri(key, { method, offset } = HIJRI_DEFAULTS){
+  const [y, m, d] = addDays(key, offset).split('-').map(Number);
+  if (method === "umalqura" && umalquraFormat) {
+    const parts = Object.fromEntries(umalquraFormat.formatToParts(new Date(Date.UTC(y, m - 1, d, 12))).map(p => [p.type, p.value]));
+    return { year: +parts.year, month: +parts.month, day: +parts.day };
+  }
+  return tabularHijri(Math.floor(julianDay(y, m, d) + 0.5));
+}
+const fmtHijri = (h) => `${h.day} ${HIJRI_MONTHS[h.month - 1]} ${h.year} هـ`;
+
+// Events on a day: [{ label, fast: "sunnah" | "forbidden" | "ramadan" | undefined, weekly? }].
+function hijriEvents(key, h){
+  const ev = [];
+  const add = (label, fast, weekly) => ev.push({ label, fast, weekly });
+  const { month: m, day: d } = h;
+  if (m === 1 && d === 1) add("رأس السنة الهجرية");
+  if (m === 1 && d === 9) add("تاسوعاء", "sunnah");
+  if (m === 1 && d === 10) add("عاشوراء", "sunnah");
+  if (m === 9) add(d === 1 ? "بداية رمضان" : d >= 21 ? "العشر الأواخر" : "رمضان", "ramadan");
+  if (m === 10 && d === 1) add("عيد الفطر", "forbidden");
+  if (m === 10 && d >= 2 && d <= 7) add("ست من شوال", "sunnah");
+  if (m === 12 && d <= 7) add("عشر ذي الحجة", "sunnah");
+  if (m === 12 && d === 8) add("يوم التروية", "sunnah");
+  if (m === 12 && d === 9) add("يوم عرفة", "sunnah");
+  if (m === 12 && d === 10) add("عيد الأضحى", "forbidden");
+  if (m === 12 && d >= 11 && d <= 13) add("أيام التشريق", "forbidden");
+  else if (d >= 13 && d <= 15 && m !== 9) add("الأيام البيض", "sunnah");
+  const wd = new Date(`${key}T12:00`).getDay();
+  if ((wd === 1 || wd === 4) && m !== 9 && !ev.some(e => e.fast === "forbidden")) add(wd === 1 ? "صيام الإثنين" : "صيام الخميس", "sunnah", true);
+  return ev;
+}
+
+// Local days of the Hijri month containing `key`.
+function hijriMonthDays(key, opts){
+  const h = toHijri(key, opts);
+  const first = addDays(key, 1 - h.day);
+  const days = [];
+  for (let k = first; toHijri(k, opts).month === h.month; k = addDays(k, 1)) days.push(k);
+  return { year: h.year, month: h.month, days };
+}
+
+// The next `count` named events from today; a multi-day season is listed on its first day only.
+function upcomingEvents(today, opts, count = 8){
+  const out = [];
+  let prev = new Set();
+  for (let i = 0, k = today; i < 400 && out.length < count; i++, k = addDays(k, 1)) {
+    const h = toHijri(k, opts);
+    const labels = hijriEvents(k, h).filter(e => !e.weekly && e.label !== "رمضان").map(e => e.label);
+    for (const label of labels) if (!prev.has(label) && out.length < count) out.push({ key: k, h, label });
+    prev = new Set(labels);
+  }
+  return out;
+}
+
+// Pages for day `d` (1-based) of a plan reading `khatmas` × 604 pages over `days` days.
+function khatmPages(d, days, khatmas = 1){
+  const total = 604 * khatmas;
+  const from = Math.floor((d - 1) * total / days), to = Math.floor(d * total / days) - 1;
+  return { from: from % 604 + 1, to: to % 604 + 1 };
+}
+
+const fmtCountdown = (ms) => {
+  const m = Math.max(0, Math.round(ms / 60000));
+  return `${Math.floor(m / 60)}:${String(m % 60).padStart(2, "0")}`;
+};
+
+function HijriCalendar({ settings, setSettings, onOpenAyah }){
+  const today = useToday();
+  const [now, setNow] = useState(Date.now());
+  const [cursor, setCursor] = useState(today);
+  const [selected, setSelected] = useState(today);
+  const [fasting, setFasting] = usePersisted(STORAGE_KEYS.fasting, {}, (s) => ({ days: {}, owed: 0, paid: {}, ramadan: {}, ...s }));
+  const opts = settings.hijri;
+  const h = toHijri(today, opts);
+  const month = useMemo(() => hijriMonthDays(cursor, opts), [cursor, opts]);
+  const upcoming = useMemo(() => upcomingEvents(today, opts), [today, opts]);
+  const ramadan = h.month === 9;
+  const setOpts = (p) => setSettings(s => ({ ...s, hijri: { ...s.hijri, ...p } }));
+
+  useEffect(() => {
+    if (!ramadan) return;
+    const id = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(id);
+  }, [ramadan]);
+
+  // Suhoor ends at Fajr, iftar is at Maghrib; after Maghrib count down to tomorrow's Fajr.
+  const loc = settings.location;
+  const countdown = useMemo(() => {
+    if (!ramadan || !loc) return null;
+    const t = computePrayerTimes({ lat: loc.lat, lon: loc.lon, date: new Date(), ...settings.prayer });
+    if (now < t.fajr) return { label: "ينتهي السحور بعد", at: t.fajr };
+    if (now < t.maghrib) return { label: "الإفطار بعد", at: t.maghrib };
+    const tomorrow = new Date(); tomorrow.setDate(tomorrow.getDate() + 1);
+    return { label: "ينتهي السحور بعد", at: computePrayerTimes({ lat: loc.lat, lon: loc.lon, date: tomorrow, ...settings.prayer }).fajr };
+  }, [ramadan, loc, settings.prayer, now]);
+
+  const plan = fasting.ramadan[h.year] || { khatmas: 1, done: [] };
+  const monthLength = ramadan ? hijriMonthDays(today, opts).days.length : 30;
+  const setPlan = (p) => setFasting(f => ({ ...f, ramadan: { ...f.ramadan, [h.year]: { ...plan, ...p } } }));
+  const logFast = (key, kind) => setFasting(f => {
+    const days = { ...f.days }, paid = { ...f.paid };
+    const was = days[key];
+    if (was === kind) delete days[key]; else days[key] = kind;
+    // A make-up fast pays one owed day back if any is owed; un-logging restores only a day it paid.
+    let owed = f.owed;
+    if (was === "qada" && paid[key]) { owed += 1; delete paid[key]; }
+    if (days[key] === "qada" && owed > 0) { owed -= 1; paid[key] = true; }
+    return { ...f, days, paid, owed };
+  });
+  const todayEvents = hijriEvents(today, h);
+  // Fasts can be logged for today or any earlier day picked on the calendar.
+  const selectedH = toHijri(selected, opts);
+  const selectedEvents = selected === today ? todayEvents : hijriEvents(selected, selectedH);
+  const forbidden = selectedEvents.some(e => e.fast === "forbidden");
+  const fastCount = (kind) => Object.values(fasting.days).filter(k => k === kind).length;
+  const firstWeekday = new Date(`${month.days[0]}T12:00`).getDay();
+
+  return (
+    <Section title="التقويم الهجري" right={<Pill>{fmtHijri(h)}</Pill>}>
+      {ramadan && (
+        <div className="rounded-xl p-3 mb-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
+          <div className="font-bold mb-2">🌙 وضع رمضان — اليوم {h.day} من {monthLength}</div>
+          {countdown ? <div className="text-2xl font-black">{countdown.label} {fmtCountdown(countdown.at - now)} <span className="text-sm font-normal opacity-70">({fmtTime(countdown.at)})</span></div>
+            : <div className="text-sm opacity-70">حدد موقعك في مواقيت الصلاة لعرض عدّاد السحور والإفطار.</div>}
+          <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+            <span>خطة الختم:</span>
+            <select className="rounded-xl px-2 py-1 border bg-transparent" value={plan.khatmas} onChange={e=>setPlan({ khatmas: +e.target.value })}>
+              {[1,2,3].map(k=> <option key={k} value={k}>{k === 1 ? "ختمة واحدة" : `${k} ختمات`}</option>)}
+            </select>
+            {(() => { const p = khatmPages(h.day, monthLength, plan.khatmas); const done = plan.done.includes(h.day); return <>
+              <span>ورد اليوم: الصفحات {p.from <= p.to ? `${p.from}–${p.to}` : `${p.from}–604 ثم 1–${p.to}`}</span>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>onOpenAyah(PAGE_STARTS[p.from - 1])}>افتح</button>
+              <button className={cx("rounded-xl px-3 py-1 border", done && "bg-emerald-600 text-white")} onClick={()=>setPlan({ done: done ? plan.done.filter(d=>d!==h.day) : [...plan.done, h.day] })}>{done ? "✓ أتممته" : "أتممت الورد"}</button>
+              <span className="opacity-70">{plan.done.length}/{monthLength} يوم</span>
+            </>; })()}
+          </div>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <button className="rounded-xl px-3 py-1 border" onClick={()=>setCursor(addDays(month.days[0], -1))}>→</button>
+            <b>{HIJRI_MONTHS[month.month - 1]} {month.year}</b>
+            <button className="rounded-xl px-3 py-1 border" onClick={()=>setCursor(addDays(month.days[month.days.length - 1], 1))}>←</button>
+          </div>
+          <div className="grid grid-cols-7 gap-1 text-center text-xs">
+            {WEEKDAYS.map(w=> <div key={w} className="opacity-60">{w}</div>)}
+            {Array.from({ length: firstWeekday }, (_, i)=> <div key={`pad${i}`} />)}
+            {month.days.map((k, i)=> {
+              const ev = hijriEvents(k, { ...month, day: i + 1 });
+              const fast = fasting.days[k];
+              return (
+                <button key={k} type="button" disabled={k > today} onClick={()=>setSelected(k)} title={ev.map(e=>e.label).join("، ")} className={cx("rounded-lg p-1 border disabled:opacity-50",
+                  k === today && "ring-2 ring-emerald-500", k === selected && "border-emerald-600 border-2",
+                  ev.some(e=>e.fast==="forbidden") ? "bg-rose-50 dark:bg-rose-900/20" : ev.some(e=>e.fast==="sunnah" && !e.weekly) && "bg-emerald-50 dark:bg-emerald-900/20")}>
+                  <div className="font-bold">{i + 1}</div>
+                  <div className="opacity-60">{+k.slice(8)}/{+k.slice(5, 7)}</div>
+                  {fast && <div title={FAST_KINDS[fast]}>●</div>}
+                </button>
+              );
+            })}
+          </div>
+          <div className="flex flex-wrap gap-2 mt-3 text-sm">
+            <select className="rounded-xl px-2 py-1 border bg-transparent" value={opts.method} onChange={e=>setOpts({ method: e.target.value })}>
+              {Object.entries(HIJRI_METHODS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+            </select>
+            <label className="flex items-center gap-1">تعديل الأيام
+              <select className="rounded-xl px-2 py-1 border bg-transparent" value={opts.offset} onChange={e=>setOpts({ offset: +e.target.value })}>
+                {[-2,-1,0,1,2].map(o=> <option key={o} value={o}>{o > 0 ? `+${o}` : o}</option>)}
+              </select>
+            </label>
+            {!umalquraFormat && opts.method === "umalqura" && <span className="opacity-70">المتصفح لا يدعم أم القرى — يُستخدم الحساب الجدولي.</span>}
+          </div>
+        </div>
+
+        <div className="grid gap-4 content-start text-sm">
+          <div>
+            <div className="font-semibold mb-1">
+              {selected === today ? "اليوم" : `${fmtHijri(selectedH)} · ${selected}`}
+              {selected !== today && <button className="rounded-xl px-2 py-0.5 border ms-2 font-normal" onClick={()=>setSelected(today)}>اليوم</button>}
+            </div>
+            {selectedEvents.length ? selectedEvents.map(e=> <Pill key={e.label}>{e.label}</Pill>) : <span className="opacity-70">لا مناسبة</span>}
+            {forbidden ? <div className="mt-2 opacity-80">يحرم صيام هذا اليوم.</div> : (
+              <div className="flex gap-2 mt-2">
+                {Object.entries(FAST_KINDS).filter(([k]) => selectedH.month === 9 ? k === "ramadan" : k !== "ramadan").map(([k,l])=> (
+                  <button key={k} className={cx("rounded-xl px-3 py-1 border", fasting.days[selected]===k && "bg-emerald-600 text-white")} onClick={()=>logFast(selected, k)}>صمت ({l})</button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div>
+            <div className="font-semibold mb-1">سجل الصيام</div>
+            <div>رمضان: {fastCount("ramadan")} · تطوع: {fastCount("voluntary")} · قضاء: {fastCount("qada")}</div>
+            <div className="flex items-center gap-2 mt-1">
+              أيام قضاء متبقية: <b>{fasting.owed}</b>
+              <button className="rounded-xl px-2 py-0.5 border" onClick={()=>setFasting(f=>({ ...f, owed: f.owed + 1 }))}>+</button>
+              <button className="rounded-xl px-2 py-0.5 border" onClick={()=>setFasting(f=>({ ...f, owed: Math.max(0, f.owed - 1) }))}>−</button>
+            </div>
+          </div>
+          <div>
+            <div className="font-semibold mb-1">المناسبات القادمة</div>
+            {upcoming.map(u=> (
+              <div key={`${u.key}${u.label}`} className="flex justify-between gap-2 py-0.5">
+                <span>{u.label}</span>
+                <span className="opacity-70 whitespace-nowrap">{fmtHijri(u.h)} · {u.key}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Mosque Finder (OSM / Overpass) ----------
+// Queries OpenStreetMap for Muslim places of worship around the saved location. The endpoint is
+// configurable (any Overpass-compatible server, or a local stub returning the same JSON); the last
+// result set is kept for offline use, next to mosques the user added by hand.
+// rafiq.mosques: { endpoint, radius, last: { at, center, items }, custom: [mosque] }
+// mosque: { id, name, lat, lon, address?, hours?, jumuah?, custom? }
+const OVERPASS_DEFAULT = "https://overpass-api.de/api/interpreter";
+const MOSQUE_RADII = [1, 2, 5, 10, 20]; // km
+const MOSQUE_DEFAULTS = { endpoint: OVERPASS_DEFAULT, radius: 5, last: null, custom: [] };
+const TILE_URL = (z, x, y) => `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
+
+function overpassQuery({ lat, lon }, radiusKm){
+  const around = `(around:${Math.round(radiusKm * 1000)},${lat},${lon})`;
+  const sel = `["amenity"="place_of_worship"]["religion"="muslim"]${around}`;
+  return `[out:json][timeout:25];(node${sel};way${sel};relation${sel};);out center tags;`;
+}
+
+// Overpass element -> mosque. Jumu'ah times are usually tagged as service_times ("Fr 13:00").
+function mosqueFromOsm(el){
+  const t = el.tags || {};
+  const lat = el.lat ?? el.center?.lat, lon = el.lon ?? el.center?.lon;
+  const address = [[t["addr:street"], t["addr:housenumber"]].filter(Boolean).join(" "), t["addr:city"]].filter(Boolean).join("، ");
+  return {
+    id: `osm:${el.type}/${el.id}`,
+    name: t["name:ar"] || t.name || "مسجد",
+    lat, lon,
+    address: address || undefined,
+    hours: t.opening_hours,
+    jumuah: t.service_times || t["service_times:jumuah"],
+  };
+}
+
+async function fetchMosques(endpoint, center, radiusKm){
+  const r = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ data: overpassQuery(center, radiusKm) }),
+  });
+  if (!r.ok) throw new Error(`${r.status}`);
+  const { elements = [] } = await r.json();
+  return elements.map(mosqueFromOsm).filter(m => m.lat != null && m.lon != null);
+}
+
+const navigateUrl = (m) => /iPad|iPhone|Mac/.test(navigator.userAgent)
+  ? `https://maps.apple.com/?daddr=${m.lat},${m.lon}&q=${encodeURIComponent(m.name)}`
+  : `https://www.google.com/maps/dir/?api=1&destination=${m.lat},${m.lon}`;
+
+// Web Mercator world pixel coordinates at zoom z (256 px tiles).
+function mercator(lat, lon, z){
+  const size = 256 * 2 ** z, s = Math.sin(rad(lat));
+  return { x: (lon + 180) / 360 * size, y: (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * size };
+}
+
+// Static OSM tile view centred on `center`; markers are positioned from the container's centre.
+function TileMap({ center, zoom, markers, selected, onSelect }){
+  const c = mercator(center.lat, center.lon, zoom);
+  const [tx, ty] = [Math.floor(c.x / 256), Math.floor(c.y / 256)];
+  const n = 2 ** zoom;
+  const tiles = [];
+  for (let dy = -2; dy <= 2; dy++) for (let dx = -3; dx <= 3; dx++) {
+    const y = ty + dy;
+    if (y >= 0 && y < n) tiles.push({ x: ((tx + dx) % n + n) % n, y, left: (tx + dx) * 256 - c.x, top: y * 256 - c.y });
+  }
+  const at = (left, top) => ({ left: `calc(50% + ${left}px)`, top: `calc(50% + ${top}px)` });
+  return (
+    <div className="relative h-[360px] rounded-xl border overflow-hidden bg-gray-100 dark:bg-gray-800" dir="ltr">
+      {tiles.map(t=> <img key={`${t.x}-${t.y}-${t.left}`} alt="" src={TILE_URL(zoom, t.x, t.y)} className="absolute w-64 h-64 max-w-none select-none" style={at(t.left, t.top)} draggable={false} />)}
+      {markers.map(m=> {
+        const p = mercator(m.lat, m.lon, zoom);
+        return (
+          <button key={m.id} title={m.name} onClick={()=>onSelect(m.id)} className={cx("absolute -translate-x-1/2 -translate-y-full text-2xl leading-none drop-shadow", selected===m.id && "scale-125 z-10")} style={at(p.x - c.x, p.y - c.y)}>
+            {m.custom ? "📍" : "🕌"}
+          </button>
+        );
+      })}
+      <div className="absolute w-3 h-3 -translate-x-1/2 -translate-y-1/2 rounded-full bg-sky-500 ring-4 ring-sky-300/60" style={at(0, 0)} />
+      <div className="absolute bottom-0 right-0 text-[10px] bg-white/80 text-black px-1">© OpenStreetMap contributors</div>
+    </div>
+  );
+}
+
+function MosqueMap({ settings, setSettings }){
+  const [store, setStore] = usePersisted(STORAGE_KEYS.mosques, {}, (s) => ({ ...MOSQUE_DEFAULTS, ...s }));
+  const [status, setStatus] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [zoomed, setZoom] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const pos = settings.location;
+  const zoom = zoomed ?? Math.round(15 - Math.log2(store.radius)); // fits the search radius
+
+  const search = async (center = pos) => {
+    if (!center) return;
+    setStatus("جارٍ البحث…");
+    try {
+      const items = await fetchMosques(store.endpoint, center, store.radius);
+      setStore(s => ({ ...s, last: { at: Date.now(), center, items } }));
+      setStatus(items.length ? "" : "لا توجد مساجد مسجلة في هذا النطاق — جرّب نطاقًا أوسع أو أضف مسجدًا.");
+    } catch (e) { setStatus(`تعذر الاتصال بالخادم (${e.message}) — تُعرض آخر نتائج محفوظة.`); }
+  };
+  const locate = () => navigator.geolocation?.getCurrentPosition(
+    (p) => { const loc = { lat: p.coords.latitude, lon: p.coords.longitude }; setSettings(s => ({ ...s, location: loc })); search(loc); },
+    () => setStatus("تعذر تحديد الموقع — فعّل الإذن أو اضبط الموقع من قسم القبلة."));
+
+  // Refresh when the cache is a day old or was taken somewhere else; offline, the cache is shown as is.
+  useEffect(() => {
+    if (!pos || !navigator.onLine) return;
+    const last = store.last;
+    if (!last || Date.now() - last.at > 864e5 || greatCircle(pos.lat, pos.lon, last.center.lat, last.center.lon).km > store.radius / 2) search();
+  }, [pos?.lat, pos?.lon, store.radius]);
+
+  const list = useMemo(() => {
+    if (!pos) return [];
+    return [...(store.last?.items || []), ...store.custom.map(m => ({ ...m, custom: true }))]
+      .map(m => ({ ...m, km: greatCircle(pos.lat, pos.lon, m.lat, m.lon).km }))
+      .sort((a, b) => a.km - b.km);
+  }, [pos, store.last, store.custom]);
+
+  const addMosque = (e) => {
+    e.preventDefault();
+    const lat = +draft.lat, lon = +draft.lon;
+    if (!draft.name.trim()) return;
+    if (!validLatLon(lat, lon)) return setDraft({ ...draft, error: "إحداثيات غير صالحة: خط العرض بين ‎-90 و90 وخط الطول بين ‎-180 و180" });
+    setStore(s => ({ ...s, custom: [...s.custom, { id: `custom:${uid()}`, name: draft.name.trim(), lat, lon, jumuah: draft.jumuah }] }));
+    setDraft(null);
+  };
+  const fmtKm = (km) => km < 1 ? `${Math.round(km * 1000)} م` : `${km.toFixed(1)} كم`;
+
+  return (
+    <Section title="المساجد القريبة" right={
+      <div className="flex gap-2 items-center text-sm">
+        <select className="rounded-xl px-2 py-1 border bg-transparent" value={store.radius} onChange={e=>{ setZoom(null); setStore(s=>({ ...s, radius: +e.target.value })); }}>
+          {MOSQUE_RADII.map(r=> <option key={r} value={r}>{r} كم</option>)}
+        </select>
+        <button className="rounded-xl px-3 py-1 border" onClick={locate}>موقعي</button>
+        <button className="rounded-xl px-3 py-1 border" disabled={!pos} onClick={()=>search()}>تحديث</button>
+      </div>
+    }>
+      {!pos ? <div className="opacity-70">حدد موقعك بزر «موقعي» أو أدخل الإحداثيات في قسم القبلة.</div> : (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <TileMap center={pos} zoom={zoom} markers={list} selected={selected} onSelect={setSelected} />
+            <div className="flex gap-2 mt-2 text-sm">
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>setZoom(Math.min(18, zoom + 1))}>+</button>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>setZoom(Math.max(3, zoom - 1))}>−</button>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>setDraft({ name: "", lat: pos.lat.toFixed(5), lon: pos.lon.toFixed(5), jumuah: "" })}>إضافة مسجد</button>
+            </div>
+            {draft && (
+              <form className="grid grid-cols-2 gap-2 mt-2 text-sm" onSubmit={addMosque}>
+                <input className="input col-span-2" required placeholder="اسم المسجد" value={draft.name} onChange={e=>setDraft({ ...draft, name: e.target.value })} />
+                <input className="input" dir="ltr" required inputMode="decimal" value={draft.lat} onChange={e=>setDraft({ ...draft, lat: e.target.value })} />
+                <input className="input" dir="ltr" required inputMode="decimal" value={draft.lon} onChange={e=>setDraft({ ...draft, lon: e.target.value })} />
+                <input className="input" placeholder="موعد الجمعة (اختياري)" value={draft.jumuah} onChange={e=>setDraft({ ...draft, jumuah: e.target.value })} />
+                {draft.error && <div className="col-span-2 text-rose-600">{draft.error}</div>}
+                <div className="flex gap-2"><button className="rounded-xl px-3 py-1 border">حفظ</button><button type="button" className="rounded-xl px-3 py-1 border" onClick={()=>setDraft(null)}>إلغاء</button></div>
+              </form>
+            )}
+          </div>
+          <div className="max-h-[420px] overflow-auto grid gap-2 content-start text-sm">
+            {list.map(m=> (
+              <div key={m.id} className={cx("rounded-xl border p-2", selected===m.id && "border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20")} onClick={()=>setSelected(m.id)}>
+                <div className="flex items-center justify-between gap-2">
+                  <b>{m.name}</b>
+                  <span className="opacity-70 whitespace-nowrap">{fmtKm(m.km)}</span>
+                </div>
+                {m.address && <div className="opacity-70">{m.address}</div>}
+                {m.hours && <div className="opacity-70" dir="ltr">🕒 {m.hours}</div>}
+                {m.jumuah && <div className="opacity-70">الجمعة: <span dir="ltr">{m.jumuah}</span></div>}
+                <div className="flex gap-2 mt-1">
+                  <a className="rounded-xl px-3 py-1 border" href={navigateUrl(m)} target="_blank" rel="noreferrer">الاتجاهات</a>
+                  {m.custom && <button className="rounded-xl px-3 py-1 border" onClick={()=>setStore(s=>({ ...s, custom: s.custom.filter(x=>x.id!==m.id) }))}>حذف</button>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      <div className="text-xs opacity-70 mt-2">
+        {status || (store.last && `آخر تحديث: ${new Date(store.last.at).toLocaleString()}`)}
+      </div>
+      <details className="mt-2 text-sm">
+        <summary className="cursor-pointer">خادم البيانات</summary>
+        <input className="input mt-2" dir="ltr" value={store.endpoint} onChange={e=>setStore(s=>({ ...s, endpoint: e.target.value || OVERPASS_DEFAULT }))} />
+      </details>
+    </Section>
+  );
+}
+
+// ---------- Pomodoro Islamic Focus ----------
+function IslamicPomodoro({ bus }){
+  const [mins, setMins] = useState(25);
+  const [left, setLeft] = useState(0);
+  const tRef = useRef(null);
+  const start = (m = mins) => { setLeft(m*60); if(tRef.current) clearInterval(tRef.current); tRef.current = setInterval(()=> setLeft(x=> x>0?x-1:0), 1000); };
+  useEffect(()=>()=> clearInterval(tRef.current), []);
+  useAction(bus, "pomodoro.start", (a) => {
+    const m = a.minutes || mins;
+    setMins(m); start(m);
+    document.getElementById('pomodoro-anchor')?.scrollIntoView({ behavior: 'smooth' });
+    return say(a.lang, `بدأت جلسة ${m} دقيقة`, `Started a ${m} minute session`);
+  });
+  return (
+    <Section title="منظّم وقت إسلامي (بومودورو)">
+      <div className="flex items-center gap-3">
+        <input className="input w-24" type="number" min={5} value={mins} onChange={e=>setMins(+e.target.value)} />
+        <button className="rounded-xl px-4 py-2 border" onClick={()=>start()}>ابدأ جلسة</button>
+        <div className="text-2xl font-black tabular-nums">{Math.floor(left/60).toString().padStart(2,'0')}:{(left%60).toString().padStart(2,'0')}</div>
+      </div>
+      <div className="text-sm opacity-70 mt-2">بين الجلسات: أذكار مختارة تُعرض تلقائيًا.</div>
+    </Section>
+  );
+}
+
+// ---------- Adhkar (library, routines, counters) ----------
+// The library is bundled at ADHKAR_URL: { categories: [{ id, name, routine?, items: [{ id, text?, quran?, count, source, note? }] }] }.
+// Quranic adhkar reference ayat ({ from: [s, a], to: [s, a] }) and take their text from the mushaf.
+// rafiq.adhkar: { history: { [YYYY-MM-DD]: { [dhikrId]: count } }, haptics, sound }.
+// rafiq.tasbeeh keeps the lifetime total (it was the old single counter).
+const ADHKAR_URL = "/data/adhkar.json";
+const useAdhkarLibrary = () => useDataset(ADHKAR_URL);
+
+function dhikrText(d, mushaf){
+  if (!d.quran) return d.text;
+  if (!mushaf) return "…";
+  const out = [];
+  for (let i = ayahIndex(...d.quran.from); i <= ayahIndex(...d.quran.to); i++) {
+    const [s, a] = ayahFromIndex(i);
+    out.push(`${mushaf[s-1][a-1]} ﴿${String(a).replace(/\d/g, c => AR_DIGITS[c])}﴾`);
+  }
+  return out.join(" ");
+}
+
+const routineDone = (cat, counts = {}) => cat.items.every(d => (counts[d.id] || 0) >= d.count);
+
+// Consecutive days (ending today, or yesterday if today is not finished yet) on which `cat` was completed.
+function routineStreak(cat, history, today = dayKey()){
+  let k = routineDone(cat, history[today]) ? today : addDays(today, -1), n = 0;
+  while (routineDone(cat, history[k])) { n++; k = addDays(k, -1); }
+  return n;
+}
+
+// Short tone for a finished dhikr; WebAudio so no asset is needed.
+let adhkarAudio;
+function chime(){
+  try {
+    adhkarAudio = adhkarAudio || new AudioContext();
+    const o = adhkarAudio.createOscillator(), g = adhkarAudio.createGain();
+    o.frequency.value = 880;
+    g.gain.setValueAtTime(0.2, adhkarAudio.currentTime);
+    g.gain.exponentialRampToValueAtTime(0.001, adhkarAudio.currentTime + 0.4);
+    o.connect(g).connect(adhkarAudio.destination);
+    o.start(); o.stop(adhkarAudio.currentTime + 0.4);
+  } catch (e) { console.warn(e); }
+}
+
+function Adhkar({ mushaf, onCount, onDhikr, bus }){
+  const library = useAdhkarLibrary();
+  const today = useToday();
+  const [state, setState] = usePersisted(STORAGE_KEYS.adhkar, {}, (s) => ({ history: {}, haptics: true, sound: false, ...s }));
+  const [, setTotal] = usePersisted(STORAGE_KEYS.tasbeeh, 0);
+  const [catId, setCatId] = useState(() => new Date().getHours() < 12 ? "morning" : "evening");
+  const [pos, setPos] = useState(0);
+  const [goal, setGoal] = useState(null); // spoken target for one dhikr ("سبّح ٣٣"): { id, n, from }
+  const jumpTo = useRef(null);
+  const counts = state.history[today] || {};
+  const cat = library?.categories.find(c => c.id === catId);
+
+  // Open each routine on its first unfinished dhikr (or where a voice command asked).
+  useEffect(() => {
+    if (!cat) return;
+    const i = jumpTo.current ?? cat.items.findIndex(d => (counts[d.id] || 0) < d.count);
+    jumpTo.current = null;
+    setPos(i < 0 ? 0 : i);
+  }, [catId, !!library]);
+
+  useAction(bus, "adhkar.open", (a) => {
+    const c = library?.categories.find(x => x.id === a.category);
+    if (!c) return say(a.lang, "الأذكار لم تُحمَّل بعد", "The adhkar haven't loaded yet");
+    const i = a.dhikr ? Math.max(0, c.items.findIndex(x => x.id === a.dhikr))
+      : a.target ? 0 : Math.max(0, c.items.findIndex(x => (counts[x.id] || 0) < x.count));
+    if (c.id === catId) setPos(i); else { jumpTo.current = i; setCatId(c.id); }
+    const item = c.items[i];
+    setGoal(a.target ? { id: item.id, n: a.target, from: counts[item.id] || 0 } : null);
+    document.getElementById('adhkar-anchor')?.scrollIntoView({ behavior: 'smooth' });
+    if (!a.target) return say(a.lang, `فتح ${c.name}`, `Opening ${a.category} adhkar`);
+    return say(a.lang, `${item.text} — ${a.target} مرة`, `Counting to ${a.target}`);
+  });
+
+  if (!library) return <Section title="الأذكار"><div className="opacity-70">جارٍ تحميل الأذكار…</div></Section>;
+
+  const d = cat.items[pos];
+  const n = counts[d.id] || 0;
+  const onGoal = goal?.id === d.id;
+  const shown = onGoal ? n - goal.from : n;
+  const target = onGoal ? goal.n : d.count;
+  const done = cat.items.filter(x => (counts[x.id] || 0) >= x.count).length;
+
+  const tap = () => {
+    const next = shown + 1;
+    setState(s => ({ ...s, history: { ...s.history, [today]: { ...s.history[today], [d.id]: (s.history[today]?.[d.id] || 0) + 1 } } }));
+    setTotal(t => t + 1);
+    onCount?.();
+    // Spoken goals count past the dhikr's own number, so completion is judged on the real count.
+    if (n + 1 === d.count) onDhikr?.({ id: d.id, category: cat.id, routine: routineDone(cat, { ...counts, [d.id]: n + 1 }) });
+    if (state.haptics) navigator.vibrate?.(next === target ? [60, 40, 60] : 15);
+    if (next === target) {
+      if (state.sound) chime();
+      if (onGoal) return;
+      const after = cat.items.findIndex((x, i) => i > pos && (counts[x.id] || 0) < x.count);
+      if (after >= 0) setTimeout(() => setPos(after), 400);
+    }
+  };
+  const resetToday = () => setState(s => {
+    const day = { ...s.history[today] };
+    cat.items.forEach(x => delete day[x.id]);
+    return { ...s, history: { ...s.history, [today]: day } };
+  });
+  const week = Array.from({ length: 7 }, (_, i) => addDays(today, i - 6));
+
+  return (
+    <Section title="الأذكار" right={<div className="flex gap-2 text-sm">
+      <label className="flex items-center gap-1"><input type="checkbox" checked={state.haptics} onChange={e=>setState(s=>({ ...s, haptics: e.target.checked }))} /> اهتزاز</label>
+      <label className="flex items-center gap-1"><input type="checkbox" checked={state.sound} onChange={e=>setState(s=>({ ...s, sound: e.target.checked }))} /> صوت</label>
+    </div>}>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {library.categories.map(c=> (
+          <button key={c.id} className={cx("rounded-xl px-3 py-1 border text-sm", c.id===catId && "bg-emerald-600 text-white")} onClick={()=>{ setCatId(c.id); setGoal(null); }}>
+            {c.name}{routineDone(c, counts) && " ✓"}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-800 mb-3 overflow-hidden">
+            <div className="h-full bg-emerald-500 transition-all" style={{ width: `${done / cat.items.length * 100}%` }} />
+          </div>
+          <button className={cx("w-full rounded-2xl border p-4 text-start transition-colors", shown >= target ? "bg-emerald-50 dark:bg-emerald-900/20 border-emerald-300" : "active:bg-gray-100 dark:active:bg-gray-800")} onClick={tap}>
+            <div dir="rtl" className="text-xl leading-loose">{dhikrText(d, mushaf)}</div>
+            {d.note && <div className="text-sm opacity-70 mt-2">{d.note}</div>}
+            <div className="flex items-center justify-between mt-3">
+              <span className="text-xs opacity-70">{d.source}</span>
+              <span className="text-3xl font-black">{shown}<span className="text-base opacity-60">/{target}</span></span>
+            </div>
+          </button>
+          <div className="flex items-center justify-between mt-2 text-sm">
+            <button className="rounded-xl px-3 py-1 border" disabled={pos===0} onClick={()=>setPos(p=>p-1)}>→ السابق</button>
+            <span className="opacity-70">{pos + 1} / {cat.items.length}</span>
+            <button className="rounded-xl px-3 py-1 border" disabled={pos===cat.items.length-1} onClick={()=>setPos(p=>p+1)}>التالي ←</button>
+          </div>
+        </div>
+
+        <div className="text-sm grid gap-3 content-start">
+          {cat.routine && <div>سلسلة {cat.name}: <b>{routineStreak(cat, state.history, today)}</b> يوم</div>}
+          <div className="flex gap-1" title="آخر ٧ أيام">
+            {week.map(k=> <div key={k} title={k} className={cx("flex-1 h-6 rounded", routineDone(cat, state.history[k]) ? "bg-emerald-500" : Object.keys(state.history[k] || {}).some(id => cat.items.some(x=>x.id===id)) ? "bg-emerald-200 dark:bg-emerald-800" : "bg-gray-200 dark:bg-gray-800")} />)}
+          </div>
+          <div className="grid gap-1 max-h-64 overflow-auto">
+            {cat.items.map((x, i)=> (
+              <button key={x.id} className={cx("flex justify-between gap-2 rounded-lg px-2 py-1 text-start", i===pos && "bg-gray-100 dark:bg-gray-800")} onClick={()=>setPos(i)}>
+                <span className="truncate">{x.quran ? (x.note || "آيات") : x.text}</span>
+                <span className={cx("whitespace-nowrap", (counts[x.id]||0) >= x.count && "text-emerald-600 font-bold")}>{Math.min(counts[x.id]||0, x.count)}/{x.count}</span>
+              </button>
+            ))}
+          </div>
+          <button className="rounded-xl px-3 py-1 border" onClick={resetToday}>تصفير عدّاد اليوم</button>
+        </div>
+      </div>
+    </Section>
+  );
+}
+
+// ---------- Hadith Library ----------
+// Collections are JSON packs imported from a file (format in README.md) and kept in DATA_CACHE
+// under /data/hadith/<id>.json so the service worker serves them offline. No packs ship with the app.
+// Pack: { id, name, nameAr, books: [{ n, name, nameAr, chapters: [{ n, name, nameAr }] }],
+//         hadiths: [{ n, book, chapter, ref?, ar?, en?, isnad?, grade?, notes? }] }
+// rafiq.hadith: { installed: { [id]: { id, name, nameAr, count, installedAt } }, saved: ["<id>:<n>"] }
+const hadithPackUrl = (id) => `/data/hadith/${id}.json`;
+const hadithKey = (h) => `${h.collection}:${h.n}`;
+
+function validateHadithPack(p){
+  if (!p || typeof p.id !== "string" || !/^[a-z0-9_-]+$/i.test(p.id)) throw new Error("معرّف المجموعة مفقود أو غير صالح");
+  if (!Array.isArray(p.hadiths) || !p.hadiths.length) throw new Error("لا توجد أحاديث في الملف");
+  if (p.hadiths.some(h => h.n == null || !(h.ar || h.en))) throw new Error("كل حديث يحتاج رقمًا ونصًا عربيًا أو إنجليزيًا");
+  return { books: [], name: p.id, nameAr: p.name || p.id, ...p };
+}
+
+// Page-side cache lookup first so imported packs load even before the SW controls the page.
+async function loadHadithPack(id){
+  if (id === HADITH_SAMPLE.id) return HADITH_SAMPLE;
+  const cached = 'caches' in window && await caches.match(hadithPackUrl(id), { cacheName: DATA_CACHE });
+  return cached ? cached.json() : loadDataset(hadithPackUrl(id));
+}
+
+// Stable pick per calendar day.
+function hadithOfTheDay(hadiths, day = dayKey()){
+  if (!hadiths.length) return null;
+  let h = 0;
+  for (const c of day) h = (h * 31 + c.charCodeAt(0)) >>> 0;
+  return hadiths[h % hadiths.length];
+}
+
+function useHadithLibrary(){
+  const [state, setState] = usePersisted(STORAGE_KEYS.hadith, {}, (stored) => ({ installed: {}, saved: [], ...stored }));
+  const [packs, setPacks] = useState({ [HADITH_SAMPLE.id]: HADITH_SAMPLE });
+
+  useEffect(() => {
+    Object.keys(state.installed).filter(id => !packs[id]).forEach(id =>
+      loadHadithPack(id).then(p => setPacks(ps => ({ ...ps, [id]: p }))).catch(console.warn));
+  }, [state.installed]);
+
+  const install = async (pack) => {
+    const p = validateHadithPack(pack);
+    if ('caches' in window) {
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(hadithPackUrl(p.id), new Response(JSON.stringify(p), { headers: { "Content-Type": "application/json" } }));
+    }
+    setPacks(ps => ({ ...ps, [p.id]: p }));
+    setState(s => ({ ...s, installed: { ...s.installed, [p.id]: { id: p.id, name: p.name, nameAr: p.nameAr, count: p.hadiths.length, installedAt: Date.now() } } }));
+    return p;
+  };
+  const uninstall = async (id) => {
+    if ('caches' in window) await (await caches.open(DATA_CACHE)).delete(hadithPackUrl(id));
+    setPacks(ps => { const next = { ...ps }; delete next[id]; return next; });
+    setState(s => {
+      const installed = { ...s.installed }; delete installed[id];
+      return { ...s, installed, saved: s.saved.filter(k => !k.startsWith(`${id}:`)) };
+    });
+  };
+  const toggleSaved = (h) => setState(s => {
+    const k = hadithKey(h);
+    return { ...s, saved: s.saved.includes(k) ? s.saved.filter(x => x !== k) : [...s.saved, k] };
+  });
+
+  // Flattened hadiths (tagged with their collection) plus folded text for search.
+  const all = useMemo(() => Object.values(packs).flatMap(p => p.hadiths.map(h => ({
+    ...h, collection: p.id, collectionName: p.nameAr || p.name,
+    folded: foldHadith([h.ar, h.isnad, h.en, h.notes].filter(Boolean).join(" ")),
+  }))), [packs]);
+
+  return { packs, installed: state.installed, saved: state.saved, all, install, uninstall, toggleSaved };
+}
+
+// Arabic and Latin folding in one pass, so a single query matches matn, isnad and translation.
+const foldHadith = (text) => fold(fold(text, folders.latin), folders.plain);
+
+// Every query word must appear; hits with more exact-word matches sort first.
+function searchHadith(all, query){
+  const words = foldHadith(query.trim()).split(" ").filter(Boolean);
+  if (!words.length) return [];
+  return all
+    .filter(h => words.every(w => h.folded.includes(w)))
+    .map(h => ({ h, score: words.filter(w => ` ${h.folded} `.includes(` ${w} `)).length }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 50)
+    .map(x => x.h);
+}
+
+function HadithCard({ h, saved, onToggle }){
+  return (
+    <div className="rounded-xl border p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="font-bold">{h.collectionName} <span className="opacity-70">#{h.ref || h.n}</span></div>
+        <div className="flex items-center gap-1">
+          {h.grade && <Pill>{h.grade}</Pill>}
+          <button className="rounded-xl px-2 py-0.5 border text-sm" onClick={()=>onToggle(h)}>{saved ? "★" : "☆"}</button>
+        </div>
       </div>
-      <style>{`
-        .input{ @apply w-full rounded-xl border border-gray-300/70 dark:border-gray-700/70 bg-white/70 dark:bg-gray-800/60 px-4 py-2 outline-none focus:ring-2 focus:ring-emerald-500 } 
-        .btn-primary{ @apply w-full rounded-xl bg-emerald-600 text-white font-semibold py-2 hover:bg-emerald-700 transition } 
-      `}</style>
+      {h.isnad && <div dir="rtl" className="text-xs opacity-70 mt-2">{h.isnad}</div>}
+      {h.ar && <div dir="rtl" className="mt-2 text-lg leading-relaxed">{h.ar}</div>}
+      {h.en && <div dir="ltr" className="mt-2 text-sm">{h.en}</div>}
+      {h.notes && <div className="text-sm opacity-70 mt-2">{h.notes}</div>}
     </div>
   );
 }
 
-// ---------- Audio Player with Download (Offline) ----------
-function QuranAudio({ settings, setSettings, onReadAyah, onDownloaded }) {
-  const [surah, setSurah] = useState(1);
-  const [ayah, setAyah] = useState(1);
-  const [status, setStatus] = useState("idle");
-  const audioRef = useRef(null);
-
-  const reciter = useMemo(() => RECITERS.find(r=>r.id===settings.reciter) || RECITERS[0], [settings.reciter]);
-  const audioUrl = useMemo(()=> `${reciter.base}/${String(surah).padStart(3,'0')}${String(ayah).padStart(3,'0')}.mp3`, [reciter, surah, ayah]);
-
-  useEffect(()=>{ if(audioRef.current) audioRef.current.playbackRate = settings.speed; }, [settings.speed]);
+function HadithLibrary({ library }){
+  const [tab, setTab] = useState("browse");
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [col, setCol] = useState(HADITH_SAMPLE.id);
+  const [book, setBook] = useState(null);
+  const [chapter, setChapter] = useState(null);
+  const daily = hadithOfTheDay(library.all, useToday());
+  const pack = library.packs[col];
+  const isSaved = (h) => library.saved.includes(hadithKey(h));
+  const card = (h) => <HadithCard key={hadithKey(h)} h={h} saved={isSaved(h)} onToggle={library.toggleSaved} />;
 
-  const play = () => { audioRef.current?.play(); };
-  const pause = () => { audioRef.current?.pause(); };
-  const download = async () => {
-    if (!('caches' in window)) return alert('المتصفح لا يدعم التخزين المؤقت');
-    const cache = await caches.open('rafiq-cache-v1');
-    await cache.add(audioUrl);
-    onDownloaded?.();
-    alert('تم تنزيل المقطع — متاح دون اتصال');
+  const fromFile = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    try { const p = await library.install(JSON.parse(await f.text())); setCol(p.id); }
+    catch(err){ alert(`ملف غير صالح: ${err.message}`); }
+    e.target.value = "";
   };
 
+  const inPack = library.all.filter(h => h.collection === col);
+  const listed = inPack.filter(h => (!book || h.book === book) && (!chapter || h.chapter === chapter));
+  const chapters = pack?.books?.find(b => b.n === book)?.chapters || [];
+
   return (
-    <Section title="قارئ القرآن المتقدم" right={<Pill>دون اتصال</Pill>}>
-      <div className="grid md:grid-cols-2 gap-4">
-        <div className="grid gap-3">
-          <label className="text-sm">السورة</label>
-          <select className="input" value={surah} onChange={(e)=>{setSurah(+e.target.value); setAyah(1);}}>
-            {SURAH_META.map(([i,n,c])=> <option key={i} value={i}>{i}. {n} ({c})</option>)}
+    <Section title="مكتبة الأحاديث" right={<div className="flex gap-1">
+      {[['browse','تصفح'],['search','بحث'],['saved','المحفوظة'],['manage','المجموعات']].map(([k,l])=> (
+        <button key={k} className={cx("rounded-xl px-3 py-1 border text-sm", tab===k && "bg-emerald-600 text-white")} onClick={()=>setTab(k)}>{l}</button>
+      ))}
+    </div>}>
+      {daily && (
+        <div className="rounded-xl p-3 mb-3 bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-200 dark:border-emerald-800">
+          <div className="text-xs font-bold mb-1">حديث اليوم</div>
+          {card(daily)}
+        </div>
+      )}
+
+      {tab==='browse' && <>
+        <div className="flex flex-wrap gap-2 mb-3">
+          <select className="input w-56" value={col} onChange={e=>{ setCol(e.target.value); setBook(null); setChapter(null); }}>
+            {Object.values(library.packs).map(p=> <option key={p.id} value={p.id}>{p.nameAr || p.name}</option>)}
           </select>
-          <label className="text-sm">الآية</label>
-          <input className="input" type="number" value={ayah} min={1} max={(SURAH_META.find(s=>s[0]===surah)?.[2]||7)} onChange={(e)=>setAyah(+e.target.value)} />
-          <label className="text-sm">القارئ</label>
-          <select className="input" value={settings.reciter} onChange={(e)=>setSettings(s=>({...s, reciter:e.target.value}))}>
-            {RECITERS.map(r=> <option key={r.id} value={r.id}>{r.name}</option>)}
+          <select className="input w-56" value={book ?? ""} onChange={e=>{ setBook(e.target.value ? +e.target.value : null); setChapter(null); }}>
+            <option value="">كل الكتب</option>
+            {(pack?.books||[]).map(b=> <option key={b.n} value={b.n}>{b.n}. {b.nameAr || b.name}</option>)}
           </select>
-          <label className="text-sm">السرعة: {settings.speed}x</label>
-          <input type="range" min="0.5" max="2" step="0.1" value={settings.speed} onChange={(e)=>setSettings(s=>({...s, speed:+e.target.value}))} />
-          <div className="flex gap-2">
-            <button className="btn-primary" onClick={play}>تشغيل</button>
-            <button className="rounded-xl px-4 py-2 border" onClick={pause}>إيقاف</button>
-            <button className="rounded-xl px-4 py-2 border" onClick={download}>تنزيل</button>
-          </div>
+          {chapters.length>0 && (
+            <select className="input w-56" value={chapter ?? ""} onChange={e=>setChapter(e.target.value ? +e.target.value : null)}>
+              <option value="">كل الأبواب</option>
+              {chapters.map(c=> <option key={c.n} value={c.n}>{c.n}. {c.nameAr || c.name}</option>)}
+            </select>
+          )}
         </div>
-        <div className="grid gap-3">
-          <audio src={audioUrl} controls ref={audioRef} onPlay={()=>setStatus('playing')} onPause={()=>setStatus('paused')} className="w-full" />
-          <div className="text-sm opacity-70">الحالة: {status}</div>
-          <SmartAyahDisplay surah={surah} ayah={ayah} settings={settings} onReadAyah={onReadAyah} />
+        <div className="grid md:grid-cols-2 gap-3">{listed.slice(0, 60).map(card)}</div>
+        {listed.length>60 && <div className="text-sm opacity-70 mt-2">يُعرض ٦٠ من {listed.length} — اختر كتابًا أو بابًا لتضييق القائمة.</div>}
+      </>}
+
+      {tab==='search' && <>
+        <form className="flex gap-2 mb-3" onSubmit={e=>{ e.preventDefault(); setResults(searchHadith(library.all, query)); }}>
+          <input className="input" placeholder="ابحث في المتن أو الراوي أو الترجمة…" value={query} onChange={e=>setQuery(e.target.value)} />
+          <button className="rounded-xl px-4 py-2 border">بحث</button>
+        </form>
+        <div className="grid md:grid-cols-2 gap-3">{results.map(card)}</div>
+        {query && !results.length && <div className="opacity-70 text-sm">لا نتائج في المجموعات المثبتة.</div>}
+      </>}
+
+      {tab==='saved' && (
+        <div className="grid md:grid-cols-2 gap-3">
+          {library.all.filter(isSaved).map(card)}
+          {!library.saved.length && <div className="opacity-70 text-sm">لم تحفظ أحاديث بعد.</div>}
         </div>
-      </div>
+      )}
+
+      {tab==='manage' && (
+        <div className="grid gap-2 text-sm">
+          {Object.values(library.installed).map(i=> (
+            <div key={i.id} className="flex items-center justify-between gap-2 rounded-xl border p-3">
+              <div><b>{i.nameAr || i.name}</b> <span className="opacity-70">— {i.name} · {i.count} حديث</span></div>
+              <button className="rounded-xl px-3 py-1 border" onClick={()=>library.uninstall(i.id)}>حذف</button>
+            </div>
+          ))}
+          <label className="rounded-xl border border-dashed p-3 cursor-pointer text-center">
+            استيراد مجموعة من ملف JSON
+            <input type="file" accept="application/json,.json" className="hidden" onChange={fromFile} />
+          </label>
+        </div>
+      )}
     </Section>
   );
 }
 
-// ---------- Ayah Display with Translation & Tafsir ----------
-function SmartAyahDisplay({ surah, ayah, settings, onReadAyah }) {
-  const [ar, setAr] = useState("");
-  const [trText, setTrText] = useState("");
-  const [taf, setTaf] = useState("");
+// ---------- Zakat & Donation Ledger ----------
+// Zakat is 2.5% of net zakatable wealth once it reaches the nisab (85 g gold or 595 g silver at the
+// user's prices) and a lunar year (hawl) has passed. Nothing leaves the device: payment providers
+// only build a link, and the ledger is recorded locally.
+// rafiq.zakat: { currency, basis, prices: { gold, silver } (per gram, 24k / pure), assets, hawl, provider: { id, ...fields }, ledger: [entry] }
+const NISAB_GRAMS = { gold: 85, silver: 595 };
+const ZAKAT_RATE = 0.025;
+const ZAKAT_ASSETS = [
+  ["cash", "النقد والأرصدة البنكية"],
+  ["goldGrams", "الذهب (غرام)"],
+  ["silverGrams", "الفضة (غرام)"],
+  ["trade", "عروض التجارة (بسعر البيع)"],
+  ["receivables", "ديون مرجوّة لك"],
+  ["debts", "ديون حالّة عليك"],
+];
+const ZAKAT_DEFAULTS = {
+  currency: "SAR", basis: "gold", prices: { gold: 0, silver: 0 },
+  assets: { cash: 0, goldGrams: 0, goldKarat: 24, silverGrams: 0, trade: 0, receivables: 0, debts: 0 },
+  hawl: null, provider: { id: "none" }, ledger: [],
+};
+const LEDGER_KINDS = { zakat: "زكاة", sadaqah: "صدقة" };
+const LEDGER_CATEGORIES = {
+  zakat: ["الفقراء", "المساكين", "العاملون عليها", "المؤلفة قلوبهم", "في الرقاب", "الغارمون", "في سبيل الله", "ابن السبيل"],
+  sadaqah: ["عامة", "إطعام", "مسجد", "تعليم", "كفالة يتيم", "إغاثة", "علاج", "أخرى"],
+};
 
-  useEffect(()=>{
-    const fetchVerse = async () => {
-      try {
-        const tr = TRANSLATIONS.find(t=>t.code===settings.translation) || TRANSLATIONS[0];
-        const [arRes, trRes, tafRes] = await Promise.all([
-          fetch(`https://api.quran.com/api/v4/quran/verses/uthmani?verse_key=${surah}:${ayah}`).then(r=>r.json()),
-          fetch(tr.api(surah, ayah)).then(r=>r.json()),
-          fetch(TAFSIR_API(surah, ayah)).then(r=>r.json())
-        ]);
-        setAr(arRes?.verses?.[0]?.text_uthmani || "");
-        setTrText(trRes?.verse?.text_uthmani || trRes?.verse?.translation_text || "");
-        setTaf(tafRes?.tafsirs?.[0]?.text || "");
-        onReadAyah?.();
-      } catch (e) {
-        console.warn(e);
-      }
-    };
-    fetchVerse();
-  }, [surah, ayah, settings.translation]);
+function zakatSummary({ assets, prices, basis }){
+  const gold = assets.goldGrams * (assets.goldKarat / 24) * prices.gold;
+  const silver = assets.silverGrams * prices.silver;
+  const total = assets.cash + gold + silver + assets.trade + assets.receivables;
+  const net = Math.max(0, total - assets.debts);
+  const nisab = NISAB_GRAMS[basis] * prices[basis];
+  const due = nisab > 0 && net >= nisab;
+  return { gold, silver, total, net, nisab, due, zakat: due ? net * ZAKAT_RATE : 0 };
+}
 
-  return (
-    <div className="rounded-xl bg-gray-50 dark:bg-gray-800/60 p-4 border border-gray-200/60 dark:border-gray-700/60">
-      <div dir="rtl" className="text-2xl leading-relaxed font-semibold mb-2">{ar || "…"}</div>
-      <div className="text-sm opacity-80 mb-2">{trText || "ترجمة…"}</div>
-      <details className="text-sm">
-        <summary className="cursor-pointer">تفسير مختصر</summary>
-        <div className="prose prose-sm max-w-none dark:prose-invert" dangerouslySetInnerHTML={{__html: taf}} />
-      </details>
-    </div>
-  );
+// One Hijri year after `start` (same Hijri day, or the month's last day when it is shorter).
+function hawlDueDate(start, opts){
+  const h0 = toHijri(start, opts);
+  for (let k = addDays(start, 350); ; k = addDays(k, 1)) {
+    const h = toHijri(k, opts);
+    const months = (h.year - h0.year) * 12 + h.month - h0.month;
+    if (months > 12 || (months === 12 && h.day >= h0.day)) return k;
+  }
 }
 
-// ---------- Voice Assistant (Web Speech API) ----------
-function VoiceAssistant({ onCommand }) {
-  const [active, setActive] = useState(false);
-  const [log, setLog] = useState([]);
-  const rec = useRef(null);
+const fmtMoney = (n, currency) => {
+  try { return new Intl.NumberFormat("ar", { style: "currency", currency, maximumFractionDigits: 2 }).format(n); }
+  catch { return `${n.toFixed(2)} ${currency}`; }
+};
 
-  const toggle = () => {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      alert('الاستماع الصوتي غير مدعوم في متصفحك');
-      return;
-    }
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!rec.current) {
-      rec.current = new SR();
-      rec.current.lang = 'ar-SA';
-      rec.current.continuous = true;
-      rec.current.interimResults = false;
-      rec.current.onresult = (e) => {
-        const text = e.results[e.results.length - 1][0].transcript.trim();
-        setLog(l => [text, ...l].slice(0, 10));
-        onCommand(parseText(text));
-      };
-      rec.current.onend = () => setActive(false);
-    }
-    if (!active) { rec.current.start(); setActive(true); } else { rec.current.stop(); setActive(false); }
-  };
+// Each provider turns { amount, currency, kind } into a checkout URL from its configured fields.
+const PAYMENT_PROVIDERS = {
+  none: { name: "بدون (تسجيل فقط)", fields: [] },
+  link: { name: "رابط دفع ثابت (Stripe Payment Link…)", fields: [["url", "الرابط"]], url: (c) => c.url },
+  paypal: { name: "PayPal.me", fields: [["handle", "اسم المستخدم"]],
+    url: (c, p) => `https://paypal.me/${encodeURIComponent(c.handle)}/${p.amount}${p.currency}` },
+  template: { name: "قالب رابط مخصص", fields: [["template", "القالب: {amount} {currency} {kind}"]],
+    url: (c, p) => c.template.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(p[k] ?? "")) },
+};
 
-  return (
-    <Section title="المساعد الذكي الصوتي" right={<Pill>تجريبي ذكي</Pill>}>
-      <div className="flex items-center gap-3">
-        <button className={cx("rounded-full px-5 py-2 font-semibold", active?"bg-rose-600 text-white":"bg-emerald-600 text-white")} onClick={toggle}>{active?"إيقاف":"ابدأ الاستماع"}</button>
-        <div className="text-sm opacity-70">جرّب: "اشرح الآية"، "ما حكم…"، "ابدأ جلسة حفظ"، "شغّل تلاوة"، "أضف للمفضلة"</div>
-      </div>
-      <ul className="mt-3 text-sm space-y-1 opacity-80">
-        {log.map((l,i)=>(<li key={i}>• {l}</li>))}
-      </ul>
-    </Section>
-  );
+// Throws a message for the user when the provider isn't fully configured or builds no usable URL.
+function paymentUrl(provider, payment){
+  const p = PAYMENT_PROVIDERS[provider.id];
+  const missing = p?.fields.find(([k]) => !String(provider[k] || "").trim());
+  if (missing) throw new Error(`أكمل إعداد مزوّد الدفع: ${missing[1]}`);
+  const url = p?.url?.(provider, payment);
+  if (!url) throw new Error("لم يُنشأ رابط دفع — راجع إعداد المزوّد");
+  let parsed;
+  try { parsed = new URL(url); } catch { throw new Error("رابط الدفع غير صالح"); }
+  if (parsed.protocol !== "https:") throw new Error("رابط الدفع يجب أن يبدأ بـ https");
+  return url;
 }
 
-function parseText(text){
-  const t = text.toLowerCase();
-  if (t.includes('ابدأ جلسة حفظ')) return { type:'pomodoro', action:'start' };
-  if (t.includes('شغل') || t.includes('شغّل') || t.includes('تشغيل')) return { type:'audio', action:'play' };
-  if (t.includes('ايقاف') || t.includes('إيقاف') || t.includes('وقف')) return { type:'audio', action:'pause' };
-  if (t.includes('اشرح الآية') || t.includes('اشرح الاية')) return { type:'tafsir' };
-  if (t.includes('ما حكم')) return { type:'fiqh', query:text };
-  if (t.includes('أضف للمفضلة') || t.includes('اضف للمفضلة')) return { type:'fav' };
-  return { type:'unknown', query:text };
+// Leading = + - @ would make spreadsheets evaluate a recipient name as a formula.
+const csvCell = (v) => {
+  const s = typeof v === "string" && /^[=+\-@]/.test(v) ? `'${v}` : String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const LEDGER_COLUMNS = [["date", "التاريخ"], ["kind", "النوع"], ["amount", "المبلغ"], ["currency", "العملة"], ["recipient", "الجهة"], ["category", "المصرف"], ["note", "ملاحظة"]];
+
+function ledgerCsv(rows){
+  const lines = [LEDGER_COLUMNS.map(c => c[1]), ...rows.map(r => LEDGER_COLUMNS.map(([k]) => k === "kind" ? LEDGER_KINDS[r.kind] : r[k]))];
+  return "﻿" + lines.map(l => l.map(csvCell).join(",")).join("\n"); // BOM so Excel reads Arabic as UTF-8
 }
 
-// ---------- Kids Mode ----------
-function KidsMode({ enabled, toggle, onCompleteMiniGame }){
+// PDF through the browser's print dialog ("Save as PDF"), which shapes Arabic text properly.
+function printLedger(rows, title){
+  const esc = (s) => String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const w = window.open("", "_blank");
+  if (!w) return;
+  const body = rows.map(r => `<tr>${LEDGER_COLUMNS.map(([k]) => `<td>${esc(k === "kind" ? LEDGER_KINDS[r.kind] : r[k])}</td>`).join("")}</tr>`).join("");
+  w.document.write(`<!doctype html><html lang="ar" dir="rtl"><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>body{font-family:system-ui,sans-serif;margin:2rem}table{width:100%;border-collapse:collapse}td,th{border:1px solid #ccc;padding:.3rem .5rem;text-align:start}</style></head>
+<body><h1>${esc(title)}</h1><table><thead><tr>${LEDGER_COLUMNS.map(c => `<th>${c[1]}</th>`).join("")}</tr></thead><tbody>${body}</tbody></table></body></html>`);
+  w.document.close();
+  w.print();
+}
+
+// Notifies once on the day the hawl completes (same tag, so reloads that day replace it).
+function useHawlReminder(settings){
+  const day = useToday();
+  useEffect(() => {
+    const { hawl } = load(STORAGE_KEYS.zakat, ZAKAT_DEFAULTS);
+    if (!settings.notifications || !hawl || hawlDueDate(hawl, settings.hijri) !== day) return;
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const opts = { body: "اكتمل الحول اليوم — احسب زكاتك وأخرجها.", tag: `rafiq-hawl-${day}` };
+    navigator.serviceWorker?.getRegistration()
+      .then(reg => reg ? reg.showNotification(`${APP_NAME} — الزكاة`, opts) : new Notification(`${APP_NAME} — الزكاة`, opts))
+      .catch(console.warn);
+  }, [day, settings.notifications, settings.hijri]);
+}
+
+function Zakat({ settings }){
+  const today = useToday();
+  const [z, setZ] = usePersisted(STORAGE_KEYS.zakat, ZAKAT_DEFAULTS, (s) => ({
+    ...ZAKAT_DEFAULTS, ...s,
+    prices: { ...ZAKAT_DEFAULTS.prices, ...s.prices },
+    assets: { ...ZAKAT_DEFAULTS.assets, ...s.assets },
+  }));
+  const blank = { kind: "zakat", amount: "", recipient: "", category: LEDGER_CATEGORIES.zakat[0], date: today, note: "" };
+  const [entry, setEntry] = useState(blank);
+  const [year, setYear] = useState("all");
+  const [err, setErr] = useState("");
+  const sum = zakatSummary(z);
+  const money = (n) => fmtMoney(n, z.currency);
+  const setIn = (part, k, v) => setZ(s => ({ ...s, [part]: { ...s[part], [k]: v } }));
+  const hawlDue = z.hawl && hawlDueDate(z.hawl, settings.hijri);
+  const provider = PAYMENT_PROVIDERS[z.provider.id] || PAYMENT_PROVIDERS.none;
+
+  const years = [...new Set(z.ledger.map(r => r.date.slice(0, 4)))].sort().reverse();
+  const rows = z.ledger.filter(r => year === "all" || r.date.startsWith(year)).sort((a, b) => b.date.localeCompare(a.date));
+  const totals = Object.keys(LEDGER_KINDS).map(k => [k, rows.filter(r => r.kind === k && r.currency === z.currency).reduce((a, r) => a + r.amount, 0)]);
+  const paidZakat = z.hawl ? z.ledger.filter(r => r.kind === "zakat" && r.currency === z.currency && r.date >= z.hawl).reduce((a, r) => a + r.amount, 0) : 0;
+
+  const record = (pay) => {
+    setErr("");
+    const amount = +entry.amount;
+    if (!(amount > 0)) return setErr("أدخل مبلغًا صحيحًا.");
+    if (pay) {
+      // Nothing is recorded unless a checkout URL was built.
+      try { window.open(paymentUrl(z.provider, { amount, currency: z.currency, kind: entry.kind }), "_blank", "noopener"); }
+      catch (e) { return setErr(e.message); }
+    }
+    const row = { ...entry, id: uid(), amount, currency: z.currency, via: pay ? z.provider.id : undefined };
+    setZ(s => ({ ...s, ledger: [...s.ledger, row] }));
+    setEntry({ ...blank, kind: entry.kind, category: entry.category });
+  };
+  const remove = (id) => setZ(s => ({ ...s, ledger: s.ledger.filter(r => r.id !== id) }));
+  const numInput = (part, k, cls = "w-32") => (
+    <input className={cx("input", cls)} type="number" min="0" step="any" value={z[part][k]} onChange={e=>setIn(part, k, Math.max(0, +e.target.value || 0))} />
+  );
+
   return (
-    <Section title="وضع الأطفال" right={<button className="rounded-xl px-3 py-1 border" onClick={toggle}>{enabled?"إلغاء الوضع":"تفعيل"}</button>}>
-      <div className="grid md:grid-cols-2 gap-4">
-        <div className="p-4 rounded-xl bg-orange-50 border border-orange-200">
-          <div className="font-bold mb-2">لعبة بطاقات الأذكار</div>
-          <MiniFlipGame onWin={onCompleteMiniGame} />
+    <Section title="الزكاة والصدقات" right={<Pill>{sum.due ? `الزكاة: ${money(sum.zakat)}` : "دون النصاب"}</Pill>}>
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="grid gap-3 content-start text-sm">
+          <div className="font-semibold">حاسبة الزكاة</div>
+          <div className="flex flex-wrap items-center gap-2">
+            العملة <input className="input w-20 uppercase" maxLength={3} value={z.currency} onChange={e=>setZ(s=>({ ...s, currency: e.target.value.toUpperCase() }))} />
+            سعر غرام الذهب (24) {numInput("prices", "gold", "w-24")}
+            سعر غرام الفضة {numInput("prices", "silver", "w-24")}
+          </div>
+          <div className="flex items-center gap-2">
+            النصاب على أساس
+            <select className="rounded-xl px-2 py-1 border bg-transparent" value={z.basis} onChange={e=>setZ(s=>({ ...s, basis: e.target.value }))}>
+              <option value="gold">الذهب ({NISAB_GRAMS.gold} غ)</option>
+              <option value="silver">الفضة ({NISAB_GRAMS.silver} غ)</option>
+            </select>
+            <span className="opacity-70">{sum.nisab ? money(sum.nisab) : "أدخل سعر المعدن"}</span>
+          </div>
+          {ZAKAT_ASSETS.map(([k, label])=> (
+            <label key={k} className="flex items-center justify-between gap-2">
+              <span>{label}</span>
+              <span className="flex items-center gap-2">
+                {k === "goldGrams" && <select className="rounded-xl px-2 py-1 border bg-transparent" value={z.assets.goldKarat} onChange={e=>setIn("assets", "goldKarat", +e.target.value)}>
+                  {[24, 22, 21, 18].map(c=> <option key={c} value={c}>عيار {c}</option>)}
+                </select>}
+                {numInput("assets", k)}
+              </span>
+            </label>
+          ))}
+          <div className="rounded-xl p-3 border grid gap-1">
+            <div className="flex justify-between"><span>قيمة الذهب والفضة</span><span>{money(sum.gold + sum.silver)}</span></div>
+            <div className="flex justify-between"><span>صافي المال الزكوي</span><span>{money(sum.net)}</span></div>
+            <div className="flex justify-between font-bold"><span>الزكاة الواجبة (2.5%)</span><span>{sum.due ? money(sum.zakat) : "لا زكاة — دون النصاب"}</span></div>
+            {sum.due && z.hawl && <div className="flex justify-between opacity-70"><span>المدفوع منذ بداية الحول</span><span>{money(paidZakat)}</span></div>}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            بداية الحول <input className="input" type="date" value={z.hawl || ""} onChange={e=>setZ(s=>({ ...s, hawl: e.target.value || null }))} />
+            {hawlDue && <span className={cx(hawlDue <= today && "font-bold text-emerald-600")}>
+              {hawlDue <= today ? "اكتمل الحول — حان وقت إخراج الزكاة" : `يكتمل في ${fmtHijri(toHijri(hawlDue, settings.hijri))} (${hawlDue})`}
+            </span>}
+            {hawlDue && hawlDue <= today && <button className="rounded-xl px-3 py-1 border" onClick={()=>setZ(s=>({ ...s, hawl: today }))}>ابدأ حولًا جديدًا</button>}
+          </div>
+          {hawlDue && !settings.notifications && <div className="opacity-70">فعّل الإشعارات من مواقيت الصلاة ليصلك تذكير يوم اكتمال الحول.</div>}
         </div>
-        <div className="p-4 rounded-xl bg-sky-50 border border-sky-200">
-          <div className="font-bold mb-2">مكافآت الحفظ</div>
-          <KidsRewards />
+
+        <div className="grid gap-3 content-start text-sm">
+          <div className="font-semibold">سجل الزكاة والصدقات</div>
+          <div className="grid grid-cols-2 gap-2">
+            <select className="rounded-xl px-2 py-1 border bg-transparent" value={entry.kind} onChange={e=>setEntry(x=>({ ...x, kind: e.target.value, category: LEDGER_CATEGORIES[e.target.value][0] }))}>
+              {Object.entries(LEDGER_KINDS).map(([k,l])=> <option key={k} value={k}>{l}</option>)}
+            </select>
+            <select className="rounded-xl px-2 py-1 border bg-transparent" value={entry.category} onChange={e=>setEntry(x=>({ ...x, category: e.target.value }))}>
+              {LEDGER_CATEGORIES[entry.kind].map(c=> <option key={c}>{c}</option>)}
+            </select>
+            <input className="input" type="number" min="0" step="any" placeholder={`المبلغ (${z.currency})`} value={entry.amount} onChange={e=>setEntry(x=>({ ...x, amount: e.target.value }))} />
+            <input className="input" type="date" value={entry.date} onChange={e=>setEntry(x=>({ ...x, date: e.target.value || today }))} />
+            <input className="input" placeholder="الجهة أو المستفيد" value={entry.recipient} onChange={e=>setEntry(x=>({ ...x, recipient: e.target.value }))} />
+            <input className="input" placeholder="ملاحظة" value={entry.note} onChange={e=>setEntry(x=>({ ...x, note: e.target.value }))} />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button className="rounded-xl px-3 py-1 border" onClick={()=>record(false)}>تسجيل</button>
+            {z.provider.id !== "none" && <button className="rounded-xl px-3 py-1 border bg-emerald-600 text-white" onClick={()=>record(true)}>ادفع عبر {provider.name} وسجّل</button>}
+            {err && <span className="text-rose-600">{err}</span>}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select className="rounded-xl px-2 py-1 border bg-transparent" value={year} onChange={e=>setYear(e.target.value)}>
+              <option value="all">كل السنوات</option>
+              {years.map(y=> <option key={y}>{y}</option>)}
+            </select>
+            {totals.map(([k, t])=> <Pill key={k}>{LEDGER_KINDS[k]}: {money(t)}</Pill>)}
+            <button className="rounded-xl px-3 py-1 border" disabled={!rows.length} onClick={()=>downloadFile(`rafiq-ledger-${year}.csv`, ledgerCsv(rows), "text/csv")}>CSV</button>
+            <button className="rounded-xl px-3 py-1 border" disabled={!rows.length} onClick={()=>printLedger(rows, `${APP_NAME} — سجل الزكاة والصدقات ${year === "all" ? "" : year}`)}>PDF</button>
+          </div>
+          <div className="grid gap-1 max-h-64 overflow-auto">
+            {rows.length ? rows.map(r=> (
+              <div key={r.id} className="flex items-center justify-between gap-2 border-b py-1">
+                <span className="truncate">{r.date} · {LEDGER_KINDS[r.kind]} · {r.category}{r.recipient && ` · ${r.recipient}`}</span>
+                <span className="flex items-center gap-2 whitespace-nowrap"><b>{fmtMoney(r.amount, r.currency)}</b>
+                  <button className="opacity-60" title="حذف" onClick={()=>remove(r.id)}>✕</button></span>
+              </div>
+            )) : <div className="opacity-70">لا مدفوعات مسجّلة بعد.</div>}
+          </div>
+
+          <details>
+            <summary className="cursor-pointer">مزوّد الدفع</summary>
+            <div className="grid gap-2 mt-2">
+              <select className="rounded-xl px-2 py-1 border bg-transparent" value={z.provider.id} onChange={e=>setZ(s=>({ ...s, provider: { id: e.target.value } }))}>
+                {Object.entries(PAYMENT_PROVIDERS).map(([k,p])=> <option key={k} value={k}>{p.name}</option>)}
+              </select>
+              {provider.fields.map(([k, label])=> (
+                <input key={k} className="input" dir="ltr" placeholder={label} value={z.provider[k] || ""} onChange={e=>setIn("provider", k, e.target.value)} />
+              ))}
+              <div className="opacity-70">يفتح التطبيق رابط المزوّد فقط؛ لا تُرسل بياناتك إلى أي جهة.</div>
+            </div>
+          </details>
         </div>
       </div>
     </Section>
   );
 }
 
-function MiniFlipGame({ onWin }){
-  const CARDS = useMemo(()=>{
-    const base = ["سبحان الله","الحمد لله","الله أكبر","لا إله إلا الله"]; const arr = [...base, ...base];
-    for(let i=arr.length-1;i>0;i--){ const j=Math.floor(Math.random()*(i+1)); [arr[i],arr[j]]=[arr[j],arr[i]]; }
-    return arr.map((t,i)=>({id:i,text:t,open:false,done:false}));
-  }, []);
-  const [cards, setCards] = useState(CARDS);
-  const [sel, setSel] = useState([]);
-  useEffect(()=>{
-    if(sel.length===2){
-      const [a,b]=sel; const ca=cards[a], cb=cards[b];
-      if(ca.text===cb.text){
-        setCards(cs=> cs.map(c=> (c.id===ca.id||c.id===cb.id)?{...c,done:true}:c));
-        setSel([]);
+// ---------- Qibla (bearing, declination, calibrated compass) ----------
+const KAABA = { lat: 21.4225, lon: 39.8262 };
+const EARTH_KM = 6371.0088;
+const WMM_URL = "/data/wmm2025.json"; // NOAA World Magnetic Model coefficients, indexed n(n+1)/2+m
+const QIBLA_ALIGNED_DEG = 5;
+
+// Initial great-circle bearing (degrees from true north) and haversine distance between two points.
+function greatCircle(lat1, lon1, lat2, lon2){
+  const [p1, p2, dl] = [rad(lat1), rad(lat2), rad(lon2 - lon1)];
+  const bearing = fixAngle(deg(Math.atan2(Math.sin(dl) * Math.cos(p2), Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl))));
+  const h = Math.sin((p2 - p1) / 2) ** 2 + Math.cos(p1) * Math.cos(p2) * Math.sin(dl / 2) ** 2;
+  return { bearing, km: 2 * EARTH_KM * Math.asin(Math.sqrt(h)) };
+}
+const qiblaFrom = (lat, lon) => greatCircle(lat, lon, KAABA.lat, KAABA.lon);
+// Typed coordinates: NaN fails both comparisons.
+const validLatLon = (lat, lon) => Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+/**
+ * Magnetic declination (degrees, east positive) from a spherical-harmonic model such as WMM.
+ * Geodetic WGS84 input; follows the WMM technical report (Schmidt semi-normalised Legendre functions).
+ */
+function magneticDeclination(model, lat, lon, date = new Date(), altKm = 0){
+  const year = date.getUTCFullYear() + (date - Date.UTC(date.getUTCFullYear(), 0, 1)) / (365.25 * 864e5);
+  const t = year - model.epoch;
+  const A = 6378.137, F = 1 / 298.257223563, E2 = F * (2 - F), RE = 6371.2;
+  const phi = rad(lat), lam = rad(lon);
+  const rc = A / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+  const p = (rc + altKm) * Math.cos(phi), z = (rc * (1 - E2) + altKm) * Math.sin(phi);
+  const r = Math.hypot(p, z), phiC = Math.asin(z / r);
+  const ct = Math.sin(phiC), st = Math.cos(phiC); // colatitude θ = 90° − φ'
+  const N = 12;
+  const P = [[1]], dP = [[0]];
+  let X = 0, Y = 0, Z = 0;
+  for (let n = 1; n <= N; n++) {
+    P[n] = []; dP[n] = [];
+    const ar = (RE / r) ** (n + 2);
+    for (let m = 0; m <= n; m++) {
+      if (n === m) {
+        const k = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+        P[n][m] = k * st * P[n-1][m-1];
+        dP[n][m] = k * (ct * P[n-1][m-1] + st * dP[n-1][m-1]);
       } else {
-        setTimeout(()=>{ setCards(cs=> cs.map(c=> (c.id===ca.id||c.id===cb.id)?{...c,open:false}:c)); setSel([]); }, 700);
+        const k1 = Math.sqrt(n * n - m * m), k2 = Math.sqrt((n - 1) ** 2 - m * m);
+        const p2 = n - 2 >= m ? P[n-2][m] : 0, d2 = n - 2 >= m ? dP[n-2][m] : 0;
+        P[n][m] = ((2 * n - 1) * ct * P[n-1][m] - k2 * p2) / k1;
+        dP[n][m] = ((2 * n - 1) * (ct * dP[n-1][m] - st * P[n-1][m]) - k2 * d2) / k1;
       }
+      const i = n * (n + 1) / 2 + m;
+      const g = model.g[i] + t * model.dg[i], h = model.h[i] + t * model.dh[i];
+      const cm = Math.cos(m * lam), sm = Math.sin(m * lam);
+      X += ar * (g * cm + h * sm) * dP[n][m];
+      Y += ar * m * (g * sm - h * cm) * P[n][m] / st;
+      Z -= ar * (n + 1) * (g * cm + h * sm) * P[n][m];
     }
-  }, [sel]);
-  useEffect(()=>{ if(cards.every(c=>c.done)){ onWin?.(); alert('أحسنت!'); } }, [cards]);
-  return (
-    <div className="grid grid-cols-4 gap-2">
-      {cards.map((c,i)=> (
-        <button key={c.id} onClick={()=>{
-          if(c.done||c.open) return; setCards(cs=> cs.map(x=> x.id===c.id?{...x,open:true}:x)); setSel(s=>[...s,i]);
-        }} className={cx("aspect-square rounded-xl border grid place-items-center text-sm font-bold",
-          c.done?"bg-emerald-100 border-emerald-300": c.open?"bg-white":"bg-orange-100 border-orange-300")}>{c.open||c.done?c.text:"?"}</button>
-      ))}
-    </div>
-  );
+  }
+  // Geocentric north component -> geodetic (Y is unaffected).
+  const psi = phiC - phi;
+  return deg(Math.atan2(Y, X * Math.cos(psi) - Z * Math.sin(psi)));
 }
 
-function KidsRewards(){
-  const [pts, setPts] = useState(()=> +localStorage.getItem('kids.pts')||0);
-  useEffect(()=>localStorage.setItem('kids.pts', String(pts)), [pts]);
-  return (
-    <div className="flex items-center gap-3">
-      <div className="text-3xl font-black">{pts}</div>
-      <button className="rounded-xl px-3 py-1 border" onClick={()=>setPts(p=>p+10)}>+10</button>
-      <button className="rounded-xl px-3 py-1 border" onClick={()=>setPts(0)}>تصفير</button>
-    </div>
-  );
+// Magnetic heading of the device from a deviceorientation event, or null when it has no compass reference.
+// Held upright (camera use) the heading is where the back camera points; held flat it is the top of the
+// screen, so the screen rotation angle is added.
+function deviceHeading(e, screenAngle = 0){
+  if (typeof e.webkitCompassHeading === "number" && e.webkitCompassHeading >= 0) return fixAngle(e.webkitCompassHeading + screenAngle);
+  if (!e.absolute || e.alpha == null) return null;
+  const [a, b, g] = [rad(e.alpha), rad(e.beta || 0), rad(e.gamma || 0)];
+  if (Math.abs(e.beta || 0) < 45) return fixAngle(360 - e.alpha + screenAngle);
+  const vx = -Math.cos(a) * Math.sin(g) - Math.sin(a) * Math.sin(b) * Math.cos(g);
+  const vy = -Math.sin(a) * Math.sin(g) + Math.cos(a) * Math.sin(b) * Math.cos(g);
+  return fixAngle(deg(Math.atan2(-vx, vy)));
 }
 
-// ---------- Groups / Leaderboard ----------
-function Groups(){
-  const [groups, setGroups] = useState(()=> load(STORAGE_KEYS.groups, []));
-  const [name, setName] = useState("");
-  useEffect(()=> save(STORAGE_KEYS.groups, groups), [groups]);
+// Spread of recent headings (circular standard deviation, degrees); a wobbling compass needs calibration.
+function headingSpread(hs){
+  if (hs.length < 5) return 0;
+  const s = hs.reduce((a, h) => a + Math.sin(rad(h)), 0) / hs.length;
+  const c = hs.reduce((a, h) => a + Math.cos(rad(h)), 0) / hs.length;
+  return deg(Math.sqrt(-2 * Math.log(Math.min(1, Math.hypot(s, c)))));
+}
+
+// Compass heading (true north) with a calibration hint.
+function useCompass(declination){
+  const [state, setState] = useState({ heading: null, needsCalibration: false, supported: null });
+  const recent = useRef([]);
+  const [enabled, setEnabled] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    // Chrome/Android fire `deviceorientationabsolute`; Safari puts webkitCompassHeading on plain events.
+    const type = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    const onEvent = (e) => {
+      const mag = deviceHeading(e, screen.orientation?.angle ?? window.orientation ?? 0);
+      if (mag == null) { setState(s => (s.supported === false ? s : { ...s, supported: false })); return; }
+      const hs = recent.current = [...recent.current.slice(-9), mag];
+      const poorAccuracy = typeof e.webkitCompassAccuracy === "number" && (e.webkitCompassAccuracy < 0 || e.webkitCompassAccuracy > 15);
+      setState({ heading: fixAngle(mag + declination), needsCalibration: poorAccuracy || headingSpread(hs) > 10, supported: true });
+    };
+    const onCompassNeedsCalibration = () => setState(s => ({ ...s, needsCalibration: true }));
+    window.addEventListener(type, onEvent);
+    window.addEventListener('compassneedscalibration', onCompassNeedsCalibration);
+    return () => { window.removeEventListener(type, onEvent); window.removeEventListener('compassneedscalibration', onCompassNeedsCalibration); };
+  }, [enabled, declination]);
+
+  // iOS 13+ only grants orientation events from a user gesture.
+  const start = async () => {
+    try {
+      if (typeof DeviceOrientationEvent?.requestPermission === "function" && await DeviceOrientationEvent.requestPermission() !== "granted") {
+        setState(s => ({ ...s, supported: false })); return;
+      }
+      setEnabled(true);
+    } catch (e) { console.warn(e); setState(s => ({ ...s, supported: false })); }
+  };
+  return { ...state, enabled, start };
+}
+
+function ARQibla({ settings, setSettings }){
+  const [manual, setManual] = useState({ lat: settings.location?.lat ?? "", lon: settings.location?.lon ?? "" });
+  const [camera, setCamera] = useState(false);
+  const vidRef = useRef(null);
+  const wmm = useDataset(WMM_URL);
+  const loc = settings.location;
+  const q = loc && qiblaFrom(loc.lat, loc.lon);
+  const declination = loc && wmm ? magneticDeclination(wmm, loc.lat, loc.lon) : 0;
+  const compass = useCompass(declination);
+  // Arrow angle relative to the screen: the Qibla bearing minus where the device points (north-up without a compass).
+  const turn = q ? fixAngle(q.bearing - (compass.heading ?? 0)) : 0;
+  const off = turn > 180 ? turn - 360 : turn;
+  const aligned = compass.heading != null && Math.abs(off) <= QIBLA_ALIGNED_DEG;
+
+  const setLocation = (lat, lon) => setSettings(s => ({ ...s, location: { lat, lon } }));
+  const locate = () => navigator.geolocation?.getCurrentPosition(
+    (p) => { setLocation(p.coords.latitude, p.coords.longitude); setManual({ lat: p.coords.latitude.toFixed(4), lon: p.coords.longitude.toFixed(4) }); },
+    () => alert('تعذر تحديد الموقع — أدخل الإحداثيات يدويًا'));
+
+  useEffect(() => {
+    if (!camera) return;
+    let stream;
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(async (s) => { stream = s; if (vidRef.current) { vidRef.current.srcObject = s; await vidRef.current.play(); } })
+      .catch(() => { alert('تعذر فتح الكاميرا'); setCamera(false); });
+    return () => stream?.getTracks().forEach(t => t.stop());
+  }, [camera]);
+
   return (
-    <Section title="المجموعات (مسجد/مدرسة)">
-      <div className="flex gap-2 mb-3">
-        <input className="input" placeholder="اسم المجموعة" value={name} onChange={e=>setName(e.target.value)} />
-        <button className="rounded-xl px-4 py-2 border" onClick={()=>{ if(!name.trim()) return; setGroups(g=>[...g,{id:Date.now(),name,points:0}]); setName(""); }}>إنشاء</button>
-      </div>
-      <div className="grid md:grid-cols-2 gap-3">
-        {groups.map(g=> (
-          <div key={g.id} className="rounded-xl border p-3">
-            <div className="font-bold">{g.name}</div>
-            <div className="text-sm opacity-70">نقاط: {g.points}</div>
-            <div className="flex gap-2 mt-2">
-              <button className="rounded-xl px-3 py-1 border" onClick={()=> setGroups(gs=> gs.map(x=> x.id===g.id?{...x,points:x.points+10}:x))}>+10</button>
-              <button className="rounded-xl px-3 py-1 border" onClick={()=> setGroups(gs=> gs.filter(x=> x.id!==g.id))}>حذف</button>
+    <Section title="القبلة (AR)" right={q && <Pill>{Math.round(q.km).toLocaleString()} كم إلى الكعبة</Pill>}>
+      <div className="grid md:grid-cols-2 gap-3 items-center">
+        <div>
+          <div className="relative rounded-xl overflow-hidden border h-64 bg-black">
+            {camera && <video ref={vidRef} className="absolute inset-0 w-full h-full object-cover" playsInline muted />}
+            <div className="absolute inset-0 grid place-items-center">
+              <div className={cx("relative rounded-full w-40 h-40 border-4 grid place-items-center backdrop-blur transition-colors", aligned ? "bg-emerald-500/80 border-emerald-300 text-white" : "bg-white/70")}>
+                {compass.heading == null && <span className="absolute top-1 text-xs font-bold">N</span>}
+                {q && (
+                  <svg viewBox="0 0 100 100" className="absolute inset-0 w-full h-full transition-transform" style={{ transform: `rotate(${turn}deg)` }}>
+                    <path d="M50 8 L62 40 L54 40 L54 78 L46 78 L46 40 L38 40 Z" fill={aligned ? "#fff" : "#059669"} />
+                  </svg>
+                )}
+                <span className="relative text-lg font-black">{q ? `${Math.round(q.bearing)}°` : '—'}</span>
+              </div>
             </div>
+            {compass.needsCalibration && (
+              <div className="absolute bottom-2 inset-x-2 rounded-xl bg-amber-400 text-black text-sm p-2 text-center">البوصلة غير دقيقة — حرّك الجهاز على شكل الرقم ∞ عدة مرات بعيدًا عن المعادن</div>
+            )}
           </div>
-        ))}
+          <div className="flex flex-wrap gap-2 mt-2">
+            <button className="rounded-xl px-4 py-2 border" onClick={()=>setCamera(c=>!c)}>{camera ? 'إيقاف الكاميرا' : 'تشغيل الكاميرا'}</button>
+            {!compass.enabled && <button className="rounded-xl px-4 py-2 border" onClick={compass.start}>تفعيل البوصلة</button>}
+          </div>
+        </div>
+        <div className="text-sm grid gap-2">
+          {q ? <>
+            <div>اتجاه القبلة: <b>{q.bearing.toFixed(1)}°</b> من الشمال الجغرافي</div>
+            <div className="opacity-80">الانحراف المغناطيسي هنا: {declination.toFixed(1)}° {declination >= 0 ? 'شرقًا' : 'غربًا'}{!wmm && ' (جارٍ التحميل…)'}</div>
+            {compass.heading != null && <div>{aligned ? 'أنت باتجاه القبلة ✓' : `استدر ${Math.abs(Math.round(off))}° ${off > 0 ? 'يمينًا' : 'يسارًا'}`}</div>}
+          </> : <div>حدد موقعك لحساب اتجاه القبلة.</div>}
+          {compass.supported === false && <div className="opacity-80">لا تتوفر بوصلة في هذا الجهاز — وجّه الشمال (N) في الدائرة نحو الشمال الحقيقي واتبع السهم.</div>}
+          <form className="flex flex-wrap gap-2 items-center" onSubmit={e=>{ e.preventDefault(); const lat = +manual.lat, lon = +manual.lon; if (validLatLon(lat, lon)) setLocation(lat, lon); }}>
+            <input className="input w-28" dir="ltr" inputMode="decimal" placeholder="lat" value={manual.lat} onChange={e=>setManual({ ...manual, lat: e.target.value })} />
+            <input className="input w-28" dir="ltr" inputMode="decimal" placeholder="lon" value={manual.lon} onChange={e=>setManual({ ...manual, lon: e.target.value })} />
+            <button className="rounded-xl px-3 py-1 border">حفظ</button>
+            <button type="button" className="rounded-xl px-3 py-1 border" onClick={locate}>GPS</button>
+          </form>
+          <p className="opacity-70">ملاحظة: قد يتطلب المتصفح إذن الحركة/الاتجاه.</p>
+        </div>
       </div>
     </Section>
   );
 }
 
-// ---------- Prayer Reminders (Adhan Times) ----------
-function PrayerTimes(){
-  const [pos, setPos] = useState(null);
-  const [times, setTimes] = useState(null);
+// ---------- Backup, Restore & Sync ----------
+// A backup is one JSON snapshot of every store: { format, version, createdAt, data: { [storageKey]: value } },
+// optionally sealed with AES-GCM under a PBKDF2-derived key. Sync pushes the same snapshot to a REST
+// or WebDAV endpoint and three-way merges it against the last synced copy (rafiq.sync.base), so
+// counters add up both sides' increments and list deletions on either side stick.
+const BACKUP_FORMAT = "rafiq-backup";
+const BACKUP_VERSION = 2;
+// Everything except the sync bookkeeping itself.
+const BACKUP_KEYS = Object.values(STORAGE_KEYS).filter(k => k !== STORAGE_KEYS.sync);
 
-  useEffect(()=>{
-    if('geolocation' in navigator){
-      navigator.geolocation.getCurrentPosition((p)=> setPos({lat:p.coords.latitude, lon:p.coords.longitude}), console.error);
-    }
-  }, []);
+// BACKUP_MIGRATIONS[v] upgrades a version-v backup to v + 1.
+const BACKUP_MIGRATIONS = {
+  // v0: a bare { key: value } map, e.g. copied out of localStorage by hand.
+  0: (b) => ({ format: BACKUP_FORMAT, version: 1, createdAt: null, data: Object.fromEntries(Object.entries(b).filter(([k]) => k in LEGACY_RENAMES || BACKUP_KEYS.includes(k))) }),
+  // v1 -> v2: stray keys renamed when storage moved to IndexedDB.
+  1: (b) => ({ ...b, version: 2, data: Object.fromEntries(Object.entries(b.data).map(([k, v]) => [LEGACY_RENAMES[k] || k, v])) }),
+};
 
-  useEffect(()=>{
-    if(!pos) return;
-    // Lightweight prayer time calc (approx) — Fajr 18°, Isha 18° using adhan-js would be better.
-    // For simplicity, we call a free endpoint if online; otherwise show placeholders.
-    (async()=>{
-      try{
-        const d = new Date();
-        const url = `https://api.aladhan.com/v1/timings/${Math.floor(d.getTime()/1000)}?latitude=${pos.lat}&longitude=${pos.lon}&method=3`;
-        const r = await fetch(url).then(r=>r.json());
-        setTimes(r.data.timings);
-      }catch(e){ console.warn(e); setTimes({Fajr:'--', Dhuhr:'--', Asr:'--', Maghrib:'--', Isha:'--'}); }
-    })();
-  }, [pos]);
-
-  const notify = async (name, at) => {
-    if (!('Notification' in window)) return alert('المتصفح لا يدعم الإشعارات');
-    const perm = await Notification.requestPermission();
-    if (perm !== 'granted') return;
-    new Notification(`${APP_NAME} — تذكير الصلاة`, { body: `${name} — ${at}` });
-  };
-
-  return (
-    <Section title="تذكيرات الصلاة الذكية" right={pos? <Pill>GPS</Pill>:null}>
-      <div className="grid md:grid-cols-5 gap-3 text-center">
-        {times? Object.entries({Fajr:times.Fajr, Dhuhr:times.Dhuhr, Asr:times.Asr, Maghrib:times.Maghrib, Isha:times.Isha}).map(([k,v])=> (
-          <div key={k} className="rounded-xl border p-3">
-            <div className="font-bold">{k}</div>
-            <div className="text-xl">{v}</div>
-            <button className="rounded-xl px-3 py-1 border mt-2" onClick={()=>notify(k,v)}>تذكير</button>
-          </div>
-        )): <div className="opacity-70">جاري تحديد الموقع…</div>}
-      </div>
-    </Section>
-  );
+function snapshotStores(){
+  const data = {};
+  for (const k of BACKUP_KEYS) { const v = load(k, undefined); if (v !== undefined) data[k] = v; }
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(), data };
 }
 
-// ---------- Mosque Map (nearby) ----------
-function MosqueMap(){
-  const [pos, setPos] = useState(null);
-  useEffect(()=>{
-    if('geolocation' in navigator){
-      navigator.geolocation.getCurrentPosition((p)=> setPos({lat:p.coords.latitude, lon:p.coords.longitude}), console.error);
-    }
-  }, []);
-  const mapUrl = pos ? `https://www.openstreetmap.org/export/embed.html?bbox=${pos.lon-0.02}%2C${pos.lat-0.02}%2C${pos.lon+0.02}%2C${pos.lat+0.02}&layer=mapnik&marker=${pos.lat}%2C${pos.lon}` : null;
-  return (
-    <Section title="خرائط المساجد القريبة">
-      {mapUrl? <iframe className="w-full h-[360px] rounded-xl border" src={mapUrl} /> : <div className="opacity-70">جاري تحديد الموقع…</div>}
-      <div className="text-xs opacity-70 mt-2">يمكنك البحث عن "mosque" داخل الخريطة.</div>
-    </Section>
-  );
+// Replaces every store; the caller reloads so hooks pick the new values up.
+function writeStores(data){
+  return Promise.all(BACKUP_KEYS.map(k => persist(k, data[k])));
 }
 
-// ---------- Pomodoro Islamic Focus ----------
-function IslamicPomodoro(){
-  const [mins, setMins] = useState(25);
-  const [left, setLeft] = useState(0);
-  const tRef = useRef(null);
-  const start = () => { setLeft(mins*60); if(tRef.current) clearInterval(tRef.current); tRef.current = setInterval(()=> setLeft(x=> x>0?x-1:0), 1000); };
-  useEffect(()=>()=> clearInterval(tRef.current), []);
-  return (
-    <Section title="منظّم وقت إسلامي (بومودورو)">
-      <div className="flex items-center gap-3">
-        <input className="input w-24" type="number" min={5} value={mins} onChange={e=>setMins(+e.target.value)} />
-        <button className="rounded-xl px-4 py-2 border" onClick={start}>ابدأ جلسة</button>
-        <div className="text-2xl font-black tabular-nums">{Math.floor(left/60).toString().padStart(2,'0')}:{(left%60).toString().padStart(2,'0')}</div>
-      </div>
-      <div className="text-sm opacity-70 mt-2">بين الجلسات: أذكار مختارة تُعرض تلقائيًا.</div>
-    </Section>
-  );
+function migrateBackup(b){
+  let cur = b.format === BACKUP_FORMAT ? b : { version: 0, ...b };
+  if (cur.version > BACKUP_VERSION) throw new Error("النسخة أحدث من هذا التطبيق — حدّث التطبيق أولًا");
+  while (cur.version < BACKUP_VERSION) cur = BACKUP_MIGRATIONS[cur.version](cur);
+  return cur;
 }
 
-// ---------- Tasbeeh Counter ----------
-function Tasbeeh(){
-  const [zkr, setZkr] = useState("سبحان الله");
-  const [n, setN] = useState(()=> load(STORAGE_KEYS.tasbeeh, 0));
-  useEffect(()=> save(STORAGE_KEYS.tasbeeh, n), [n]);
-  return (
-    <Section title="عدّاد تسبيح ذكي">
-      <div className="flex items-center gap-3">
-        <input className="input" value={zkr} onChange={e=>setZkr(e.target.value)} />
-        <button className="rounded-full w-24 h-24 grid place-items-center text-xl font-black bg-emerald-600 text-white" onClick={()=>setN(x=>x+1)}>{n}</button>
-        <button className="rounded-xl px-4 py-2 border" onClick={()=>setN(0)}>تصفير</button>
-      </div>
-    </Section>
-  );
+async function backupKey(password, salt, iterations, usage){
+  const bits = await pbkdf2(password, salt, iterations);
+  return crypto.subtle.importKey("raw", bits, "AES-GCM", false, [usage]);
 }
 
-// ---------- Hadith Library ----------
-function HadithLibrary(){
-  const [query, setQuery] = useState("");
-  const [list, setList] = useState(HADITH_SAMPLE);
-  const search = async () => {
-    if(!query.trim()) { setList(HADITH_SAMPLE); return; }
-    try{
-      const r = await fetch(`https://api.sunnah.com/v1/hadiths/random`, { headers: { 'X-API-Key': 'DEMO' } });
-      if(r.ok){ const j = await r.json(); setList([{book:j?.data?.collection||'Random', ref:j?.data?.hadithNumber||'', text:j?.data?.hadith||query, expl:'…'}]); }
-      else setList([{book:'Local', ref:'—', text:query, expl:'—'}]);
-    }catch{ setList([{book:'Local', ref:'—', text:query, expl:'—'}]); }
+async function sealBackup(snapshot, password){
+  if (!password) return snapshot;
+  const salt = randomBytes(16), iv = randomBytes(12);
+  const key = await backupKey(password, salt, PBKDF2_ITERATIONS, "encrypt");
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(snapshot)));
+  return {
+    format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: snapshot.createdAt,
+    encrypted: { alg: "AES-GCM", kdf: "PBKDF2-SHA256", iterations: PBKDF2_ITERATIONS, salt: bytesToB64(salt), iv: bytesToB64(iv), data: bytesToB64(data) },
   };
-  return (
-    <Section title="مكتبة الأحاديث">
-      <div className="flex gap-2 mb-3">
-        <input className="input" placeholder="ابحث…" value={query} onChange={e=>setQuery(e.target.value)} />
-        <button className="rounded-xl px-4 py-2 border" onClick={search}>بحث</button>
-      </div>
-      <div className="grid md:grid-cols-2 gap-3">
-        {list.map((h,i)=> (
-          <div key={i} className="rounded-xl border p-3">
-            <div className="font-bold">{h.book} <span className="opacity-70">#{h.ref}</span></div>
-            <div className="mt-2">{h.text}</div>
-            <div className="text-sm opacity-70 mt-2">{h.expl}</div>
-          </div>
-        ))}
-      </div>
-    </Section>
-  );
 }
 
-// ---------- Donations / Zakat ----------
-function Donations(){
-  const [sum, setSum] = useState(50);
-  const pay = () => {
-    const url = `https://donate.stripe.com/test_6oE16n1${sum}`; // placeholder; replace with real Checkout link
-    window.open(url, '_blank');
+async function openBackup(file, password){
+  if (!file?.encrypted) return migrateBackup(file);
+  if (!password) throw new Error("هذه النسخة مشفّرة — أدخل كلمة المرور");
+  const e = file.encrypted;
+  const key = await backupKey(password, b64ToBytes(e.salt), e.iterations, "decrypt");
+  try {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: b64ToBytes(e.iv) }, key, b64ToBytes(e.data));
+    return migrateBackup(JSON.parse(new TextDecoder().decode(plain)));
+  } catch { throw new Error("كلمة المرور غير صحيحة أو الملف تالف"); }
+}
+
+// REST: GET/PUT the snapshot at `url` with a bearer token. WebDAV: GET/PUT rafiq-sync.json inside the
+// `url` collection with basic auth. Both use ETag/If-Match so concurrent pushes surface as 412.
+// Any static server that accepts PUT (e.g. a local WebDAV or json stub) works for testing.
+function syncAdapter({ kind, url, username, secret }){
+  const target = kind === "webdav" ? `${url.replace(/\/$/, "")}/rafiq-sync.json` : url;
+  const auth = !secret ? {} : kind === "webdav"
+    ? { Authorization: `Basic ${btoa(unescape(encodeURIComponent(`${username}:${secret}`)))}` }
+    : { Authorization: `Bearer ${secret}` };
+  return {
+    async pull(){
+      const r = await fetch(target, { headers: { Accept: "application/json", ...auth }, cache: "no-store" });
+      if (r.status === 404) return { file: null, etag: null };
+      if (!r.ok) throw new Error(`GET ${r.status}`);
+      return { file: await r.json(), etag: r.headers.get("ETag") };
+    },
+    async push(file, etag){
+      const r = await fetch(target, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...auth, ...(etag ? { "If-Match": etag } : { "If-None-Match": "*" }) },
+        body: JSON.stringify(file),
+      });
+      if (r.status === 412) { const e = new Error("conflict"); e.conflict = true; throw e; }
+      if (!r.ok) throw new Error(`PUT ${r.status}`);
+    },
   };
-  return (
-    <Section title="التبرع والصدقات (آمن)">
-      <div className="flex items-center gap-3">
-        <input className="input w-32" type="number" value={sum} onChange={e=>setSum(+e.target.value)} />
-        <button className="rounded-xl px-4 py-2 border" onClick={pay}>تبرّع الآن</button>
-        <div className="text-sm opacity-70">سجل التبرعات محفوظ محليًا.</div>
-      </div>
-    </Section>
-  );
 }
 
-// ---------- AR Qibla ----------
-function ARQibla(){
-  const [bearing, setBearing] = useState(null);
-  const [stream, setStream] = useState(null);
-  const vidRef = useRef(null);
+// Returns { merged, changed } where `changed` means local stores were rewritten (reload needed).
+async function syncNow(config, attempt = 0){
+  const adapter = syncAdapter(config);
+  const state = load(STORAGE_KEYS.sync, {});
+  const local = snapshotStores();
+  const { file, etag } = await adapter.pull();
+  const remote = file ? await openBackup(file, config.passphrase) : null;
+  const merged = remote ? mergeSnapshots(state.base, local, remote) : local;
+  try { await adapter.push(await sealBackup(merged, config.passphrase), etag); }
+  catch (e) { if (e.conflict && attempt < 2) return syncNow(config, attempt + 1); throw e; }
+  const changed = JSON.stringify(merged.data) !== JSON.stringify(local.data);
+  if (changed) await writeStores(merged.data);
+  await persist(STORAGE_KEYS.sync, { ...state, base: merged, lastSync: Date.now() });
+  return { merged, changed };
+}
 
-  useEffect(()=>{
-    const handle = (e) => { const alpha = e.alpha; setBearing(Math.round(alpha||0)); };
-    window.addEventListener('deviceorientation', handle);
-    return ()=> window.removeEventListener('deviceorientation', handle);
-  }, []);
+// Only { kind, url, username } is persisted in rafiq.sync. The server secret and the passphrase live
+// in sessionStorage, so they are entered again after the app is closed.
+const SYNC_SECRETS_KEY = "rafiq.sync.secrets";
+
+function loadSyncConfig(){
+  const state = load(STORAGE_KEYS.sync, {});
+  const { secret = "", passphrase = "", ...config } = state.config || {};
+  // Earlier versions persisted both; move them to this session and drop them from storage.
+  if (secret || passphrase) {
+    sessionStorage.setItem(SYNC_SECRETS_KEY, JSON.stringify({ secret, passphrase }));
+    save(STORAGE_KEYS.sync, { ...state, config });
+  }
+  return { kind: "rest", url: "", username: "", secret: "", passphrase: "", ...config, ...JSON.parse(sessionStorage.getItem(SYNC_SECRETS_KEY) || "{}") };
+}
+
+function saveSyncConfig({ secret, passphrase, ...config }){
+  sessionStorage.setItem(SYNC_SECRETS_KEY, JSON.stringify({ secret, passphrase }));
+  save(STORAGE_KEYS.sync, { ...load(STORAGE_KEYS.sync, {}), config });
+}
+
+function BackupPanel(){
+  const [password, setPassword] = useState("");
+  const [msg, setMsg] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [config, setConfig] = useState(loadSyncConfig);
+  const lastSync = load(STORAGE_KEYS.sync, {}).lastSync;
+  const run = async (fn) => { setBusy(true); setMsg(""); try { await fn(); } catch (e) { setMsg(e.message); } setBusy(false); };
 
-  const startCam = async () => {
-    try{ const s = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }); setStream(s); if(vidRef.current){ vidRef.current.srcObject = s; await vidRef.current.play(); } }catch(e){ alert('تعذر فتح الكاميرا'); }
+  const exportBackup = () => run(async () => {
+    const file = await sealBackup(snapshotStores(), password);
+    downloadFile(`rafiq-backup-${dayKey()}${password ? "-encrypted" : ""}.json`, JSON.stringify(file, null, 2));
+    setMsg(password ? "تم تصدير نسخة مشفّرة" : "تم تصدير النسخة — احفظها في مكان آمن");
+  });
+  const restore = (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    run(async () => {
+      const b = await openBackup(JSON.parse(await f.text()), password);
+      if (!confirm(`استعادة نسخة ${b.createdAt ? new Date(b.createdAt).toLocaleString() : ""}؟ ستُستبدل كل البيانات الحالية.`)) return;
+      await writeStores(b.data);
+      await removeStored(STORAGE_KEYS.sync);
+      location.reload();
+    });
   };
+  const sync = () => run(async () => {
+    const { changed } = await syncNow(config);
+    if (changed) location.reload();
+    else setMsg("تمت المزامنة — لا تغييرات جديدة");
+  });
 
   return (
-    <Section title="القبلة (AR)">
-      <div className="grid md:grid-cols-2 gap-3 items-center">
-        <div>
-          <div className="relative rounded-xl overflow-hidden border h-64 bg-black">
-            <video ref={vidRef} className="absolute inset-0 w-full h-full object-cover" playsInline muted />
-            <div className="absolute inset-0 grid place-items-center">
-              <div className="rounded-full w-40 h-40 border-4 grid place-items-center text-2xl font-black bg-white/70 backdrop-blur">{bearing??'—'}°</div>
-            </div>
+    <Section title="النسخ الاحتياطي والمزامنة">
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <div className="grid gap-2 content-start">
+          <input className="input" type="password" autoComplete="new-password" placeholder="كلمة مرور التشفير (اختياري)" value={password} onChange={e=>setPassword(e.target.value)} />
+          <div className="flex gap-2">
+            <button className="rounded-xl px-3 py-1 border" disabled={busy} onClick={exportBackup}>تصدير نسخة احتياطية</button>
+            <label className="rounded-xl px-3 py-1 border cursor-pointer">استعادة من ملف<input type="file" accept=".json,application/json" className="hidden" onChange={restore} /></label>
           </div>
-          <button className="rounded-xl px-4 py-2 border mt-2" onClick={startCam}>تشغيل الكاميرا</button>
-        </div>
-        <div className="text-sm opacity-80">
-          
-          <p>اتجه نحو مكة (الكعبة). استخدم البوصلة أعلاه مع الكاميرا للحصول على توجيه بصري.</p>
-          <p className="mt-2">ملاحظة: قد يتطلب المتصفح إذن الحركة/الاتجاه.</p>
+          <div className="opacity-70">تشمل النسخة كل الملفات والتقدم والحفظ والمفضلة والمجموعات. الملفات الصوتية المنزّلة لا تُنسخ.</div>
         </div>
+        <form className="grid gap-2" onSubmit={e=>{ e.preventDefault(); saveSyncConfig(config); sync(); }}>
+          <div className="flex gap-2">
+            <select className="input w-32" value={config.kind} onChange={e=>setConfig({ ...config, kind: e.target.value })}>
+              <option value="rest">REST</option>
+              <option value="webdav">WebDAV</option>
+            </select>
+            <input className="input" dir="ltr" required placeholder={config.kind==='webdav' ? "https://dav.example.com/rafiq/" : "https://api.example.com/rafiq/sync"} value={config.url} onChange={e=>setConfig({ ...config, url: e.target.value })} />
+          </div>
+          <div className="flex gap-2">
+            {config.kind==='webdav' && <input className="input" dir="ltr" placeholder="username" value={config.username} onChange={e=>setConfig({ ...config, username: e.target.value })} />}
+            <input className="input" dir="ltr" type="password" placeholder={config.kind==='webdav' ? "password" : "token"} value={config.secret} onChange={e=>setConfig({ ...config, secret: e.target.value })} />
+          </div>
+          <input className="input" type="password" autoComplete="new-password" placeholder="عبارة تشفير المزامنة (اختياري، نفسها على كل الأجهزة)" value={config.passphrase} onChange={e=>setConfig({ ...config, passphrase: e.target.value })} />
+          <div className="flex items-center gap-2">
+            <button className="rounded-xl px-3 py-1 border" disabled={busy}>{busy ? "جارٍ…" : "مزامنة الآن"}</button>
+            {lastSync && <span className="opacity-70">آخر مزامنة: {new Date(lastSync).toLocaleString()}</span>}
+          </div>
+        </form>
       </div>
+      {msg && <div className="text-sm mt-2 opacity-80">{msg}</div>}
     </Section>
   );
 }
@@ -634,9 +4764,6 @@ function ThemeSelector({ settings, setSettings }){
         {['andalusi','modern','minimal'].map(t=> (
           <button key={t} className={cx("rounded-xl px-3 py-1 border", settings.theme===t && "bg-emerald-600 text-white")} onClick={()=>setSettings(s=>({...s, theme:t}))}>{t}</button>
         ))}
-        <select className="input w-48" value={settings.translation} onChange={e=>setSettings(s=>({...s, translation:e.target.value}))}>
-          {TRANSLATIONS.map(t=> <option key={t.code} value={t.code}>{t.name}</option>)}
-        </select>
       </div>
     </Section>
   );
@@ -661,55 +4788,112 @@ function Recommendations(){
 }
 
 // ---------- App Shell ----------
+// Hooks read storage synchronously, so nothing mounts until initStorage has loaded it.
 export default function App(){
-  useInlineServiceWorker();
-  const [user, setUser] = useUser();
+  const [ready, setReady] = useState(storageReady);
+  useEffect(() => { if (!ready) initStorage().then(() => setReady(true)); }, []);
+  if (!ready) return (
+    <div className="min-h-screen grid place-items-center">
+      <div className="w-12 h-12 rounded-2xl bg-emerald-600 grid place-items-center text-white font-black animate-pulse">ر</div>
+    </div>
+  );
+  return <RafiqApp />;
+}
+
+function RafiqApp(){
+  const sw = useServiceWorker();
+  const auth = useAuth();
+  const [switchTo, setSwitchTo] = useState(null);
   const [settings, setSettings] = useSettings();
-  const [progress, setProgress] = useProgress();
-  const { ach, unlock } = useAchievements();
+  const [reminders, setReminders] = useReminders();
+  const achievements = useAchievements();
+  const { record } = achievements;
+  usePrayerReminders(settings, reminders, (prayer) => record("prayer.ack", { prayer }));
+  useHawlReminder(settings);
   const [kids, setKids] = useState(settings.kids);
+  const kidsProgress = useKidsProgress();
 
   useEffect(()=>{ setSettings(s=>({...s, kids})); save(STORAGE_KEYS.kids, kids); }, [kids]);
+  // "Switch profile" in kids mode only signs out; kids mode ends once a parent signs back in.
+  const signedIn = useRef(auth.current?.id);
+  useEffect(()=>{
+    const id = auth.current?.id;
+    if (!signedIn.current && id && auth.can('kids.toggle')) setKids(false);
+    signedIn.current = id;
+  }, [auth.current?.id]);
 
-  const onVoice = (cmd) => {
-    if(cmd.type==='pomodoro' && cmd.action==='start'){ document.getElementById('pomodoro-anchor')?.scrollIntoView({behavior:'smooth'}); }
-    if(cmd.type==='audio' && cmd.action==='play'){ document.getElementById('play-btn')?.click(); }
-    if(cmd.type==='audio' && cmd.action==='pause'){ document.getElementById('pause-btn')?.click(); }
-    if(cmd.type==='tafsir'){ alert('عرض التفسير المفتوح أسفل الآية'); }
-    if(cmd.type==='fiqh'){ alert('اسأل عالمًا موثوقًا — سيتم ربط قاعدة فتاوى لاحقًا'); }
-  };
+  const reading = useReading();
+  const onReading = (kind, i, ms) => { if (reading.log(kind, i, ms)) { record("ayah.read"); groups.log(auth.current?.id, 'read'); } };
+  const onDownloaded = () => record("download");
+  const downloads = useDownloadManager(onDownloaded);
+  const groups = useGroups();
+  const hifz = useHifz();
+  // Graded reviews also count toward group leaderboards.
+  const trackedHifz = { ...hifz, grade: (first, last, q) => { hifz.grade(first, last, q); groups.log(auth.current?.id, 'review'); } };
+  const bookmarks = useBookmarks();
+  const sources = useContentSources();
+  const hadithLibrary = useHadithLibrary();
+  const mushaf = useMushaf();
+  const [playRequest, setPlayRequest] = useState(null);
+  const openAyah = (i) => setPlayRequest({ first: i, play: false, at: Date.now() });
+  const bus = useMemo(createActionBus, []);
 
-  const onReadAyah = () => setProgress(p=> ({...p, readToday: p.readToday+1}));
-  const onDownloaded = () => unlock('firstDownload');
+  useAction(bus, "bookmark.add", (a) => {
+    if (!bookmarks.lastRead) return say(a.lang, "افتح آية أولًا", "Open a verse first");
+    const [s, n] = ayahFromIndex(bookmarks.lastRead.i);
+    bookmarks.add(bookmarks.lastRead.i);
+    return say(a.lang, `أُضيفت ${surahInfo(s).nameAr} ${n} إلى المفضلة`, `Bookmarked ${s}:${n}`);
+  });
+  useAction(bus, "fiqh.ask", (a) => say(a.lang,
+    "لا أُصدر فتاوى. اسأل عالمًا موثوقًا أو دار إفتاء معتمدة.",
+    "I can't give religious rulings — please ask a qualified scholar."));
 
-  if(!user) return <Auth onLogin={setUser} />;
+  if(!auth.current) return <Auth key={switchTo} auth={auth} initialId={switchTo} />;
+
+  // Child profiles always get the kids shell; `kids` is the child a parent started it for (true before it held an id).
+  const kidsChild = auth.current.role === 'child' ? auth.current.id : kids === true ? KIDS_GUEST : kids;
+  if (kidsChild) return <>
+    <KidsShell auth={auth} child={kidsChild} kids={kidsProgress} settings={settings} onExit={()=>setKids(false)} onEvent={record} />
+    <AchievementToasts achievements={achievements} />
+  </>;
 
   return (
     <div className={cx("min-h-screen", themeClass(settings.theme))}>
-      <Header user={user} onLogout={()=>setUser(null)} />
+      <Header auth={auth} onSwitch={(id)=>{ setSwitchTo(id); auth.logout(); }} />
+      {sw.updateReady && <UpdateBanner onReload={sw.applyUpdate} />}
       <main className="max-w-6xl mx-auto p-4 md:p-6 grid gap-6">
         <Hero />
-        <ThemeSelector settings={settings} setSettings={setSettings} />
-        <VoiceAssistant onCommand={onVoice} />
-        <QuranAudio settings={settings} setSettings={setSettings} onReadAyah={onReadAyah} onDownloaded={onDownloaded} />
-        <div id="pomodoro-anchor"><IslamicPomodoro /></div>
-        <Tasbeeh />
-        <PrayerTimes />
-        <MosqueMap />
-        <HadithLibrary />
-        <Groups />
-        <Donations />
-        <ARQibla />
-        <KidsMode enabled={kids} toggle={()=>setKids(x=>!x)} onCompleteMiniGame={()=>{}} />
+        {auth.can('settings') && <ThemeSelector settings={settings} setSettings={setSettings} />}
+        <VoiceAssistant bus={bus} />
+        <QuranAudio settings={settings} setSettings={setSettings} sources={sources} onReading={onReading} downloads={downloads} request={playRequest} bookmarks={bookmarks} bus={bus} />
+        <ContentSourcesPanel sources={sources} />
+        <QuranSearch mushaf={mushaf} sources={sources} onOpen={openAyah} />
+        <BookmarksPanel bookmarks={bookmarks} mushaf={mushaf} onOpen={openAyah} />
+        <ReadingStats reading={reading} onOpen={openAyah} />
+        <HifzPanel hifz={trackedHifz} onPlay={(r)=>setPlayRequest({ ...r, at: Date.now() })} />
+        {auth.can('downloads') && <DownloadManager downloads={downloads} settings={settings} />}
+        <div id="pomodoro-anchor"><IslamicPomodoro bus={bus} /></div>
+        <div id="adhkar-anchor"><Adhkar mushaf={mushaf} onCount={()=>groups.log(auth.current.id, 'tasbeeh')} onDhikr={(e)=>{ record("dhikr.done", e); if (e.routine) record("adhkar.routine", e); }} bus={bus} /></div>
+        <PrayerTimes settings={settings} setSettings={setSettings} reminders={reminders} setReminders={setReminders} canEdit={auth.can('settings')} bus={bus} />
+        <HijriCalendar settings={settings} setSettings={setSettings} onOpenAyah={openAyah} />
+        <MosqueMap settings={settings} setSettings={setSettings} />
+        <HadithLibrary library={hadithLibrary} />
+        {auth.can('groups') && <Groups groups={groups} auth={auth} />}
+        {auth.can('donations') && <Zakat settings={settings} />}
+        <ARQibla settings={settings} setSettings={setSettings} />
+        {auth.can('kids.toggle') && <KidsDashboard auth={auth} kids={kidsProgress} onStart={setKids} />}
         <Recommendations />
-        <AchievementsPanel ach={ach} progress={progress} />
+        <AchievementsPanel achievements={achievements} />
+        <ProfilesPanel auth={auth} />
+        {auth.can('profiles.manage') && <BackupPanel />}
         <Footer />
       </main>
+      <AchievementToasts achievements={achievements} />
     </div>
   );
 }
 
-function Header({ user, onLogout }){
+function Header({ auth, onSwitch }){
   return (
     <header className="sticky top-0 z-20 backdrop-blur bg-white/70 dark:bg-gray-950/70 border-b border-gray-200/60 dark:border-gray-800/60">
       <div className="max-w-6xl mx-auto p-3 flex items-center justify-between">
@@ -717,17 +4901,29 @@ function Header({ user, onLogout }){
           <div className="w-9 h-9 rounded-2xl bg-emerald-600 grid place-items-center text-white font-black">ر</div>
           <div>
             <div className="font-extrabold">{APP_NAME}</div>
-            <div className="text-xs opacity-70">مرحبًا {user.name} {user.role==='royal' && (<span className="ml-1 px-2 py-0.5 rounded-full bg-yellow-400 text-black font-bold">ملكي</span>)} </div>
+            <div className="text-xs opacity-70">مرحبًا {auth.current.name} <span className="ml-1 px-2 py-0.5 rounded-full bg-emerald-100 dark:bg-emerald-900 font-bold">{ROLES[auth.current.role]?.label}</span></div>
           </div>
         </div>
         <div className="flex items-center gap-3">
-          <button className="rounded-xl px-3 py-1 border" onClick={onLogout}>خروج</button>
+          {auth.profiles.length > 1 && <ProfileSwitcher auth={auth} onSwitch={onSwitch} />}
+          <button className="rounded-xl px-3 py-1 border" onClick={auth.logout}>قفل</button>
         </div>
       </div>
     </header>
   );
 }
 
+function UpdateBanner({ onReload }){
+  return (
+    <div className="sticky top-[60px] z-10 max-w-6xl mx-auto mt-3 px-4">
+      <div className="rounded-2xl bg-emerald-600 text-white p-3 flex items-center justify-between shadow">
+        <span className="font-semibold">نسخة جديدة متاحة — أعد التحميل للتحديث</span>
+        <button className="rounded-xl px-3 py-1 bg-white text-emerald-700 font-bold" onClick={onReload}>إعادة التحميل</button>
+      </div>
+    </div>
+  );
+}
+
 function Hero(){
   return (
     <div className="rounded-3xl bg-gradient-to-br from-emerald-600 to-cyan-600 text-white p-6 md:p-10 shadow-xl">
@@ -737,23 +4933,65 @@ function Hero(){
   );
 }
 
-function AchievementsPanel({ ach, progress }){
-  const items = Object.values(ach);
+const TIER_MEDALS = ["🥉", "🥈", "🥇"];
+const tierMedal = (id, tier) => { const n = ACHIEVEMENTS[id].tiers.length; return n === 1 ? "🏅" : TIER_MEDALS[tier - 1 + 3 - n] || "🏅"; };
+
+function AchievementsPanel({ achievements }){
+  const { progress, ach } = achievements;
+  const today = useToday();
+  const rows = Object.entries(ACHIEVEMENTS).map(([id, rule]) => {
+    const value = ruleValue(id, progress, today), tier = ach[id]?.tier || 0;
+    return { id, rule, value, tier, next: rule.tiers[tier] };
+  }).sort((a, b) => (b.tier > 0) - (a.tier > 0));
   return (
-    <Section title="الإنجازات والتقدم">
-      <div className="mb-3 text-sm opacity-80">قرأت اليوم: <b>{progress.readToday}</b> آية</div>
+    <Section title="الإنجازات والتقدم" right={<Pill>{rows.filter(r => r.tier).length}/{rows.length}</Pill>}>
+      <div className="mb-3 text-sm opacity-80">قرأت اليوم: <b>{progress.days[today]?.["ayah.read"] || 0}</b> آية</div>
       <div className="grid md:grid-cols-3 gap-3">
-        {items.length? items.map(a=> (
-          <div key={a.id} className="rounded-xl border p-3 bg-yellow-50">
-            <div className="font-bold">{a.title}</div>
-            <div className="text-sm opacity-80">{a.desc}</div>
+        {rows.map(({ id, rule, value, tier, next }) => (
+          <div key={id} className={cx("rounded-xl border p-3", tier ? "bg-yellow-50 dark:bg-yellow-900/20" : "opacity-70")}>
+            <div className="flex items-center justify-between gap-2">
+              <div className="font-bold">{tier ? tierMedal(id, tier) : "🔒"} {rule.title}</div>
+              {rule.tiers.length > 1 && <span className="text-xs opacity-70">المستوى {tier}/{rule.tiers.length}</span>}
+            </div>
+            <div className="text-sm opacity-80">{rule.desc}{rule.window === "day" ? " (اليوم)" : rule.window === "week" ? " (آخر ٧ أيام)" : ""}</div>
+            {next ? <>
+              <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-800 mt-2 overflow-hidden">
+                <div className="h-full bg-emerald-500" style={{ width: `${Math.min(1, value / next) * 100}%` }} />
+              </div>
+              <div className="text-xs opacity-70 mt-1">{Math.min(value, next)} / {next}{rule.streak && " يوم"}</div>
+            </> : <div className="text-xs opacity-70 mt-2">اكتمل في {new Date(ach[id].at[tier - 1]).toLocaleDateString('ar')}</div>}
           </div>
-        )): <div className="opacity-70">لا توجد إنجازات بعد — ابدأ بتنزيل سورة.</div>}
+        ))}
       </div>
     </Section>
   );
 }
 
+// Unlock toasts, each dismissed on click or after a few seconds.
+function AchievementToasts({ achievements }){
+  const { toasts, dismiss } = achievements;
+  const first = toasts[0]?.key;
+  useEffect(() => {
+    if (!first) return;
+    const id = setTimeout(() => dismiss(first), 5000);
+    return () => clearTimeout(id);
+  }, [first]);
+  if (!toasts.length) return null;
+  return (
+    <div className="fixed bottom-4 inset-x-0 z-30 grid gap-2 justify-center px-4 pointer-events-none">
+      {toasts.slice(0, 3).map(t => {
+        const rule = ACHIEVEMENTS[t.id];
+        return (
+          <button key={t.key} className="pointer-events-auto rounded-2xl bg-yellow-400 text-gray-900 shadow-lg px-4 py-2 text-start" onClick={()=>dismiss(t.key)}>
+            <div className="font-bold">{tierMedal(t.id, t.tier)} إنجاز جديد: {rule.title}</div>
+            <div className="text-sm">{rule.desc}: {rule.tiers[t.tier - 1]}{rule.tiers.length > 1 && ` — المستوى ${t.tier}`}</div>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
 function Footer(){
   return (
     <footer className="text-center text-xs opacity-70 py-6">
@@ -0,0 +1,61 @@
+// Arabic and Latin text folding shared by Quran search and the voice parser.
+// Arabic is folded twice: `plain` drops tashkeel and unifies hamza/alef forms, ta marbuta and
+// alef maqsura; `skeleton` also drops every alef so Uthmani rasm (ٱلۡعَٰلَمِينَ) meets the
+// common spelling (العالمين). The rasm also writes some long alefs as a waw or ya carrying a
+// dagger alef (صلوٰة، زكوٰة، حيوٰة، مشكوٰة، التورىٰة); those fold as the alef they stand for.
+
+export const AR_MARKS = /[\u0610-\u061A\u064B-\u065F\u06D6-\u06ED\u0640]/;
+export const AR_DIGITS = "٠١٢٣٤٥٦٧٨٩";
+
+const DAGGER = "\u0670";
+const isMark = (c) => c === DAGGER || AR_MARKS.test(c);
+// Whether the letter at i carries a dagger alef among the marks that follow it.
+function carriesDagger(text, i){
+  for (let j = i + 1; j < text.length && isMark(text[j]); j++) if (text[j] === DAGGER) return true;
+  return false;
+}
+// The letter a mark at i sits on.
+function baseOf(text, i){
+  let j = i - 1;
+  while (j >= 0 && isMark(text[j])) j--;
+  return j >= 0 ? text[j] : "";
+}
+// Whether no letter follows the one at i in its word.
+function endsWord(text, i){
+  let j = i + 1;
+  while (j < text.length && isMark(text[j])) j++;
+  return j === text.length || !/[\u0621-\u064A]/.test(text[j]);
+}
+
+// `text`/`i` give the neighbours for the rasm waw/ya; without them c folds on its own.
+export function foldArabic(c, skeleton, text = "", i = 0){
+  if (c === DAGGER) {
+    // موسىٰ is موسى: the dagger on a final ya is the maqsura's own alef sound.
+    if ("ىی".includes(baseOf(text, i)) && endsWord(text, i)) return "";
+    return skeleton ? "" : "ا";
+  }
+  if (AR_MARKS.test(c)) return "";
+  if (carriesDagger(text, i) && (c === "و" || ("ىی".includes(c) && !endsWord(text, i)))) return "";
+  if ("اأإآٱ".includes(c)) return skeleton ? "" : "ا";
+  if (c === "ؤ") return "و";
+  if ("ئىی".includes(c)) return "ي";
+  if (c === "ة") return "ه";
+  if (c === "ء") return skeleton ? "" : c;
+  return c;
+}
+export const foldLatin = (c) => c.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+// Folds `text` char by char; map[k] is the source index of output char k (for highlighting).
+export function foldWithMap(text, fold){
+  let out = "", map = [], space = true;
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) { if (!space) { out += " "; map.push(i); space = true; } continue; }
+    const f = fold(text[i], text, i);
+    for (const ch of f) { out += ch; map.push(i); space = false; }
+  }
+  return { s: out.trimEnd(), map };
+}
+export const fold = (text, fn) => foldWithMap(text, fn).s;
+export const folders = { plain: (c, text, i) => foldArabic(c, false, text, i), skeleton: (c, text, i) => foldArabic(c, true, text, i), latin: foldLatin };
+
+export const toLatinDigits = (t) => t.replace(/[٠-٩]/g, (d) => AR_DIGITS.indexOf(d));
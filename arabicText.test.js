@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fold, folders } from "./arabicText.js";
+
+// Uthmani rasm -> common spelling; both must fold to the same plain and skeleton text.
+const SAME = [
+  ["ٱلۡعَٰلَمِينَ", "العالمين"],
+  ["بِٱلصَّلَوٰةِ", "بالصلاة"],
+  ["لِلزَّكَوٰةِ", "للزكاة"],
+  ["ٱلۡحَيَوٰةَ", "الحياة"],
+  ["كَمِشۡكَوٰةٖ", "كمشكاة"],
+  ["صَلَوَٰتِهِمۡ", "صلاتهم"],
+  ["بِٱلتَّوۡرَىٰةِ", "بالتوراة"],
+  ["مُوسَىٰ", "موسى"],
+];
+
+for (const [uthmani, common] of SAME) {
+  test(`${uthmani} ~ ${common}`, () => {
+    assert.equal(fold(uthmani, folders.skeleton), fold(common, folders.skeleton));
+    assert.equal(fold(uthmani, folders.plain), fold(common, folders.plain));
+  });
+}
+
+test("a waw without a dagger alef is kept", () => {
+  assert.equal(fold("تَحۡيَوۡنَ", folders.skeleton), "تحيون");
+  assert.equal(fold("بِرَبۡوَةٍ", folders.plain), "بربوه");
+});
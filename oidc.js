@@ -0,0 +1,37 @@
+// OIDC authorization-code flow with PKCE, kept free of page state so it also runs under node
+// against oidcMock.js. The app stores `flow` across the redirect and maps the claims to a profile.
+
+const b64url = (b) => btoa(String.fromCharCode(...new Uint8Array(b))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const randomToken = (n) => b64url(crypto.getRandomValues(new Uint8Array(n)));
+export const pkceChallenge = async (verifier) => b64url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+
+export async function oidcDiscover(issuer){
+  const r = await fetch(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+  if (!r.ok) throw new Error(`discovery ${r.status}`);
+  return r.json();
+}
+
+// Where to send the browser to sign in, and the flow state to keep until it comes back.
+export async function oidcAuthorize(config, redirectUri){
+  const meta = await oidcDiscover(config.issuer);
+  const flow = { verifier: randomToken(32), state: randomToken(16) };
+  const q = new URLSearchParams({
+    response_type: "code", client_id: config.clientId, redirect_uri: redirectUri,
+    scope: config.scope || "openid profile email", state: flow.state,
+    code_challenge: await pkceChallenge(flow.verifier), code_challenge_method: "S256",
+  });
+  return { url: `${meta.authorization_endpoint}?${q}`, flow };
+}
+
+// Redeems the provider's redirect back (its query `params`) for the user's claims.
+export async function oidcRedeem(config, redirectUri, params, flow){
+  if (params.get("state") !== flow.state) throw new Error("state mismatch");
+  const meta = await oidcDiscover(config.issuer);
+  const tok = await fetch(meta.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ grant_type: "authorization_code", code: params.get("code"), redirect_uri: redirectUri, client_id: config.clientId, code_verifier: flow.verifier }),
+  }).then(r => { if (!r.ok) throw new Error(`token ${r.status}`); return r.json(); });
+  return fetch(meta.userinfo_endpoint, { headers: { Authorization: `Bearer ${tok.access_token}` } })
+    .then(r => { if (!r.ok) throw new Error(`userinfo ${r.status}`); return r.json(); });
+}
@@ -0,0 +1,41 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { oidcAuthorize, oidcRedeem } from "./oidc.js";
+import { createOidcMock, MOCK_USER } from "./oidcMock.js";
+
+const REDIRECT = "http://localhost:5173/";
+const mock = createOidcMock();
+let config;
+before(async () => { config = { issuer: await mock.listen(), clientId: "rafiq" }; });
+after(() => mock.close());
+
+// Follows the authorize redirect the way the browser would and returns the query it lands with.
+async function signIn(){
+  const { url, flow } = await oidcAuthorize(config, REDIRECT);
+  const r = await fetch(url, { redirect: "manual" });
+  assert.equal(r.status, 302);
+  const back = new URL(r.headers.get("location"));
+  assert.equal(`${back.origin}${back.pathname}`, REDIRECT);
+  return { params: back.searchParams, flow };
+}
+
+test("the code flow returns the provider's claims", async () => {
+  const { params, flow } = await signIn();
+  assert.deepEqual(await oidcRedeem(config, REDIRECT, params, flow), MOCK_USER);
+});
+
+test("a code redeems once", async () => {
+  const { params, flow } = await signIn();
+  await oidcRedeem(config, REDIRECT, params, flow);
+  await assert.rejects(oidcRedeem(config, REDIRECT, params, flow), /token 400/);
+});
+
+test("a wrong PKCE verifier is refused", async () => {
+  const { params, flow } = await signIn();
+  await assert.rejects(oidcRedeem(config, REDIRECT, params, { ...flow, verifier: "x".repeat(43) }), /token 400/);
+});
+
+test("a mismatched state is refused before the token request", async () => {
+  const { params, flow } = await signIn();
+  await assert.rejects(oidcRedeem(config, REDIRECT, params, { ...flow, state: "other" }), /state mismatch/);
+});
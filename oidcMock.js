@@ -0,0 +1,69 @@
+/* eslint-env node */
+// A stand-in OIDC provider for tests and local development: discovery, an authorize endpoint that
+// signs `user` in without a form, a token endpoint that checks the PKCE verifier, and userinfo.
+//   node oidcMock.js   -> http://localhost:8080, client "rafiq" (set the same in profile settings)
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { pkceChallenge } from "./oidc.js";
+
+export const MOCK_USER = { sub: "mock-1", name: "مستخدم تجريبي", email: "mock@example.test", rafiq_role: "teacher" };
+
+export function createOidcMock({ clientId = "rafiq", user = MOCK_USER } = {}){
+  const codes = new Map(), tokens = new Map();
+  let issuer = "";
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Authorization, Content-Type", ...headers, ...(body ? { "Content-Type": "application/json" } : {}) });
+    res.end(body ? JSON.stringify(body) : undefined);
+  };
+  const readForm = (req) => new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => { data += c; });
+    req.on("end", () => resolve(new URLSearchParams(data)));
+  });
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (url.pathname === "/.well-known/openid-configuration") return send(res, 200, {
+      issuer, authorization_endpoint: `${issuer}/authorize`, token_endpoint: `${issuer}/token`, userinfo_endpoint: `${issuer}/userinfo`,
+      response_types_supported: ["code"], code_challenge_methods_supported: ["S256"],
+    });
+    if (url.pathname === "/authorize") {
+      const q = url.searchParams;
+      if (q.get("client_id") !== clientId || q.get("response_type") !== "code" || q.get("code_challenge_method") !== "S256") return send(res, 400, { error: "invalid_request" });
+      const code = crypto.randomUUID();
+      codes.set(code, { challenge: q.get("code_challenge"), redirectUri: q.get("redirect_uri") });
+      const back = new URL(q.get("redirect_uri"));
+      back.search = new URLSearchParams({ code, state: q.get("state") || "" });
+      return send(res, 302, null, { Location: String(back) });
+    }
+    if (url.pathname === "/token" && req.method === "POST") {
+      const form = await readForm(req);
+      const grant = codes.get(form.get("code"));
+      codes.delete(form.get("code"));
+      if (!grant || form.get("client_id") !== clientId || form.get("redirect_uri") !== grant.redirectUri
+        || await pkceChallenge(form.get("code_verifier") || "") !== grant.challenge) return send(res, 400, { error: "invalid_grant" });
+      const token = crypto.randomUUID();
+      tokens.set(token, user);
+      return send(res, 200, { access_token: token, token_type: "Bearer", expires_in: 3600 });
+    }
+    if (url.pathname === "/userinfo") {
+      const claims = tokens.get((req.headers.authorization || "").replace(/^Bearer /, ""));
+      return claims ? send(res, 200, claims) : send(res, 401, { error: "invalid_token" });
+    }
+    send(res, 404, { error: "not_found" });
+  });
+
+  return {
+    get issuer(){ return issuer; },
+    listen: (port = 0) => new Promise((resolve) => server.listen(port, () => {
+      issuer = `http://localhost:${server.address().port}`;
+      resolve(issuer);
+    })),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  createOidcMock().listen(+process.env.PORT || 8080).then((issuer) => console.log(`mock OIDC provider at ${issuer}`));
+}
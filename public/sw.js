@@ -0,0 +1,133 @@
+// =============================================================
+// Rafiq — Service Worker
+// Caches (bump a version to invalidate just that cache; activate removes stale ones):
+// - shell:     app shell + offline page, precached on install; navigations are network-first.
+// - data:      bundled /data/*.json (mushaf text…), hadith packs the app puts under /data/hadith/ and
+//              translation/tafsir packs and saved surahs under /data/sources/, cache-first.
+//              The name must match DATA_CACHE in App.jsx.
+// - api:       api.quran.com JSON, stale-while-revalidate, capped at API_MAX entries.
+// - audio:     ayat streamed while listening, LRU-capped at AUDIO_MAX entries.
+// - downloads: sets saved by the in-app download manager; never evicted here.
+//   The name must match DOWNLOAD_CACHE in App.jsx.
+// =============================================================
+
+const VERSION = 'v2';
+const CACHES = {
+  shell: `rafiq-shell-${VERSION}`,
+  data: 'rafiq-data-v1',
+  api: 'rafiq-api-v1',
+  audio: 'rafiq-audio-v1',
+  downloads: 'rafiq-downloads-v1',
+};
+const LEGACY_CACHE = 'rafiq-cache-v1'; // single cache used before v2
+const SHELL = ['/', '/offline.html'];
+const API_MAX = 500;
+const AUDIO_MAX = 300;
+
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(CACHES.shell).then(c => c.addAll(SHELL)));
+  // No skipWaiting here: the page shows an update banner and asks us via SKIP_WAITING.
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil((async () => {
+    await migrateLegacyDownloads();
+    const keep = new Set(Object.values(CACHES));
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('rafiq-') && !keep.has(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', e => {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Prayer reminders carry data.prayer; a click acknowledges it. An open page gets a PRAYER_ACK
+// message, otherwise the new window reads ?ack= on load.
+self.addEventListener('notificationclick', e => {
+  e.notification.close();
+  const prayer = e.notification.data?.prayer;
+  e.waitUntil(self.clients.matchAll({ type: 'window' }).then(cs => {
+    if (!cs.length) return self.clients.openWindow(prayer ? `/?ack=${encodeURIComponent(prayer)}` : '/');
+    if (prayer) cs[0].postMessage({ type: 'PRAYER_ACK', prayer });
+    return cs[0].focus();
+  }));
+});
+
+self.addEventListener('fetch', e => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (req.mode === 'navigate') e.respondWith(navigation(req));
+  else if (url.pathname.endsWith('.mp3')) e.respondWith(audio(req));
+  else if (url.hostname.includes('api.quran.com')) e.respondWith(staleWhileRevalidate(req, CACHES.api, API_MAX));
+  else if (url.origin === self.location.origin && url.pathname.startsWith('/data/')) e.respondWith(cacheFirst(req, CACHES.data));
+  else if (url.origin === self.location.origin) e.respondWith(cacheFirst(req, CACHES.shell));
+});
+
+// Network-first so deploys show up; offline falls back to the cached shell, then the offline page.
+async function navigation(req) {
+  try {
+    const res = await fetch(req);
+    if (res.ok) (await caches.open(CACHES.shell)).put('/', res.clone());
+    return res;
+  } catch {
+    const shell = await caches.open(CACHES.shell);
+    return (await shell.match(req)) || (await shell.match('/')) || (await shell.match('/offline.html'));
+  }
+}
+
+async function cacheFirst(req, name) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req, res.clone());
+  return res;
+}
+
+async function staleWhileRevalidate(req, name, max) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(req);
+  const network = fetch(req).then(async res => {
+    if (res.ok) { await cache.put(req, res.clone()); await trim(cache, max); }
+    return res;
+  });
+  if (cached) { network.catch(() => {}); return cached; }
+  return network;
+}
+
+// Downloaded sets first, then the LRU stream cache (a hit is re-put to mark it recently used).
+async function audio(req) {
+  const pinned = await caches.match(req, { cacheName: CACHES.downloads });
+  if (pinned) return pinned;
+  const cache = await caches.open(CACHES.audio);
+  const cached = await cache.match(req);
+  if (cached) {
+    await cache.delete(req);
+    await cache.put(req, cached.clone());
+    return cached;
+  }
+  const res = await fetch(req);
+  if (res.ok && res.status === 200) { await cache.put(req, res.clone()); await trim(cache, AUDIO_MAX); }
+  return res;
+}
+
+// Cache keys come back in insertion order, so the oldest entries go first.
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
+
+// Audio saved by the download manager before v2 lived in the shared legacy cache.
+async function migrateLegacyDownloads() {
+  if (!(await caches.has(LEGACY_CACHE))) return;
+  const legacy = await caches.open(LEGACY_CACHE);
+  const downloads = await caches.open(CACHES.downloads);
+  for (const req of await legacy.keys()) {
+    if (!new URL(req.url).pathname.endsWith('.mp3')) continue;
+    const res = await legacy.match(req);
+    if (res) await downloads.put(req, res);
+  }
+}
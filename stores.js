@@ -0,0 +1,41 @@
+// Persisted store keys, and the revivers that bring older stored shapes up to date.
+
+export const STORAGE_KEYS = {
+  user: "rafiq.user", // legacy single login, migrated into profiles
+  profiles: "rafiq.profiles",
+  settings: "rafiq.settings",
+  progress: "rafiq.progress",
+  kids: "rafiq.kids", // false, or the child id kids mode was started for
+  groups: "rafiq.groups",
+  tasbeeh: "rafiq.tasbeeh",
+  achievements: "rafiq.achievements",
+  downloads: "rafiq.downloads",
+  reminders: "rafiq.reminders",
+  hifz: "rafiq.hifz",
+  bookmarks: "rafiq.bookmarks",
+  hadith: "rafiq.hadith",
+  sync: "rafiq.sync", // sync endpoint config + last merged snapshot
+  kidsPoints: "rafiq.kidsPoints", // was the stray "kids.pts"; the old free "+10" counter, no longer written
+  mosques: "rafiq.mosques",
+  fasting: "rafiq.fasting",
+  adhkar: "rafiq.adhkar",
+  zakat: "rafiq.zakat",
+  kidsProgress: "rafiq.kidsProgress",
+  reading: "rafiq.reading",
+  sources: "rafiq.sources",
+};
+
+export const PROGRESS_DAYS = 400; // longest streak or window we look back on, plus slack
+
+export function reviveProgress(p){
+  if (p.days) return { days: {}, totals: {}, ...p };
+  // Before the engine there was a single readToday that never reset; keep it as lifetime reading.
+  return { days: {}, totals: p.readToday ? { "ayah.read": p.readToday } : {} };
+}
+
+// Old unlocks were the template plus unlockedAt; they become tier 1.
+export const reviveAchievements = (ach) => Object.fromEntries(Object.entries(ach).map(([id, a]) =>
+  [id, a.tier ? a : { tier: 1, at: [a.unlockedAt] }]));
+
+// Groups saved before members existed were just { id, name, points }; their points were unverified.
+export const normalizeGroup = (g) => ({ kind: "mosque", members: [], assignments: [], evaluations: [], activity: {}, deleted: {}, ...g, id: String(g.id) });
@@ -0,0 +1,118 @@
+// Surah meta (Hafs, 114 surahs / 6236 ayat):
+// [number, name, ayahCount, nameAr, meaning, M(eccan)|D (Medinan), revelationOrder, rukuCount]
+export const SURAH_META = [
+  [1, "Al-Fatihah", 7, "الفاتحة", "The Opening", "M", 5, 1],
+  [2, "Al-Baqarah", 286, "البقرة", "The Cow", "D", 87, 40],
+  [3, "Ali 'Imran", 200, "آل عمران", "The Family of Imraan", "D", 89, 20],
+  [4, "An-Nisa", 176, "النساء", "The Women", "D", 92, 24],
+  [5, "Al-Ma'idah", 120, "المائدة", "The Table", "D", 112, 16],
+  [6, "Al-An'am", 165, "الأنعام", "The Cattle", "M", 55, 20],
+  [7, "Al-A'raf", 206, "الأعراف", "The Heights", "M", 39, 24],
+  [8, "Al-Anfal", 75, "الأنفال", "The Spoils of War", "D", 88, 10],
+  [9, "At-Tawbah", 129, "التوبة", "The Repentance", "D", 113, 16],
+  [10, "Yunus", 109, "يونس", "Jonas", "M", 51, 11],
+  [11, "Hud", 123, "هود", "Hud", "M", 52, 10],
+  [12, "Yusuf", 111, "يوسف", "Joseph", "M", 53, 12],
+  [13, "Ar-Ra'd", 43, "الرعد", "The Thunder", "D", 96, 6],
+  [14, "Ibrahim", 52, "إبراهيم", "Abraham", "M", 72, 7],
+  [15, "Al-Hijr", 99, "الحجر", "The Rock", "M", 54, 6],
+  [16, "An-Nahl", 128, "النحل", "The Bee", "M", 70, 16],
+  [17, "Al-Isra", 111, "الإسراء", "The Night Journey", "M", 50, 12],
+  [18, "Al-Kahf", 110, "الكهف", "The Cave", "M", 69, 12],
+  [19, "Maryam", 98, "مريم", "Mary", "M", 44, 6],
+  [20, "Taha", 135, "طه", "Taa-Haa", "M", 45, 8],
+  [21, "Al-Anbiya", 112, "الأنبياء", "The Prophets", "M", 73, 7],
+  [22, "Al-Hajj", 78, "الحج", "The Pilgrimage", "D", 103, 10],
+  [23, "Al-Mu'minun", 118, "المؤمنون", "The Believers", "M", 74, 6],
+  [24, "An-Nur", 64, "النور", "The Light", "D", 102, 9],
+  [25, "Al-Furqan", 77, "الفرقان", "The Criterion", "M", 42, 6],
+  [26, "Ash-Shu'ara", 227, "الشعراء", "The Poets", "M", 47, 11],
+  [27, "An-Naml", 93, "النمل", "The Ant", "M", 48, 7],
+  [28, "Al-Qasas", 88, "القصص", "The Stories", "M", 49, 8],
+  [29, "Al-'Ankabut", 69, "العنكبوت", "The Spider", "M", 85, 7],
+  [30, "Ar-Rum", 60, "الروم", "The Romans", "M", 84, 6],
+  [31, "Luqman", 34, "لقمان", "Luqman", "M", 57, 3],
+  [32, "As-Sajdah", 30, "السجدة", "The Prostration", "M", 75, 3],
+  [33, "Al-Ahzab", 73, "الأحزاب", "The Clans", "D", 90, 9],
+  [34, "Saba", 54, "سبإ", "Sheba", "M", 58, 6],
+  [35, "Fatir", 45, "فاطر", "The Originator", "M", 43, 5],
+  [36, "Ya-Sin", 83, "يس", "Yaseen", "M", 41, 5],
+  [37, "As-Saffat", 182, "الصافات", "Those drawn up in Ranks", "M", 56, 5],
+  [38, "Sad", 88, "ص", "The letter Saad", "M", 38, 5],
+  [39, "Az-Zumar", 75, "الزمر", "The Groups", "M", 59, 8],
+  [40, "Ghafir", 85, "غافر", "The Forgiver", "M", 60, 9],
+  [41, "Fussilat", 54, "فصلت", "Explained in detail", "M", 61, 6],
+  [42, "Ash-Shuraa", 53, "الشورى", "Consultation", "M", 62, 5],
+  [43, "Az-Zukhruf", 89, "الزخرف", "Ornaments of gold", "M", 63, 7],
+  [44, "Ad-Dukhan", 59, "الدخان", "The Smoke", "M", 64, 3],
+  [45, "Al-Jathiyah", 37, "الجاثية", "Crouching", "M", 65, 4],
+  [46, "Al-Ahqaf", 35, "الأحقاف", "The Dunes", "M", 66, 4],
+  [47, "Muhammad", 38, "محمد", "Muhammad", "D", 95, 4],
+  [48, "Al-Fath", 29, "الفتح", "The Victory", "D", 111, 4],
+  [49, "Al-Hujurat", 18, "الحجرات", "The Inner Apartments", "D", 106, 2],
+  [50, "Qaf", 45, "ق", "The letter Qaaf", "M", 34, 3],
+  [51, "Adh-Dhariyat", 60, "الذاريات", "The Winnowing Winds", "M", 67, 3],
+  [52, "At-Tur", 49, "الطور", "The Mount", "M", 76, 2],
+  [53, "An-Najm", 62, "النجم", "The Star", "M", 23, 3],
+  [54, "Al-Qamar", 55, "القمر", "The Moon", "M", 37, 3],
+  [55, "Ar-Rahman", 78, "الرحمن", "The Beneficent", "D", 97, 3],
+  [56, "Al-Waqi'ah", 96, "الواقعة", "The Inevitable", "M", 46, 3],
+  [57, "Al-Hadid", 29, "الحديد", "The Iron", "D", 94, 4],
+  [58, "Al-Mujadila", 22, "المجادلة", "The Pleading Woman", "D", 105, 3],
+  [59, "Al-Hashr", 24, "الحشر", "The Exile", "D", 101, 3],
+  [60, "Al-Mumtahanah", 13, "الممتحنة", "She that is to be examined", "D", 91, 2],
+  [61, "As-Saf", 14, "الصف", "The Ranks", "D", 109, 2],
+  [62, "Al-Jumu'ah", 11, "الجمعة", "Friday", "D", 110, 2],
+  [63, "Al-Munafiqun", 11, "المنافقون", "The Hypocrites", "D", 104, 2],
+  [64, "At-Taghabun", 18, "التغابن", "Mutual Disillusion", "D", 108, 2],
+  [65, "At-Talaq", 12, "الطلاق", "Divorce", "D", 99, 2],
+  [66, "At-Tahrim", 12, "التحريم", "The Prohibition", "D", 107, 2],
+  [67, "Al-Mulk", 30, "الملك", "The Sovereignty", "M", 77, 2],
+  [68, "Al-Qalam", 52, "القلم", "The Pen", "M", 2, 2],
+  [69, "Al-Haqqah", 52, "الحاقة", "The Reality", "M", 78, 2],
+  [70, "Al-Ma'arij", 44, "المعارج", "The Ascending Stairways", "M", 79, 2],
+  [71, "Nuh", 28, "نوح", "Noah", "M", 71, 2],
+  [72, "Al-Jinn", 28, "الجن", "The Jinn", "M", 40, 2],
+  [73, "Al-Muzzammil", 20, "المزمل", "The Enshrouded One", "M", 3, 2],
+  [74, "Al-Muddaththir", 56, "المدثر", "The Cloaked One", "M", 4, 2],
+  [75, "Al-Qiyamah", 40, "القيامة", "The Resurrection", "M", 31, 2],
+  [76, "Al-Insan", 31, "الإنسان", "Man", "D", 98, 2],
+  [77, "Al-Mursalat", 50, "المرسلات", "The Emissaries", "M", 33, 2],
+  [78, "An-Naba", 40, "النبإ", "The Announcement", "M", 80, 2],
+  [79, "An-Nazi'at", 46, "النازعات", "Those who drag forth", "M", 81, 2],
+  [80, "'Abasa", 42, "عبس", "He frowned", "M", 24, 1],
+  [81, "At-Takwir", 29, "التكوير", "The Overthrowing", "M", 7, 1],
+  [82, "Al-Infitar", 19, "الانفطار", "The Cleaving", "M", 82, 1],
+  [83, "Al-Mutaffifin", 36, "المطففين", "Defrauding", "M", 86, 1],
+  [84, "Al-Inshiqaq", 25, "الانشقاق", "The Splitting Open", "M", 83, 1],
+  [85, "Al-Buruj", 22, "البروج", "The Constellations", "M", 27, 1],
+  [86, "At-Tariq", 17, "الطارق", "The Morning Star", "M", 36, 1],
+  [87, "Al-A'la", 19, "الأعلى", "The Most High", "M", 8, 1],
+  [88, "Al-Ghashiyah", 26, "الغاشية", "The Overwhelming", "M", 68, 1],
+  [89, "Al-Fajr", 30, "الفجر", "The Dawn", "M", 10, 1],
+  [90, "Al-Balad", 20, "البلد", "The City", "M", 35, 1],
+  [91, "Ash-Shams", 15, "الشمس", "The Sun", "M", 26, 1],
+  [92, "Al-Layl", 21, "الليل", "The Night", "M", 9, 1],
+  [93, "Ad-Duhaa", 11, "الضحى", "The Morning Hours", "M", 11, 1],
+  [94, "Ash-Sharh", 8, "الشرح", "The Consolation", "M", 12, 1],
+  [95, "At-Tin", 8, "التين", "The Fig", "M", 28, 1],
+  [96, "Al-'Alaq", 19, "العلق", "The Clot", "M", 1, 1],
+  [97, "Al-Qadr", 5, "القدر", "The Power,  Fate", "M", 25, 1],
+  [98, "Al-Bayyinah", 8, "البينة", "The Evidence", "D", 100, 1],
+  [99, "Az-Zalzalah", 8, "الزلزلة", "The Earthquake", "D", 93, 1],
+  [100, "Al-'Adiyat", 11, "العاديات", "The Chargers", "M", 14, 1],
+  [101, "Al-Qari'ah", 11, "القارعة", "The Calamity", "M", 30, 1],
+  [102, "At-Takathur", 8, "التكاثر", "Competition", "M", 16, 1],
+  [103, "Al-'Asr", 3, "العصر", "The Declining Day,  Epoch", "M", 13, 1],
+  [104, "Al-Humazah", 9, "الهمزة", "The Traducer", "M", 32, 1],
+  [105, "Al-Fil", 5, "الفيل", "The Elephant", "M", 19, 1],
+  [106, "Quraysh", 4, "قريش", "Quraysh", "M", 29, 1],
+  [107, "Al-Ma'un", 7, "الماعون", "Almsgiving", "M", 17, 1],
+  [108, "Al-Kawthar", 3, "الكوثر", "Abundance", "M", 15, 1],
+  [109, "Al-Kafirun", 6, "الكافرون", "The Disbelievers", "M", 18, 1],
+  [110, "An-Nasr", 3, "النصر", "Divine Support", "D", 114, 1],
+  [111, "Al-Masad", 5, "المسد", "The Palm Fibre", "M", 6, 1],
+  [112, "Al-Ikhlas", 4, "الإخلاص", "Sincerity", "M", 22, 1],
+  [113, "Al-Falaq", 5, "الفلق", "The Dawn", "M", 20, 1],
+  [114, "An-Nas", 6, "الناس", "Mankind", "M", 21, 1],
+];
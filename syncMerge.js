@@ -0,0 +1,113 @@
+// Sync and group-file merges. Everything here is pure, so syncMerge.test.js runs it under node.
+import { PROGRESS_DAYS, STORAGE_KEYS, normalizeGroup, reviveAchievements, reviveProgress } from "./stores.js";
+
+// Three-way merges. `b` is the last synced value (undefined before the first sync).
+// Before the first sync both sides may already hold the same count, so the larger one wins.
+export const mergeCounter = (b, l = 0, r = 0) => b === undefined ? Math.max(l, r) : Math.max(0, l + r - b);
+
+// Keyed collections: an entry missing on one side but present in the base was deleted there.
+export function mergeKeyed(b = {}, l = {}, r = {}, pick = (x) => x){
+  const out = {};
+  for (const k of new Set([...Object.keys(l), ...Object.keys(r)])) {
+    const inL = k in l, inR = k in r;
+    if (k in b && (!inL || !inR)) continue;
+    out[k] = inL && inR ? pick(l[k], r[k], b[k]) : inL ? l[k] : r[k];
+  }
+  return out;
+}
+const byId = (list = []) => Object.fromEntries(list.map(x => [x.id, x]));
+const asSet = (list = []) => Object.fromEntries(list.map(x => [x, x]));
+const latest = (field) => (l, r) => ((r?.[field] || 0) > (l?.[field] || 0) ? r : l);
+
+// How each store reconciles. Device-bound stores (settings, downloaded files, installed packs) keep the local copy.
+export const SYNC_MERGE = {
+  [STORAGE_KEYS.settings]: (b, l) => l,
+  [STORAGE_KEYS.reminders]: (b, l) => l,
+  [STORAGE_KEYS.downloads]: (b, l) => l,
+  [STORAGE_KEYS.kids]: (b, l) => l,
+  [STORAGE_KEYS.sources]: (b, l) => l,
+  [STORAGE_KEYS.tasbeeh]: mergeCounter,
+  [STORAGE_KEYS.kidsPoints]: mergeCounter,
+  [STORAGE_KEYS.progress]: (b, l = {}, r = {}) => {
+    const [base, mine, theirs] = [b || {}, l, r].map(reviveProgress);
+    // Once synced, a counter missing from the base started at 0 since.
+    const counters = (x, y = {}, z = {}) => Object.fromEntries([...new Set([...Object.keys(y), ...Object.keys(z)])]
+      .map(k => [k, mergeCounter(b && (x?.[k] ?? 0), y[k], z[k])]));
+    const days = [...new Set([...Object.keys(mine.days), ...Object.keys(theirs.days)])].sort().slice(-PROGRESS_DAYS);
+    return {
+      days: Object.fromEntries(days.map(d => [d, counters(base.days[d], mine.days[d], theirs.days[d])])),
+      totals: counters(base.totals, mine.totals, theirs.totals),
+    };
+  },
+  [STORAGE_KEYS.achievements]: (b = {}, l = {}, r = {}) => mergeKeyed(reviveAchievements(b), reviveAchievements(l), reviveAchievements(r),
+    (x, y) => (y.tier > x.tier ? y : x)),
+  [STORAGE_KEYS.reading]: (b = {}, l = {}, r = {}) => ({
+    events: mergeKeyed(b.events, l.events, r.events, (x, y) => (y.ms > x.ms ? y : x)),
+    plan: l.plan === undefined ? r.plan : l.plan,
+  }),
+  [STORAGE_KEYS.hifz]: (b, l, r) => mergeKeyed(b, l, r, (x, y) => (y.last > x.last || (y.last === x.last && y.reps > x.reps) ? y : x)),
+  [STORAGE_KEYS.bookmarks]: (b = {}, l = {}, r = {}) => ({
+    items: mergeKeyed(b.items, l.items, r.items, latest("updatedAt")),
+    lastRead: mergeKeyed({}, l.lastRead, r.lastRead, latest("at")),
+  }),
+  [STORAGE_KEYS.groups]: (b, l, r) => Object.values(mergeKeyed(byId(b), byId(l), byId(r), (x, y) => mergeGroup(normalizeGroup(x), normalizeGroup(y)))),
+  [STORAGE_KEYS.hadith]: (b = {}, l = {}, r = {}) => ({ ...l, saved: Object.keys(mergeKeyed(asSet(b.saved), asSet(l.saved), asSet(r.saved))) }),
+  [STORAGE_KEYS.adhkar]: (b, l = {}, r = {}) => ({
+    ...l,
+    // Per day and dhikr against the base: a reset (deleted count) sticks and both sides' taps add up.
+    history: mergeKeyed(b?.history, l.history, r.history, (x, y, z) => mergeKeyed(z, x, y, (p, q, o) => mergeCounter(b && (o ?? 0), p, q))),
+  }),
+  [STORAGE_KEYS.fasting]: (b = {}, l = {}, r = {}) => ({
+    days: mergeKeyed(b.days, l.days, r.days),
+    owed: mergeCounter(b.owed, l.owed, r.owed),
+    paid: mergeKeyed(b.paid, l.paid, r.paid),
+    ramadan: { ...r.ramadan, ...l.ramadan },
+  }),
+  [STORAGE_KEYS.kidsProgress]: (b = {}, l = {}, r = {}) => mergeKeyed(b, l, r, (x, y) => ({
+    done: mergeKeyed({}, x.done, y.done, (p, q) => (q.points > p.points ? q : p)),
+    days: mergeKeyed({}, x.days, y.days, (p, q) => Math.max(p, q)),
+  })),
+  [STORAGE_KEYS.zakat]: (b = {}, l = {}, r = {}) => ({ ...l, ledger: Object.values(mergeKeyed(byId(b.ledger), byId(l.ledger), byId(r.ledger))) }),
+  [STORAGE_KEYS.mosques]: (b = {}, l = {}, r = {}) => ({ ...l, custom: Object.values(mergeKeyed(byId(b.custom), byId(l.custom), byId(r.custom))) }),
+  [STORAGE_KEYS.profiles]: (b = {}, l = {}, r = {}) => ({ ...l, oidc: l.oidc || r.oidc, profiles: Object.values(mergeKeyed(byId(b.profiles), byId(l.profiles), byId(r.profiles))) }),
+};
+
+export function mergeSnapshots(base, local, remote){
+  const data = {};
+  for (const k of new Set([...Object.keys(local.data), ...Object.keys(remote.data)])) {
+    const [b, l, r] = [base?.data[k], local.data[k], remote.data[k]];
+    if (l === undefined || r === undefined) { data[k] = l ?? r; continue; } // store only exists on one device
+    data[k] = (SYNC_MERGE[k] || ((b, l) => l))(b, l, r);
+  }
+  return { ...local, createdAt: new Date().toISOString(), data };
+}
+
+// The later edit of each item wins, and a deletion newer than an item's last edit removes it.
+function mergeItems(a, b, deleted){
+  const items = new Map(a.map(x => [x.id, x]));
+  for (const x of b) if (!items.has(x.id) || (x.updatedAt || 0) > (items.get(x.id).updatedAt || 0)) items.set(x.id, x);
+  return [...items.values()].filter(x => !(deleted[x.id] >= (x.updatedAt || 0)));
+}
+
+// Activity counters only grow, so the larger value per member/day/kind wins.
+export function mergeGroup(local, incoming){
+  const deleted = { ...local.deleted };
+  for (const [id, at] of Object.entries(incoming.deleted || {})) deleted[id] = Math.max(deleted[id] || 0, at);
+  const activity = { ...local.activity };
+  for (const [m, days] of Object.entries(incoming.activity || {})) {
+    activity[m] = { ...activity[m] };
+    for (const [day, c] of Object.entries(days)) {
+      const cur = activity[m][day] || {};
+      activity[m][day] = Object.fromEntries(["read", "review", "tasbeeh"].map(k => [k, Math.max(cur[k] || 0, c[k] || 0)]));
+    }
+  }
+  return {
+    ...local,
+    name: incoming.name || local.name,
+    members: mergeItems(local.members, incoming.members || [], deleted),
+    assignments: mergeItems(local.assignments, incoming.assignments || [], deleted),
+    evaluations: mergeItems(local.evaluations, incoming.evaluations || [], deleted),
+    activity,
+    deleted,
+  };
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeCounter, mergeGroup, mergeKeyed, mergeSnapshots } from "./syncMerge.js";
+import { STORAGE_KEYS } from "./stores.js";
+
+const snap = (data) => ({ createdAt: "2026-01-01T00:00:00.000Z", data });
+const merge = (key, b, l, r) => mergeSnapshots(b === undefined ? undefined : snap({ [key]: b }), snap({ [key]: l }), snap({ [key]: r })).data[key];
+
+test("the first sync keeps the larger count instead of adding", () => {
+  assert.equal(mergeCounter(undefined, 5, 5), 5);
+  assert.equal(mergeCounter(undefined, 3, 7), 7);
+  assert.equal(merge(STORAGE_KEYS.tasbeeh, undefined, 33, 33), 33);
+});
+
+test("a counter increased on both sides adds both increments", () => {
+  assert.equal(mergeCounter(10, 13, 15), 18);
+  assert.equal(merge(STORAGE_KEYS.tasbeeh, 10, 13, 15), 18);
+});
+
+test("a deletion on one side wins over the untouched copy", () => {
+  const b = { a: 1, b: 2 };
+  assert.deepEqual(mergeKeyed(b, { a: 1 }, { a: 1, b: 2, c: 3 }), { a: 1, c: 3 });
+  // Without a base nothing counts as deleted.
+  assert.deepEqual(mergeKeyed(undefined, { a: 1 }, { b: 2 }), { a: 1, b: 2 });
+});
+
+test("bookmarks deleted on one device stay deleted", () => {
+  const item = { id: "2:255", updatedAt: 1 };
+  const b = { items: { [item.id]: item }, lastRead: {} };
+  assert.deepEqual(merge(STORAGE_KEYS.bookmarks, b, { items: {}, lastRead: {} }, b).items, {});
+});
+
+test("an adhkar reset sticks while taps on the other device still count", () => {
+  const b = { history: { "2026-01-01": { subhan: 10, hamd: 4 } } };
+  const l = { history: { "2026-01-01": { hamd: 6 } } }; // subhan reset here, hamd +2
+  const r = { history: { "2026-01-01": { subhan: 10, hamd: 7 } } }; // hamd +3
+  assert.deepEqual(merge(STORAGE_KEYS.adhkar, b, l, r).history, { "2026-01-01": { hamd: 9 } });
+});
+
+test("adhkar counts for a day new on both sides are summed", () => {
+  const b = { history: {} };
+  const l = { history: { "2026-01-02": { subhan: 3 } } };
+  const r = { history: { "2026-01-02": { subhan: 4 } } };
+  assert.deepEqual(merge(STORAGE_KEYS.adhkar, b, l, r).history, { "2026-01-02": { subhan: 7 } });
+});
+
+test("a group tombstone removes items not edited since", () => {
+  const group = (over) => ({ id: "g", name: "حلقة", members: [], assignments: [], evaluations: [], activity: {}, deleted: {}, ...over });
+  const local = group({ members: [{ id: "m1", updatedAt: 5 }, { id: "m2", updatedAt: 5 }] });
+  const incoming = group({ members: [{ id: "m2", updatedAt: 20 }], deleted: { m1: 10, m2: 10 } });
+  const merged = mergeGroup(local, incoming);
+  assert.deepEqual(merged.members.map(m => m.id), ["m2"]); // m2 was edited after its deletion
+  assert.deepEqual(merged.deleted, { m1: 10, m2: 10 });
+  // The tombstone travels on, so merging the stale copy back in doesn't revive m1.
+  assert.deepEqual(mergeGroup(merged, local).members.map(m => m.id), ["m2"]);
+});
+
+test("stores present on one device only are kept as they are", () => {
+  const out = mergeSnapshots(undefined, snap({ [STORAGE_KEYS.tasbeeh]: 4 }), snap({ [STORAGE_KEYS.hifz]: { "1:1": { last: 1, reps: 1 } } })).data;
+  assert.deepEqual(out, { [STORAGE_KEYS.tasbeeh]: 4, [STORAGE_KEYS.hifz]: { "1:1": { last: 1, reps: 1 } } });
+});
@@ -0,0 +1,125 @@
+// Voice command parser. parseIntent is pure: utterance -> { type, lang, ...slots }. The types are
+// action-bus actions, so the assistant emits the parse as-is and whichever panel handles it answers.
+//   player.play { surah?, ayah?, to?, juz?, page? } · player.pause · player.resume · player.next · player.prev
+//   prayer.when { prayer? } · tafsir.read · adhkar.open { category, dhikr?, target? } · bookmark.add
+//   pomodoro.start { minutes? } · fiqh.ask { query } · unknown
+// Phrase cases live in voiceIntents.test.js.
+import { fold, foldArabic, foldLatin, toLatinDigits } from "./arabicText.js";
+import { SURAH_META } from "./surahMeta.js";
+
+// Lowercases, strips tashkeel/hamza variants (see foldArabic), Arabic-Indic digits and punctuation.
+const foldUtterance = (t) => fold(toLatinDigits(t).replace(/[،,.؟?!:;\-–'’"]/g, " "), (c, text, i) => /[A-Za-zÀ-ɏ]/.test(c) ? foldLatin(c) : foldArabic(c, false, text, i));
+
+// Keys are written as spoken and folded like the utterance (مئة -> ميه).
+const foldKeys = (o) => Object.fromEntries(Object.entries(o).map(([w, v]) => [foldUtterance(w), v]));
+const AR_NUMBER_WORDS = foldKeys({
+  واحد: 1, واحده: 1, احد: 1, اثنين: 2, اثنان: 2, اثنتين: 2, اثنتان: 2, اثنا: 2, اثنتا: 2,
+  ثلاث: 3, ثلاثه: 3, اربع: 4, اربعه: 4, خمس: 5, خمسه: 5, ست: 6, سته: 6, سبع: 7, سبعه: 7,
+  ثمان: 8, ثماني: 8, ثمانيه: 8, تسع: 9, تسعه: 9, عشر: 10, عشره: 10,
+  عشرين: 20, عشرون: 20, ثلاثين: 30, ثلاثون: 30, اربعين: 40, اربعون: 40, خمسين: 50, خمسون: 50,
+  ستين: 60, ستون: 60, سبعين: 70, سبعون: 70, ثمانين: 80, ثمانون: 80, تسعين: 90, تسعون: 90,
+  مئة: 100, مائة: 100, مئتين: 200, مئتان: 200, مائتين: 200, مائتان: 200,
+  ...Object.fromEntries(["ثلاث", "اربع", "خمس", "ست", "سبع", "ثمان", "تسع"].flatMap((w, i) => [[`${w}مئة`, (i + 3) * 100], [`${w}مائة`, (i + 3) * 100]])),
+});
+const EN_NUMBER_WORDS = Object.fromEntries([
+  ..."one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen".split(" ").map((w, i) => [w, i + 1]),
+  ..."twenty thirty forty fifty sixty seventy eighty ninety".split(" ").map((w, i) => [w, (i + 2) * 10]),
+  ["hundred", 100],
+]);
+// Ordinals stand alone ("الآية الخامسة", "the fifth verse"); they never combine with other words.
+const ORDINAL_WORDS = foldKeys(Object.fromEntries([
+  ...["اول", "ثاني", "ثالث", "رابع", "خامس", "سادس", "سابع", "ثامن", "تاسع", "عاشر"].flatMap((w, i) => [[`ال${w}`, i + 1], [`ال${w}ه`, i + 1]]),
+  ["الاولي", 1],
+  ..."first second third fourth fifth sixth seventh eighth ninth tenth".split(" ").map((w, i) => [w, i + 1]),
+]));
+const numberWord = (w) => AR_NUMBER_WORDS[w] ?? EN_NUMBER_WORDS[w] ?? (w.startsWith("ال") && AR_NUMBER_WORDS[w.slice(2)] >= 20 ? AR_NUMBER_WORDS[w.slice(2)] : undefined);
+
+// Spelled-out numbers -> digits on a folded utterance: "ثلاثه وثلاثين" -> "33", "two hundred fifty five" -> "255".
+// Arabic reads units before tens, so a run just adds up; a hundred multiplies a single leading digit.
+export function normalizeNumbers(folded){
+  const out = [];
+  let run = null;
+  const words = folded.split(" ");
+  words.forEach((tok, k) => {
+    let w = tok;
+    if (run != null && w.startsWith("و") && numberWord(w.slice(1)) !== undefined) w = w.slice(1);
+    if (run != null && w === "and" && numberWord(words[k + 1]) !== undefined) return;
+    const v = numberWord(w);
+    if (v === undefined) {
+      if (run != null) out.push(String(run));
+      run = null;
+      out.push(ORDINAL_WORDS[w] ?? tok);
+      return;
+    }
+    run = v === 100 && run > 0 && run < 10 ? run * 100 : (run || 0) + v;
+  });
+  if (run != null) out.push(String(run));
+  return out.join(" ");
+}
+
+// Surah names as they come out of speech recognition: "الملك", "al mulk", "mulk".
+const SURAH_NAMES = SURAH_META.flatMap(([n, en, , ar]) => {
+  const latin = foldUtterance(en);
+  return [[foldUtterance(ar), n], [latin, n], [latin.replace(/^(al|an|ar|as|at|ash|ad|adh|az) /, ""), n], [latin.replace(/ /g, ""), n]];
+}).sort((a, b) => b[0].length - a[0].length);
+
+export function matchSurah(t){
+  const after = t.match(/(?:^| )(?:سوره|surah|surat|sura) (.+)/)?.[1];
+  if (after) {
+    const num = after.match(/^(\d+)\b/);
+    if (num) return +num[1];
+    const hit = SURAH_NAMES.find(([name]) => after === name || after.startsWith(`${name} `));
+    if (hit) return hit[1];
+  }
+  // Without the word "surah" only longer names count, so "ق" or "ص" in a sentence is not a surah.
+  return SURAH_NAMES.find(([name]) => name.length >= 4 && ` ${t} `.includes(` ${name} `))?.[1];
+}
+
+const PRAYER_WORDS = { fajr: ["الفجر", "fajr"], sunrise: ["الشروق", "sunrise"], dhuhr: ["الظهر", "dhuhr", "zuhr", "duhr"], asr: ["العصر", "asr"], maghrib: ["المغرب", "maghrib"], isha: ["العشاء", "isha"] };
+const ADHKAR_WORDS = { morning: ["الصباح", "صباح", "morning"], evening: ["المساء", "مساء", "evening"], sleep: ["النوم", "نوم", "sleep", "bedtime"], prayer: ["الصلاه", "بعد الصلاه", "prayer"], travel: ["السفر", "سفر", "travel"] };
+const DHIKR_WORDS = { "f-istighfar": ["استغفر", "استغفار", "istighfar"], "f-hawqala": ["لا حول", "حوقل", "hawqala"], "f-salat": ["علي النبي", "صلوات", "salawat"], "f-baqiyat": ["الباقيات"] };
+const has = (t, re) => new RegExp(`(?:^| )(?:${re})(?= |$)`).test(t);
+const pick = (t, table) => Object.keys(table).find(k => table[k].some(w => ` ${t} `.includes(` ${w} `)));
+
+export function parseIntent(text){
+  const raw = toLatinDigits(text.trim());
+  const t = normalizeNumbers(foldUtterance(raw));
+  const lang = (t.match(/[a-z]/g) || []).length > (t.match(/[؀-ۿ]/g) || []).length ? "en" : "ar";
+  const out = (type, slots = {}) => ({ type, lang, ...Object.fromEntries(Object.entries(slots).filter(([, v]) => v !== undefined)) });
+  const num = (re) => { const m = t.match(re); return m ? +m[1] : undefined; };
+  const within = (n, max) => (n >= 1 && n <= max ? n : undefined);
+
+  const dhikr = pick(t, DHIKR_WORDS);
+  if (dhikr || has(t, "سبح|تسبيح|سبحه|مسبحه|tasbih|tasbeeh|counter")) {
+    return out("adhkar.open", { category: "tasbeeh", dhikr, target: num(/(\d+)/) });
+  }
+  if (has(t, "اذكار|اذكر|adhkar|azkar|athkar")) return out("adhkar.open", { category: pick(t, ADHKAR_WORDS) || "morning" });
+
+  const prayer = pick(t, PRAYER_WORDS);
+  const asking = has(t, "كم|متي|باقي|بقي|القادمه|الجايه|when|how|what time|next");
+  if ((prayer && asking) || has(t, "الصلاه القادمه|next prayer")) return out("prayer.when", { prayer });
+
+  if (has(t, "تفسير|اشرح|فسر|explain|tafsir|tafseer")) return out("tafsir.read");
+  if (has(t, "ما حكم|حكم|ruling|is it halal|is it haram")) return out("fiqh.ask", { query: text.trim() });
+  if (has(t, "المفضله|للمفضله|مفضله|احفظ الايه|bookmark|favorite|favourite")) return out("bookmark.add");
+  if (has(t, "جلسه|بومودورو|pomodoro|focus")) return out("pomodoro.start", { minutes: num(/(\d+)/) });
+  if (has(t, "اوقف|ايقاف|وقف|توقف|قف|اسكت|pause|stop")) return out("player.pause");
+  if (has(t, "استمر|تابع|اكمل|استانف|resume|continue")) return out("player.resume");
+  if (has(t, "التالي|التاليه|بعدها|next|skip")) return out("player.next");
+  if (has(t, "السابق|السابقه|قبلها|previous|back")) return out("player.prev");
+
+  // "2:255" or "2:1-5" straight from the recogniser.
+  const ref = raw.match(/(\d{1,3})\s*:\s*(\d{1,3})(?:\s*-\s*(\d{1,3}))?/);
+  const surah = ref ? within(+ref[1], 114) : within(matchSurah(t), 114);
+  const juz = has(t, "جزء عم|juz amma") ? 30 : has(t, "جزء تبارك") ? 29 : within(num(/(?:^| )(?:ال)?جزء (\d+)/) ?? num(/(?:juz|part) (\d+)/), 30);
+  const page = within(num(/(?:^| )(?:ال)?صفحه (\d+)/) ?? num(/page (\d+)/), 604);
+  if (surah || juz || page || has(t, "شغل|تشغيل|اقرا|اتل|اسمعني|play|recite|read|listen")) {
+    if (!surah) return out("player.play", { juz, page: juz ? undefined : page });
+    return out("player.play", {
+      surah,
+      ayah: ref ? +ref[2] : num(/(?:ال)?(?:ايه|ايات|ayah|verse|aya) (\d+)/),
+      to: ref?.[3] ? +ref[3] : num(/(?:الي|حتي|to|until|through) (?:ال)?(?:ايه |ayah |verse )?(\d+)/),
+    });
+  }
+  return out("unknown", { query: text.trim() });
+}
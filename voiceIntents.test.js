@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseIntent } from "./voiceIntents.js";
+
+// Phrase -> expected slots; only the listed slots are compared.
+const FIXTURES = [
+  ["شغل سورة الملك من الآية ٥", { type: "player.play", surah: 67, ayah: 5 }],
+  ["شغّل سورة البقرة من الآية الخامسة إلى العاشرة", { type: "player.play", surah: 2, ayah: 5, to: 10 }],
+  ["اقرأ سورة ١٨", { type: "player.play", surah: 18 }],
+  ["شغل سورة العصر", { type: "player.play", surah: 103 }],
+  ["شغل الجزء الثلاثين", { type: "player.play", juz: 30 }],
+  ["شغل جزء عم", { type: "player.play", juz: 30 }],
+  ["شغل الصفحة مئتين وخمسة وخمسين", { type: "player.play", page: 255 }],
+  ["تشغيل 2:255", { type: "player.play", surah: 2, ayah: 255 }],
+  ["play surah al-mulk from verse 5", { type: "player.play", surah: 67, ayah: 5, lang: "en" }],
+  ["play surah Yasin", { type: "player.play", surah: 36 }],
+  ["play page two hundred and fifty five", { type: "player.play", page: 255 }],
+  ["أوقف التلاوة", { type: "player.pause" }],
+  ["stop", { type: "player.pause", lang: "en" }],
+  ["أكمل", { type: "player.resume" }],
+  ["الآية التالية", { type: "player.next" }],
+  ["السابقة", { type: "player.prev" }],
+  ["كم باقي على العصر", { type: "prayer.when", prayer: "asr" }],
+  ["متى أذان المغرب؟", { type: "prayer.when", prayer: "maghrib" }],
+  ["الصلاة القادمة", { type: "prayer.when", prayer: undefined }],
+  ["how long until isha", { type: "prayer.when", prayer: "isha", lang: "en" }],
+  ["اقرأ تفسير الآية", { type: "tafsir.read" }],
+  ["اشرح الآية", { type: "tafsir.read" }],
+  ["explain this verse", { type: "tafsir.read" }],
+  ["سبّح ٣٣", { type: "adhkar.open", category: "tasbeeh", target: 33 }],
+  ["سبح ثلاثة وثلاثين", { type: "adhkar.open", category: "tasbeeh", target: 33 }],
+  ["استغفر مئة مرة", { type: "adhkar.open", dhikr: "f-istighfar", target: 100 }],
+  ["tasbih thirty-three", { type: "adhkar.open", category: "tasbeeh", target: 33 }],
+  ["أذكار المساء", { type: "adhkar.open", category: "evening" }],
+  ["morning adhkar", { type: "adhkar.open", category: "morning" }],
+  ["أضف للمفضلة", { type: "bookmark.add" }],
+  ["bookmark this verse", { type: "bookmark.add" }],
+  ["ابدأ جلسة حفظ ٢٥ دقيقة", { type: "pomodoro.start", minutes: 25 }],
+  ["ما حكم صيام يوم الجمعة", { type: "fiqh.ask" }],
+  ["كيف حالك", { type: "unknown" }],
+];
+
+for (const [text, want] of FIXTURES) {
+  test(text, () => {
+    const got = parseIntent(text);
+    for (const [k, v] of Object.entries(want)) assert.equal(got[k], v, `${k} of "${text}"`);
+  });
+}